@@ -6,6 +6,7 @@ export default [
     rules: {
       "no-unused-vars": ["warn", { argsIgnorePattern: "^_", varsIgnorePattern: "^_" }],
       "no-console": "off",
+      "no-undef": "error",
     },
     languageOptions: {
       ecmaVersion: 2022,
@@ -16,12 +17,28 @@ export default [
         require: "readonly",
         process: "readonly",
         __dirname: "readonly",
+        File: "readonly",
       },
     },
-    env: {
-      node: true,
-      commonjs: true,
-      es2022: true,
+  },
+  {
+    // Scripts that run in the browser
+    files: ["src/client/**/*.js"],
+    languageOptions: {
+      sourceType: "script",
+      globals: {
+        window: "readonly",
+        document: "readonly",
+        console: "readonly",
+        Event: "readonly",
+        CustomEvent: "readonly",
+        alert: "readonly",
+        CSS: "readonly",
+        FileReader: "readonly",
+        URL: "readonly",
+        setTimeout: "readonly",
+        clearTimeout: "readonly",
+      },
     },
   },
-];
\ No newline at end of file
+];
@@ -23,6 +23,15 @@ const employmentSchema = z.object({
   resume: z.instanceof(File).optional()
 });
 
+// Fields shown for each employment status, applied in the browser and on submit
+const conditionalLogic = {
+  companyName: { show: 'employmentStatus', equals: 'employed' },
+  businessName: { show: 'employmentStatus', equals: 'self-employed' },
+  schoolName: { show: 'employmentStatus', equals: 'student' },
+  yearsExperience: { show: 'employmentStatus', notEquals: 'student' },
+  resume: { show: 'employmentStatus', notEquals: 'unemployed' }
+};
+
 // Home page with the conditional form
 app.get('/', (req, res) => {
   const form = zodForm(employmentSchema, {
@@ -31,14 +40,7 @@ app.get('/', (req, res) => {
     enctype: 'multipart/form-data',
     submitLabel: 'Submit Information',
     theme: 'dark',
-    // Define conditional logic
-    conditionalLogic: {
-      companyName: { show: 'employmentStatus', equals: 'employed' },
-      businessName: { show: 'employmentStatus', equals: 'self-employed' },
-      schoolName: { show: 'employmentStatus', equals: 'student' },
-      yearsExperience: { show: 'employmentStatus', notEquals: 'student' },
-      resume: { show: 'employmentStatus', notEquals: 'unemployed' }
-    }
+    conditionalLogic
   });
 
   res.send(`
@@ -64,25 +66,29 @@ app.get('/', (req, res) => {
 });
 
 // API endpoint to handle form submission
-app.post('/api/submit-employment', zodForm.validate(employmentSchema), (req, res) => {
-  // If we reach here, validation passed
-  const employmentData = req.validatedData;
+app.post(
+  '/api/submit-employment',
+  zodForm.validate(employmentSchema, { conditionalLogic }),
+  (req, res) => {
+    // If we reach here, validation passed
+    const employmentData = req.validatedData;
 
-  // In a real app, you would save the data to a database
-  console.log('Received valid employment data:', employmentData);
+    // In a real app, you would save the data to a database
+    console.log('Received valid employment data:', employmentData);
 
-  // Return a response that HTMX can use
-  if (req.headers['hx-request']) {
-    res.send(`
+    // Return a response that HTMX can use
+    if (req.headers['hx-request']) {
+      res.send(`
       <div class="zf-alert zf-alert-success">
         Information submitted successfully!
         <pre>${JSON.stringify(employmentData, null, 2)}</pre>
       </div>
     `);
-  } else {
-    res.redirect('/');
+    } else {
+      res.redirect('/');
+    }
   }
-});
+);
 
 // Start the server
 const PORT = process.env.PORT || 3000;
@@ -0,0 +1,356 @@
+/**
+ * Array behavior - Adds, removes, moves, copies and renumbers the items of a list field
+ *
+ * Lists carrying `data-zf-item-url` load new items from the server, rendered
+ * from the item's type. Others copy their item template (rendered from the
+ * item's type along with the list), or add a copy of the option selector or a
+ * text input. Items of `data-zf-sortable` lists move with their buttons or by
+ * dragging their handle, and items of `data-zf-duplicable` lists are copied
+ * below themselves. Items are renumbered after every change so the submission
+ * decodes in order, and the buttons are disabled where they cannot act: adding
+ * and copying at the list's maximum, removing at its minimum, moving at its ends.
+ */
+window.ZodForm.define('array', function (container) {
+  var name = container.getAttribute('data-zf-name');
+  var itemsContainer = document.getElementById(name + '-items');
+  var addButton = document.getElementById(name + '-add');
+  var selector = document.getElementById(name + '-selector');
+  var dragging = null;
+
+  if (!itemsContainer || !addButton) return;
+
+  // The list's own name, renamed along with the item of an outer list it is part of
+  var getName = function () {
+    return container.getAttribute('data-zf-name');
+  };
+
+  var getItems = function () {
+    return Array.prototype.slice.call(itemsContainer.children);
+  };
+
+  // Item of this list an element is part of, not one of a list nested in it
+  var getItem = function (element) {
+    while (element && element.parentElement !== itemsContainer) {
+      element = element.parentElement;
+    }
+    return element;
+  };
+
+  var getChild = function (element, className) {
+    return Array.prototype.filter.call(element.children, function (child) {
+      return child.classList.contains(className);
+    })[0];
+  };
+
+  // A button of an item, directly in it or in its actions
+  var getControl = function (item, className) {
+    var actions = getChild(item, 'zf-item-actions');
+    return getChild(item, className) || (actions && getChild(actions, className));
+  };
+
+  // Replace a name in every attribute of an item and the elements in it, including
+  // the item templates of the lists nested in it
+  var rename = function (item, from, to) {
+    var elements = [item].concat(Array.prototype.slice.call(item.querySelectorAll('*')));
+    elements.forEach(function (element) {
+      Array.prototype.slice.call(element.attributes).forEach(function (attribute) {
+        if (attribute.value.indexOf(from) !== -1) {
+          element.setAttribute(attribute.name, attribute.value.split(from).join(to));
+        }
+      });
+      if (element.tagName === 'TEMPLATE') {
+        Array.prototype.forEach.call(element.content.children, function (child) {
+          rename(child, from, to);
+        });
+      }
+    });
+  };
+
+  // Name the items after their position, through a temporary name so that no two
+  // items (and their radio buttons) ever share one
+  var renumber = function () {
+    var list = getName();
+    var moved = getItems().filter(function (item, index) {
+      var from = item.getAttribute('data-zf-index');
+      if (from === null || from === String(index)) return false;
+      rename(item, list + '[' + from + ']', list + '[zf-' + index + ']');
+      return true;
+    });
+
+    moved.forEach(function (item) {
+      var index = getItems().indexOf(item);
+      rename(item, list + '[zf-' + index + ']', list + '[' + index + ']');
+      item.id = list + '-item-' + index;
+      item.setAttribute('data-zf-index', index);
+      var removeButton = getControl(item, 'zf-remove-item');
+      if (removeButton) removeButton.id = list + '-remove-' + index;
+
+      // HTMX reads the renamed validation URLs again
+      if (window.htmx) window.htmx.process(item);
+    });
+  };
+
+  // Disable the buttons that cannot act on the list as it is
+  var updateControls = function () {
+    var items = getItems();
+    var min = Number(container.getAttribute('data-zf-min-items')) || 0;
+    var max = Number(container.getAttribute('data-zf-max-items')) || Infinity;
+    var full = items.length >= max;
+
+    addButton.disabled = full;
+    if (selector) selector.disabled = full;
+    items.forEach(function (item, index) {
+      var controls = {
+        'zf-remove-item': items.length <= min,
+        'zf-duplicate-item': full,
+        'zf-move-up': index === 0,
+        'zf-move-down': index === items.length - 1
+      };
+      Object.keys(controls).forEach(function (className) {
+        var button = getControl(item, className);
+        if (button) button.disabled = controls[className];
+      });
+    });
+  };
+
+  // Renumber after a change, and let the form react to the new order
+  var changed = function () {
+    renumber();
+    updateControls();
+    container.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  var focusItem = function (item) {
+    var control = item && item.querySelector('input:not([type="hidden"]), select, textarea');
+    if (control) control.focus();
+  };
+
+  // Buttons to move and copy an item built in the browser
+  var addActions = function (item) {
+    var sortable = container.hasAttribute('data-zf-sortable');
+    var duplicable = container.hasAttribute('data-zf-duplicable');
+    if (!sortable && !duplicable) return;
+
+    var actions = document.createElement('div');
+    actions.className = 'zf-item-actions';
+    var addAction = function (className, key, text) {
+      var button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = text;
+      button.setAttribute('aria-label', window.ZodForm.message(container, key));
+      actions.appendChild(button);
+    };
+
+    if (sortable) {
+      var handle = document.createElement('span');
+      handle.className = 'zf-drag-handle';
+      handle.title = window.ZodForm.message(container, 'dragItem');
+      handle.setAttribute('aria-hidden', 'true');
+      handle.textContent = '⠿';
+      item.insertBefore(handle, item.firstChild);
+      addAction('zf-move-up', 'moveUp', '↑');
+      addAction('zf-move-down', 'moveDown', '↓');
+    }
+    if (duplicable) {
+      addAction('zf-duplicate-item', 'duplicateItem', '⧉');
+    }
+    item.insertBefore(actions, getControl(item, 'zf-remove-item'));
+  };
+
+  // Add an item built in the browser, a copy of the item template, of the selector
+  // or a text input
+  var addArrayItem = function (value) {
+    var list = getName();
+    var template = getChild(container, 'zf-item-template');
+
+    // The template's item is renumbered with the others once it is in the list
+    if (template && !selector) {
+      var item = template.content.firstElementChild.cloneNode(true);
+      itemsContainer.appendChild(item);
+      return item;
+    }
+
+    var index = itemsContainer.children.length;
+    var newItem = document.createElement('div');
+    newItem.className = container.getAttribute('data-zf-item-class');
+    newItem.id = list + '-item-' + index;
+    newItem.setAttribute('data-zf-index', index);
+    newItem.innerHTML =
+      '<div class="zf-field"><div class="zf-error"></div></div>' +
+      '<button type="button" class="zf-remove-item">✕</button>';
+
+    // If we have options, use a select input listing them, otherwise a text input
+    var input;
+    if (selector) {
+      input = selector.cloneNode(true);
+      input.removeAttribute('id');
+      input.disabled = false;
+      input.options[0].textContent = window.ZodForm.message(container, 'selectPlaceholder');
+    } else {
+      input = document.createElement('input');
+      input.type = 'text';
+      input.className = container.getAttribute('data-zf-input-class');
+    }
+
+    // Names and values are set as properties, so they are never parsed as markup
+    input.name = list + '[' + index + ']';
+    input.required = true;
+    input.value = value || '';
+    newItem.firstChild.insertBefore(input, newItem.firstChild.firstChild);
+
+    var removeButton = newItem.querySelector('.zf-remove-item');
+    removeButton.id = list + '-remove-' + index;
+    removeButton.setAttribute('aria-label', window.ZodForm.message(container, 'removeItem'));
+    addActions(newItem);
+    itemsContainer.appendChild(newItem);
+
+    // Reset selector if exists
+    if (selector) {
+      selector.selectedIndex = 0;
+    }
+
+    return newItem;
+  };
+
+  // Copy an item below itself, with the values entered in it
+  var duplicateItem = function (item) {
+    var list = getName();
+    var copy = item.cloneNode(true);
+
+    // Selections are not part of the markup that is copied
+    var selects = item.querySelectorAll('select');
+    Array.prototype.forEach.call(copy.querySelectorAll('select'), function (select, index) {
+      Array.prototype.forEach.call(select.options, function (option, optionIndex) {
+        option.selected = selects[index].options[optionIndex].selected;
+      });
+    });
+
+    // Named apart before it is inserted, so its radio buttons leave the item's alone
+    rename(copy, list + '[' + item.getAttribute('data-zf-index') + ']', list + '[zf-copy]');
+    copy.setAttribute('data-zf-index', 'zf-copy');
+    itemsContainer.insertBefore(copy, item.nextElementSibling);
+    changed();
+
+    // Behaviors of the copied fields are attached anew
+    window.ZodForm.init(copy);
+    focusItem(copy);
+  };
+
+  // Move an item one place up or down, keeping the focus on the pressed button
+  var moveItem = function (item, button, offset) {
+    var sibling = offset < 0 ? item.previousElementSibling : item.nextElementSibling;
+    if (!sibling) return;
+
+    itemsContainer.insertBefore(item, offset < 0 ? sibling : sibling.nextElementSibling);
+    changed();
+
+    // At the end of the list the other move button takes the focus
+    var other = getControl(item, offset < 0 ? 'zf-move-down' : 'zf-move-up');
+    (button.disabled ? other : button).focus();
+  };
+
+  // Buttons of existing and added items
+  itemsContainer.addEventListener('click', function (e) {
+    var button = e.target.closest('button');
+    var item = button && getItem(button);
+    if (!item || button !== getControl(item, button.classList[0])) return;
+
+    if (button.classList.contains('zf-remove-item')) {
+      item.remove();
+      changed();
+      // The removed button had focus, keep it in the list
+      addButton.focus();
+    } else if (button.classList.contains('zf-move-up')) {
+      moveItem(item, button, -1);
+    } else if (button.classList.contains('zf-move-down')) {
+      moveItem(item, button, 1);
+    } else if (button.classList.contains('zf-duplicate-item')) {
+      duplicateItem(item);
+    }
+  });
+
+  // Items are dragged by their handle only, so the text in their fields can still be selected
+  itemsContainer.addEventListener('mousedown', function (e) {
+    var handle = e.target.closest('.zf-drag-handle');
+    if (handle && handle.parentElement.parentElement === itemsContainer) {
+      handle.parentElement.draggable = true;
+    }
+  });
+
+  itemsContainer.addEventListener('mouseup', function (e) {
+    var item = getItem(e.target);
+    if (item && item !== dragging) item.draggable = false;
+  });
+
+  itemsContainer.addEventListener('dragstart', function (e) {
+    if (e.target.parentElement !== itemsContainer || !e.target.draggable) return;
+    dragging = e.target;
+    dragging.classList.add('zf-dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', '');
+  });
+
+  // The dragged item takes the place of the item it is dragged over
+  itemsContainer.addEventListener('dragover', function (e) {
+    var item = dragging && getItem(e.target);
+    if (!item) return;
+    e.preventDefault();
+    if (item === dragging) return;
+
+    var rect = item.getBoundingClientRect();
+    var after = e.clientY > rect.top + rect.height / 2;
+    itemsContainer.insertBefore(dragging, after ? item.nextElementSibling : item);
+  });
+
+  itemsContainer.addEventListener('drop', function (e) {
+    if (dragging) e.preventDefault();
+  });
+
+  itemsContainer.addEventListener('dragend', function () {
+    if (!dragging) return;
+    dragging.classList.remove('zf-dragging');
+    dragging.draggable = false;
+    dragging = null;
+    changed();
+  });
+
+  // Add handler for add button
+  addButton.addEventListener('click', function () {
+    var itemUrl = container.getAttribute('data-zf-item-url');
+
+    // Items rendered by the server from the item's type
+    if (itemUrl && window.htmx) {
+      var url =
+        itemUrl +
+        (itemUrl.indexOf('?') === -1 ? '?' : '&') +
+        'name=' +
+        encodeURIComponent(getName()) +
+        '&index=' +
+        itemsContainer.children.length;
+      window.htmx.ajax('GET', url, { target: itemsContainer, swap: 'beforeend' }).then(function () {
+        changed();
+        focusItem(itemsContainer.lastElementChild);
+      });
+      return;
+    }
+
+    var value = '';
+    if (selector) {
+      value = selector.value;
+      if (!value) {
+        // If options exist, require a selection
+        alert(window.ZodForm.message(container, 'selectOptionToAdd'));
+        return;
+      }
+    }
+    var added = addArrayItem(value);
+    changed();
+
+    // Behaviors of the added fields are attached once they have their names
+    window.ZodForm.init(added);
+    focusItem(added);
+  });
+
+  updateControls();
+});
@@ -0,0 +1,23 @@
+/**
+ * Checkbox group behavior - Enforces the item limits the browser cannot express for checkboxes
+ */
+window.ZodForm.define('checkbox-group', function (group) {
+  var boxes = group.querySelectorAll('input[type="checkbox"]');
+  var min = parseInt(group.getAttribute('data-zf-min-items'), 10);
+  var max = parseInt(group.getAttribute('data-zf-max-items'), 10);
+
+  var update = function () {
+    var count = group.querySelectorAll('input[type="checkbox"]:checked').length;
+    boxes.forEach(function (box) {
+      box.disabled = !box.checked && count >= max;
+    });
+    if (boxes.length) {
+      boxes[0].setCustomValidity(
+        count < min ? window.ZodForm.message(group, 'selectAtLeast', { min: min }) : ''
+      );
+    }
+  };
+
+  group.addEventListener('change', update);
+  update();
+});
@@ -0,0 +1,41 @@
+/**
+ * Document upload behavior - Fills a textarea from a dropped-in text document
+ */
+window.ZodForm.define('document-upload', function (container) {
+  var fileInput = container.querySelector('input[type="file"]');
+  var textarea = container.querySelector('textarea');
+
+  if (!fileInput || !textarea) return;
+
+  fileInput.addEventListener('change', function (e) {
+    var file = e.target.files[0];
+    if (!file) return;
+
+    // Check if the file is a text file or document
+    if (
+      file.type.match('text.*') ||
+      file.type.match('application/pdf') ||
+      file.name.endsWith('.md') ||
+      file.name.endsWith('.doc') ||
+      file.name.endsWith('.docx')
+    ) {
+      // For text files, read and insert content
+      if (file.type.match('text.*') || file.name.endsWith('.md')) {
+        var reader = new FileReader();
+        reader.onload = function (event) {
+          textarea.value = event.target.result;
+          // Trigger change event for validation
+          textarea.dispatchEvent(new Event('change', { bubbles: true }));
+        };
+        reader.readAsText(file);
+      } else {
+        // For other documents, just insert a placeholder with the filename
+        textarea.value += '\n[Document attached: ' + file.name + ']';
+        // Reset file input
+        fileInput.value = '';
+      }
+    } else {
+      alert(window.ZodForm.message(container, 'selectDocumentFile'));
+    }
+  });
+});
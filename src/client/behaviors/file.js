@@ -0,0 +1,38 @@
+/**
+ * File behavior - Shows the picked file name and a preview of images
+ */
+window.ZodForm.define('file', function (container) {
+  var fileInput = container.querySelector('input[type="file"]');
+  var fileName = container.querySelector('.zf-file-name');
+  var filePreview = container.querySelector('.zf-image-placeholder');
+  var placeholder = filePreview ? filePreview.innerHTML : '';
+
+  if (!fileInput || !fileName) return;
+
+  fileInput.addEventListener('change', function (e) {
+    var file = e.target.files[0];
+    if (!file) {
+      fileName.textContent = window.ZodForm.message(container, 'noFileSelected');
+      if (filePreview) {
+        filePreview.innerHTML = placeholder;
+      }
+      return;
+    }
+
+    // Update file name display
+    fileName.textContent = file.name;
+
+    // Handle image preview if applicable
+    if (filePreview && file.type.startsWith('image/')) {
+      var reader = new FileReader();
+      reader.onload = function (event) {
+        var image = document.createElement('img');
+        image.src = event.target.result;
+        image.alt = window.ZodForm.message(container, 'preview');
+        filePreview.innerHTML = '';
+        filePreview.appendChild(image);
+      };
+      reader.readAsDataURL(file);
+    }
+  });
+});
@@ -0,0 +1,365 @@
+/**
+ * Form behavior - Client-side validation and conditional fields
+ *
+ * Validation uses the browser's constraints, or the checks compiled from the Zod
+ * schema for forms rendered with `clientValidation: 'schema'` (see schema.js).
+ * Conditional fields follow the rules of `conditionalLogic` (see rules.js).
+ */
+window.ZodForm.define('form', function (form) {
+  // Checks compiled from the Zod schema, if any
+  var schema = JSON.parse(form.getAttribute('data-zf-schema') || 'null');
+
+  // Find the error element - may be nested in a container
+  var getErrorElement = function (field) {
+    var errorElement = field.parentNode.querySelector('.zf-error');
+    if (!errorElement && field.parentNode.parentNode) {
+      errorElement = field.parentNode.parentNode.querySelector('.zf-error');
+    }
+    return errorElement;
+  };
+
+  // Submitted value of a field, the checked one for radio buttons
+  var getValue = function (name) {
+    var inputs = form.querySelectorAll('[name="' + CSS.escape(name) + '"]:not([disabled])');
+    var input = inputs[0];
+    if (!input) return null;
+    if (input.type === 'radio') {
+      var checked = form.querySelector('[name="' + CSS.escape(name) + '"]:checked:not([disabled])');
+      return checked ? checked.value : '';
+    }
+    return input.value;
+  };
+
+  // Value the form submits for a name, as the server's rules see it: a list for
+  // checkbox groups, multiple selects and nested fields, empty when left out
+  var getSubmittedValue = function (name) {
+    var selector = '[name="' + CSS.escape(name) + '"]:not(:disabled)';
+    var inputs = Array.prototype.slice.call(form.querySelectorAll(selector));
+    var isSubmitted = function (input) {
+      return (input.type !== 'checkbox' && input.type !== 'radio') || input.checked;
+    };
+
+    if (!inputs.length) {
+      var nested = form.querySelectorAll('[name^="' + CSS.escape(name + '[') + '"]:not(:disabled)');
+      var values = Array.prototype.filter.call(nested, isSubmitted).map(function (input) {
+        return input.value;
+      });
+      return values.length ? values : '';
+    }
+
+    var input = inputs[0];
+    var checked = inputs.filter(isSubmitted).map(function (item) {
+      return item.value;
+    });
+    if (input.type === 'radio') return checked[0] || '';
+    if (input.type === 'checkbox') {
+      var isGroup = inputs.length > 1 || input.closest('[data-zf-behavior="checkbox-group"]');
+      return isGroup ? checked : checked[0] || '';
+    }
+    if (input.multiple) {
+      return Array.prototype.map.call(input.selectedOptions, function (option) {
+        return option.value;
+      });
+    }
+    return input.value;
+  };
+
+  // Message of the schema's checks (in place of the browser's) and the cross-field rules on a field
+  var getSchemaMessage = function (field, message) {
+    var rule = schema.fields[field.name];
+    if (rule) {
+      message = window.ZodForm.schema.validateValue(rule, getValue(field.name));
+    }
+
+    schema.rules.forEach(function (crossRule) {
+      var value = getValue(crossRule.field);
+      var other = getValue(crossRule.other);
+      if (message || crossRule.field !== field.name || value === null || other === null) return;
+
+      var type = schema.fields[crossRule.field] || { type: 'string' };
+      message = window.ZodForm.schema.validateRule(crossRule, value, other, type);
+    });
+
+    return message;
+  };
+
+  // Message of the browser's failed constraint, the schema's own one if it has one
+  var getNativeMessage = function (field) {
+    if (field.checkValidity()) return '';
+
+    // `data-zf-msg-*` attribute (set from the schema's custom messages) of each constraint
+    var constraints = {
+      valueMissing: 'Required',
+      tooShort: 'MinLength',
+      tooLong: 'MaxLength',
+      patternMismatch: 'Pattern',
+      typeMismatch: field.type === 'url' ? 'Url' : 'Email',
+      rangeUnderflow: 'Min',
+      rangeOverflow: 'Max',
+      stepMismatch: 'Step',
+      badInput: 'Type'
+    };
+    var failed = Object.keys(constraints).filter(function (constraint) {
+      return field.validity[constraint];
+    })[0];
+
+    return (
+      (failed && field.dataset['zfMsg' + constraints[failed]]) ||
+      field.validationMessage ||
+      window.ZodForm.message(form, 'fieldInvalid')
+    );
+  };
+
+  // Mark a field invalid for sight (the class) and for assistive technology
+  var setInvalid = function (field, invalid) {
+    field.classList.toggle('zf-invalid', invalid);
+    if (invalid) {
+      field.setAttribute('aria-invalid', 'true');
+    } else {
+      field.removeAttribute('aria-invalid');
+    }
+  };
+
+  // Show the field's validation message in its error element
+  var validateField = function (field) {
+    var errorElement = getErrorElement(field);
+    if (!errorElement) return true;
+
+    var message = getNativeMessage(field);
+    if (schema && window.ZodForm.schema) {
+      message = getSchemaMessage(field, message);
+    }
+
+    // Fields required by a rule are optional in the schema, the rule reports them
+    if (
+      !message &&
+      field.hasAttribute('data-zf-rule-required') &&
+      window.ZodForm.rules.isEmpty(getSubmittedValue(field.name))
+    ) {
+      message = window.ZodForm.message(form, 'required');
+    }
+
+    errorElement.textContent = message;
+    setInvalid(field, !!message);
+    return !message;
+  };
+
+  // Open collapsed objects holding an invalid field so its error can be seen, and
+  // let the elements hiding it otherwise (tabs) show it on `zf:reveal`
+  var reveal = function (field) {
+    var details = field.closest('details');
+    while (details) {
+      details.open = true;
+      details = details.parentElement.closest('details');
+    }
+    field.dispatchEvent(new CustomEvent('zf:reveal', { bubbles: true }));
+  };
+
+  // Validate fields when they are left, schema-checked ones also when they change
+  form
+    .querySelectorAll(schema ? 'input, select, textarea' : '[required]')
+    .forEach(function (field) {
+      field.addEventListener('blur', function () {
+        validateField(field);
+      });
+    });
+
+  if (schema) {
+    form.addEventListener('change', function (e) {
+      if (!e.target.name) return;
+      validateField(e.target);
+
+      // Revisit the fields whose cross-field rules depend on the changed one
+      schema.rules.forEach(function (crossRule) {
+        if (crossRule.other !== e.target.name) return;
+        var target = form.querySelector('[name="' + CSS.escape(crossRule.field) + '"]');
+        if (target && getValue(crossRule.field)) validateField(target);
+      });
+    });
+  }
+
+  // Error messages of the server's field validation, swapped into a field's error element
+  form.addEventListener('htmx:afterSwap', function (e) {
+    var errorElement = e.detail.target;
+    if (!errorElement.classList.contains('zf-error') || !errorElement.id) return;
+
+    form
+      .querySelectorAll('[aria-describedby~="' + CSS.escape(errorElement.id) + '"]')
+      .forEach(function (field) {
+        setInvalid(field, errorElement.textContent.trim() !== '');
+      });
+  });
+
+  form.addEventListener(
+    'invalid',
+    function (e) {
+      reveal(e.target);
+    },
+    true
+  );
+
+  // Form submission
+  form.addEventListener('submit', function (e) {
+    // Buttons such as "Back" skip validation
+    if (e.submitter && e.submitter.formNoValidate) return;
+
+    var isValid = true;
+    form
+      .querySelectorAll('input:not([disabled]), select:not([disabled]), textarea:not([disabled])')
+      .forEach(function (field) {
+        if (!validateField(field)) {
+          if (isValid) reveal(field);
+          isValid = false;
+        }
+      });
+
+    if (!isValid && !(e.submitter && e.submitter.hasAttribute('hx-post'))) {
+      e.preventDefault();
+    }
+  });
+
+  // Conditional logic, rules keyed by input name (see core/rules.js)
+  var rules = JSON.parse(form.getAttribute('data-zf-conditions') || '{}');
+  var targets = {};
+  var updating = false;
+
+  Object.keys(rules).forEach(function (name) {
+    var target =
+      form.querySelector('#' + CSS.escape('field-' + name)) ||
+      form.querySelector('#' + CSS.escape(name + '-fieldset'));
+
+    if (!target) {
+      console.warn('Conditional field not found', { targetField: name });
+      return;
+    }
+
+    // Style setup for transitions
+    target.style.transition = 'opacity 0.2s ease-in';
+    targets[name] = target;
+  });
+
+  var evaluate = function (condition) {
+    return window.ZodForm.rules.evaluate(condition, getSubmittedValue);
+  };
+
+  var setVisible = function (target, show, animate) {
+    if (target.zfShown === show) return;
+    target.zfShown = show;
+
+    // Set visibility with transition
+    if (show) {
+      target.style.display = '';
+      // Add a small delay to let display take effect before adding opacity
+      setTimeout(function () {
+        target.style.opacity = '1';
+      }, 10);
+    } else {
+      target.style.opacity = '0';
+      // After the transition completes, hide the element
+      setTimeout(
+        function () {
+          if (!target.zfShown) target.style.display = 'none';
+        },
+        animate ? 200 : 0
+      );
+    }
+  };
+
+  // Required by a rule: checked on submit, announced and marked in the label
+  var setRequired = function (name, target, required) {
+    target
+      .querySelectorAll('input:not([type="hidden"]), select, textarea')
+      .forEach(function (input) {
+        input.toggleAttribute('data-zf-rule-required', required);
+        if (required) {
+          input.setAttribute('aria-required', 'true');
+        } else if (!input.required) {
+          input.removeAttribute('aria-required');
+        }
+      });
+
+    var label = form.querySelector('#' + CSS.escape(name + '-label'));
+    var marker = label && label.querySelector('.zf-required');
+    if (label && required && !marker) {
+      marker = document.createElement('span');
+      marker.className = 'zf-required zf-rule-required';
+      marker.textContent = '*';
+      label.appendChild(marker);
+    } else if (marker && !required && marker.classList.contains('zf-rule-required')) {
+      marker.remove();
+    }
+  };
+
+  // Set the inputs of a name to a value, returns whether anything changed
+  var setValue = function (name, value) {
+    var changed = [];
+    form.querySelectorAll('[name="' + CSS.escape(name) + '"]').forEach(function (input) {
+      if (input.type === 'checkbox' || input.type === 'radio') {
+        if (input.checked !== (input.value === String(value))) {
+          input.checked = !input.checked;
+          changed.push(input);
+        }
+      } else if (input.value !== String(value)) {
+        input.value = String(value);
+        changed.push(input);
+      }
+    });
+
+    // Let other behaviors (e.g. star ratings) follow the new value
+    changed.forEach(function (input) {
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    return changed.length > 0;
+  };
+
+  var updateRules = function (animate) {
+    updating = true;
+
+    // Leaving a field out can change the rules depending on it, settle the chain
+    for (var round = 0; round <= Object.keys(targets).length; round++) {
+      var changed = false;
+      var inactive = [];
+
+      Object.keys(targets).forEach(function (name) {
+        var rule = rules[name];
+        var target = targets[name];
+
+        (rule.set || []).forEach(function (item) {
+          if (evaluate(item.when) && setValue(name, item.value)) changed = true;
+        });
+
+        var shown = !rule.show || evaluate(rule.show);
+        var enabled = !rule.enable || evaluate(rule.enable);
+        if (rule.show) setVisible(target, shown, animate);
+        if (rule.require) setRequired(name, target, shown && enabled && evaluate(rule.require));
+        if (!shown || !enabled) inactive.push(target);
+      });
+
+      // Inputs of hidden and disabled fields are not submitted (nor validated), inputs
+      // disabled otherwise (read-only fields, full checkbox groups) are left alone
+      form.querySelectorAll('input, select, textarea').forEach(function (input) {
+        var inactiveInput = inactive.some(function (target) {
+          return target.contains(input);
+        });
+        if (inactiveInput && !input.disabled) {
+          input.disabled = input.zfRuleDisabled = true;
+          changed = true;
+        } else if (!inactiveInput && input.zfRuleDisabled) {
+          input.disabled = input.zfRuleDisabled = false;
+          changed = true;
+        }
+      });
+
+      if (!changed) break;
+    }
+
+    updating = false;
+  };
+
+  if (Object.keys(targets).length) {
+    updateRules(false);
+    form.addEventListener('change', function () {
+      if (!updating) updateRules(true);
+    });
+  }
+});
@@ -0,0 +1,63 @@
+/**
+ * Modal behavior - Moves focus into the dialog, keeps it there and gives it back on close
+ *
+ * Escape closes the modal through its close button, so the server's close route
+ * runs the same way it does for a click.
+ */
+window.ZodForm.define('modal', function (overlay) {
+  var dialog = overlay.querySelector('[role="dialog"]');
+  var closeButton = overlay.querySelector('.zf-modal-close');
+  var previousFocus = document.activeElement;
+
+  if (!dialog) return;
+
+  var getFocusable = function () {
+    return Array.prototype.slice
+      .call(
+        dialog.querySelectorAll(
+          'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+            'select:not([disabled]), textarea:not([disabled]), [tabindex="0"]'
+        )
+      )
+      .filter(function (element) {
+        return element.offsetParent !== null;
+      });
+  };
+
+  // Start in the form rather than on the close button
+  var focusable = getFocusable();
+  var first = focusable.filter(function (element) {
+    return element !== closeButton;
+  })[0];
+  (first || dialog).focus();
+
+  overlay.addEventListener('keydown', function (e) {
+    if (e.key === 'Escape' && closeButton) {
+      e.preventDefault();
+      closeButton.click();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    // Wrap around at either end of the dialog
+    var elements = getFocusable();
+    if (!elements.length) return;
+    var last = elements[elements.length - 1];
+    if (e.shiftKey && document.activeElement === elements[0]) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      elements[0].focus();
+    }
+  });
+
+  // The overlay is replaced when the modal closes (or the form is submitted)
+  document.body.addEventListener('htmx:afterSwap', function restoreFocus() {
+    if (document.body.contains(overlay)) return;
+    document.body.removeEventListener('htmx:afterSwap', restoreFocus);
+    if (previousFocus && document.body.contains(previousFocus)) {
+      previousFocus.focus();
+    }
+  });
+});
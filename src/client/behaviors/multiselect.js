@@ -0,0 +1,81 @@
+/**
+ * Multi-select behavior - Hides a native multi-select behind a search box, picked options
+ * are shown as removable chips
+ */
+window.ZodForm.define('multiselect', function (container) {
+  var select = container.querySelector('select');
+  var search = container.querySelector('.zf-multiselect-search');
+  var chips = container.querySelector('.zf-chips');
+  var list = container.querySelector('.zf-multiselect-options');
+
+  if (!select || !search || !chips || !list) return;
+
+  var min = parseInt(select.getAttribute('data-zf-min-items'), 10);
+  var max = parseInt(select.getAttribute('data-zf-max-items'), 10);
+
+  select.hidden = true;
+  search.hidden = false;
+
+  var render = function () {
+    var selected = Array.prototype.filter.call(select.options, function (option) {
+      return option.selected;
+    });
+
+    // One chip per picked option
+    chips.innerHTML = '';
+    selected.forEach(function (option) {
+      var chip = document.createElement('span');
+      chip.className = 'zf-chip';
+      chip.textContent = option.textContent.trim();
+
+      var remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.setAttribute(
+        'aria-label',
+        window.ZodForm.message(container, 'removeOption', { label: chip.textContent })
+      );
+      remove.addEventListener('click', function () {
+        option.selected = false;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+
+      chip.appendChild(remove);
+      chips.appendChild(chip);
+    });
+
+    // Suggest the options that match the search and are not picked yet,
+    // until the maximum is reached (max is NaN when there is none)
+    var term = search.value.trim().toLowerCase();
+    list.innerHTML = '';
+    if (!(selected.length >= max)) {
+      Array.prototype.forEach.call(select.options, function (option) {
+        var label = option.textContent.trim();
+        if (option.selected || label.toLowerCase().indexOf(term) === -1) return;
+
+        var item = document.createElement('li');
+        item.textContent = label;
+        item.addEventListener('mousedown', function (e) {
+          e.preventDefault();
+          option.selected = true;
+          search.value = '';
+          select.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+        list.appendChild(item);
+      });
+    }
+    list.hidden = document.activeElement !== search || !list.children.length;
+
+    search.setCustomValidity(
+      selected.length < min ? window.ZodForm.message(container, 'selectAtLeast', { min: min }) : ''
+    );
+  };
+
+  select.addEventListener('change', render);
+  search.addEventListener('input', render);
+  search.addEventListener('focus', render);
+  search.addEventListener('blur', function () {
+    list.hidden = true;
+  });
+  render();
+});
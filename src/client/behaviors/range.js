@@ -0,0 +1,17 @@
+/**
+ * Range behavior - Shows the current value of a slider
+ */
+window.ZodForm.define('range', function (container) {
+  var rangeInput = container.querySelector('input[type="range"]');
+  var rangeOutput = container.querySelector('.zf-range-output');
+
+  if (!rangeInput || !rangeOutput) return;
+
+  // Set initial value
+  rangeOutput.textContent = rangeInput.value;
+
+  // Update on input
+  rangeInput.addEventListener('input', function () {
+    rangeOutput.textContent = rangeInput.value;
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Rules - Evaluates the conditions of the form's conditional logic
+ *
+ * Used by the form behavior of forms with `conditionalLogic`, deciding as the
+ * server does (see core/rules.js) on the values the form would submit.
+ */
+(function () {
+  var TRUE_VALUES = ['true', 'on', '1', 'yes'];
+
+  // Missing, an empty string or an empty list
+  var isEmpty = function (value) {
+    return (
+      value === undefined ||
+      value === null ||
+      value === '' ||
+      (Array.isArray(value) && !value.length) ||
+      (typeof value === 'object' && !Array.isArray(value) && !Object.keys(value).length)
+    );
+  };
+
+  // Booleans as checkbox states, numbers numerically, everything else as strings
+  var compare = function (value, operand) {
+    var text = value === undefined || value === null ? '' : String(value);
+    if (typeof operand === 'boolean') {
+      return Number(TRUE_VALUES.indexOf(text.toLowerCase()) !== -1) - Number(operand);
+    }
+    if (typeof operand === 'number' || (text !== '' && !isNaN(text) && !isNaN(operand))) {
+      return text === '' ? NaN : Number(text) - Number(operand);
+    }
+    return text < String(operand) ? -1 : text > String(operand) ? 1 : 0;
+  };
+
+  // Whether a value (any item of a list of values) passes an operator
+  var passes = function (operator, value, operand) {
+    var values = Array.isArray(value) ? value : [value];
+    var some = function (check) {
+      return values.some(check);
+    };
+
+    switch (operator) {
+      case 'equals':
+        return some(function (item) {
+          return compare(item, operand) === 0;
+        });
+      case 'notEquals':
+        return !passes('equals', value, operand);
+      case 'in':
+        return some(function (item) {
+          return [].concat(operand).some(function (option) {
+            return compare(item, option) === 0;
+          });
+        });
+      case 'notIn':
+        return !passes('in', value, operand);
+      case 'gt':
+        return (
+          !isEmpty(value) &&
+          some(function (item) {
+            return compare(item, operand) > 0;
+          })
+        );
+      case 'gte':
+        return (
+          !isEmpty(value) &&
+          some(function (item) {
+            return compare(item, operand) >= 0;
+          })
+        );
+      case 'lt':
+        return (
+          !isEmpty(value) &&
+          some(function (item) {
+            return compare(item, operand) < 0;
+          })
+        );
+      case 'lte':
+        return (
+          !isEmpty(value) &&
+          some(function (item) {
+            return compare(item, operand) <= 0;
+          })
+        );
+      case 'isEmpty':
+        return isEmpty(value) === Boolean(operand);
+      default:
+        return some(function (item) {
+          return new RegExp(operand).test(item == null ? '' : String(item));
+        });
+    }
+  };
+
+  /**
+   * Whether a condition holds, `getValue` returns the submitted value of an input name
+   */
+  var evaluate = function (condition, getValue) {
+    if (condition.all) {
+      return condition.all.every(function (item) {
+        return evaluate(item, getValue);
+      });
+    }
+    if (condition.any) {
+      return condition.any.some(function (item) {
+        return evaluate(item, getValue);
+      });
+    }
+    if (condition.not) return !evaluate(condition.not, getValue);
+
+    var value = getValue(condition.field);
+    return Object.keys(condition)
+      .filter(function (key) {
+        return key !== 'field';
+      })
+      .every(function (operator) {
+        return passes(operator, value, condition[operator]);
+      });
+  };
+
+  window.ZodForm.rules = {
+    evaluate: evaluate,
+    isEmpty: isEmpty
+  };
+})();
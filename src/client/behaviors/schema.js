@@ -0,0 +1,124 @@
+/**
+ * Schema validation - Evaluates the checks compiled from the form's Zod schema
+ *
+ * Used by the form behavior of forms rendered with `clientValidation: 'schema'`,
+ * reporting the messages Zod reports on the server.
+ */
+(function () {
+  // Zod's email pattern
+  var EMAIL = /^(?!\.)(?!.*\.\.)([A-Z0-9_'+\-.]*)[A-Z0-9_+-]@([A-Z0-9][A-Z0-9-]*\.)+[A-Z]{2,}$/i;
+
+  var isUrl = function (value) {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  // Remainder that ignores floating point noise, as Zod computes it
+  var remainder = function (value, step) {
+    var decimals = function (n) {
+      return (String(n).split('.')[1] || '').length;
+    };
+    var places = Math.max(decimals(value), decimals(step));
+    var toInt = function (n) {
+      return parseInt(n.toFixed(places).replace('.', ''), 10);
+    };
+    return (toInt(value) % toInt(step)) / Math.pow(10, places);
+  };
+
+  var checkString = function (check, value) {
+    switch (check.kind) {
+      case 'min':
+        return value.length >= check.value;
+      case 'max':
+        return value.length <= check.value;
+      case 'length':
+        return value.length === check.value;
+      case 'email':
+        return EMAIL.test(value);
+      case 'url':
+        return isUrl(value);
+      case 'regex':
+        return new RegExp(check.source, check.flags).test(value);
+      default:
+        return true;
+    }
+  };
+
+  var checkNumber = function (check, value) {
+    switch (check.kind) {
+      case 'min':
+        return check.inclusive ? value >= check.value : value > check.value;
+      case 'max':
+        return check.inclusive ? value <= check.value : value < check.value;
+      case 'int':
+        return Number.isInteger(value);
+      case 'multipleOf':
+        return remainder(value, check.value) === 0;
+      default:
+        return true;
+    }
+  };
+
+  /**
+   * Parse the submitted string of a field: a number, a timestamp or the string itself
+   */
+  var parseValue = function (rule, value) {
+    if (rule.type === 'number') return value.trim() === '' ? NaN : Number(value);
+    if (rule.type === 'date') return Date.parse(value);
+    return value;
+  };
+
+  /**
+   * Error message for the value of a field, or an empty string when it is valid
+   */
+  var validateValue = function (rule, value) {
+    // Empty inputs are "no value" for everything except required strings
+    if (value === '' && !(rule.type === 'string' && rule.required)) {
+      return rule.required ? rule.requiredMessage : '';
+    }
+
+    var parsed = parseValue(rule, value);
+    if (rule.type !== 'string' && rule.type !== 'enum' && isNaN(parsed)) {
+      return rule.typeMessage;
+    }
+    if (rule.type === 'enum' && rule.options.indexOf(value) === -1) {
+      return rule.typeMessage.replace('{received}', value);
+    }
+
+    var check = rule.type === 'string' ? checkString : checkNumber;
+    var failed = (rule.checks || []).filter(function (item) {
+      return !check(item, parsed);
+    })[0];
+
+    return failed ? failed.message : '';
+  };
+
+  /**
+   * Error message of a cross-field rule, or an empty string when it holds
+   */
+  var validateRule = function (rule, value, other, type) {
+    if (value === '' || other === '') return '';
+
+    var a = parseValue(type, value);
+    var b = parseValue(type, other);
+    var holds = {
+      equals: a === b,
+      notEquals: a !== b,
+      lt: a < b,
+      lte: a <= b,
+      gt: a > b,
+      gte: a >= b
+    }[rule.operator];
+
+    return holds ? '' : rule.message;
+  };
+
+  window.ZodForm.schema = {
+    validateValue: validateValue,
+    validateRule: validateRule
+  };
+})();
@@ -0,0 +1,54 @@
+/**
+ * Star rating behavior - Stores the clicked star in a hidden input
+ *
+ * The stars are a radio group: arrow keys, Home and End move between them
+ * and select, Space and Enter select the focused star.
+ */
+window.ZodForm.define('stars', function (container) {
+  var hiddenInput = container.querySelector('input[type="hidden"]');
+  var stars = Array.prototype.slice.call(container.querySelectorAll('.zf-star'));
+
+  if (!hiddenInput) return;
+
+  var select = function (star) {
+    var value = parseInt(star.getAttribute('data-value'), 10);
+    hiddenInput.value = value;
+
+    // Update active state, only the selected star is in the tab order
+    stars.forEach(function (other) {
+      var starValue = parseInt(other.getAttribute('data-value'), 10);
+      other.classList.toggle('zf-star-active', starValue <= value);
+      other.setAttribute('aria-checked', other === star ? 'true' : 'false');
+      other.setAttribute('tabindex', other === star ? '0' : '-1');
+    });
+
+    // Trigger change event for validation
+    hiddenInput.dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  stars.forEach(function (star, index) {
+    star.addEventListener('click', function () {
+      select(star);
+    });
+
+    star.addEventListener('keydown', function (e) {
+      var next = {
+        ArrowRight: index + 1,
+        ArrowUp: index + 1,
+        ArrowLeft: index - 1,
+        ArrowDown: index - 1,
+        Home: 0,
+        End: stars.length - 1,
+        ' ': index,
+        Enter: index
+      }[e.key];
+
+      if (next === undefined) return;
+      e.preventDefault();
+
+      var target = stars[Math.max(0, Math.min(stars.length - 1, next))];
+      select(target);
+      target.focus();
+    });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Tabs behavior - Sections shown as tabbed panels
+ */
+window.ZodForm.define('tabs', function (container) {
+  var tabList = container.querySelector('[role="tablist"]');
+  var tabs = tabList.querySelectorAll('[role="tab"]');
+  var switching = false;
+
+  var select = function (tab) {
+    tabs.forEach(function (other) {
+      var active = other === tab;
+      other.setAttribute('aria-selected', active ? 'true' : 'false');
+      other.tabIndex = active ? 0 : -1;
+      document.getElementById(other.getAttribute('aria-controls')).hidden = !active;
+    });
+  };
+
+  tabs.forEach(function (tab) {
+    tab.addEventListener('click', function () {
+      select(tab);
+    });
+  });
+
+  // Show the first panel holding an invalid field, revealed by the form behavior both
+  // for the browser's checks and for schema validation (which turns those off)
+  container.addEventListener('zf:reveal', function (e) {
+    // The panel of these tabs, not of tabs nested in it
+    var panel = e.target.closest('[role="tabpanel"]');
+    while (panel && panel.parentElement.closest('[data-zf-behavior="tabs"]') !== container) {
+      panel = panel.parentElement.closest('[role="tabpanel"]');
+    }
+    if (switching || !panel || !panel.hidden) return;
+    switching = true;
+    setTimeout(function () {
+      switching = false;
+    }, 0);
+    select(document.getElementById(panel.id + '-tab'));
+  });
+
+  tabList.hidden = false;
+  container.classList.add('zf-tabs-ready');
+  select(tabs[0]);
+});
@@ -0,0 +1,18 @@
+/**
+ * Discriminated union behavior - Swaps the sub-form when another variant is selected
+ */
+window.ZodForm.define('union', function (container) {
+  var selector = document.getElementById(container.getAttribute('data-zf-selector'));
+  var variants = container.querySelector('.zf-variants');
+
+  if (!selector || !variants) return;
+
+  // Only the selected variant is enabled, so the others are neither validated nor submitted
+  selector.addEventListener('change', function () {
+    variants.querySelectorAll(':scope > [data-zf-variant]').forEach(function (panel) {
+      var active = panel.getAttribute('data-zf-variant') === selector.value;
+      panel.disabled = !active;
+      panel.hidden = !active;
+    });
+  });
+});
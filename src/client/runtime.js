@@ -0,0 +1,82 @@
+/**
+ * ZodForm client runtime - Attaches behaviors to elements marked with `data-zf-behavior`
+ *
+ * Served as a static script or inlined once per form, so it guards against
+ * being loaded twice and can attach itself to markup added later (HTMX swaps).
+ */
+(function () {
+  'use strict';
+
+  if (window.ZodForm) {
+    window.ZodForm.init(document);
+    return;
+  }
+
+  var behaviors = {};
+  var started = false;
+
+  var ZodForm = {
+    /**
+     * Register the setup function of a behavior, called once per marked element
+     */
+    define: function (name, setup) {
+      behaviors[name] = setup;
+
+      // Behaviors loaded after the page (e.g. with a form swapped in later) attach right away
+      if (started) {
+        ZodForm.init(document);
+      }
+    },
+
+    /**
+     * Message for an element, from the `data-zf-messages` its form carries in the
+     * form's locale, with `{name}` parameters filled in
+     */
+    message: function (element, key, params) {
+      var form = element.closest('[data-zf-messages]');
+      var messages = form ? JSON.parse(form.getAttribute('data-zf-messages')) : {};
+      var text = messages[key] || key;
+
+      return text.replace(/\{(\w+)\}/g, function (match, name) {
+        return params && name in params ? String(params[name]) : match;
+      });
+    },
+
+    /**
+     * Attach behaviors to the marked elements in (and including) a root element
+     */
+    init: function (root) {
+      var scope = root || document;
+      var elements = Array.prototype.slice.call(scope.querySelectorAll('[data-zf-behavior]'));
+      if (scope.getAttribute && scope.getAttribute('data-zf-behavior')) {
+        elements.unshift(scope);
+      }
+
+      elements.forEach(function (element) {
+        var setup = behaviors[element.getAttribute('data-zf-behavior')];
+        if (!setup || element.zfReady) return;
+        element.zfReady = true;
+        setup(element);
+      });
+    }
+  };
+
+  window.ZodForm = ZodForm;
+
+  var start = function () {
+    started = true;
+    ZodForm.init(document);
+  };
+
+  // Behaviors are registered by the scripts that follow, so start once the page is parsed
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    setTimeout(start, 0);
+  }
+
+  // Content swapped in by HTMX
+  document.addEventListener('htmx:load', function (e) {
+    ZodForm.init(e.target);
+  });
+})();
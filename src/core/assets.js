@@ -0,0 +1,217 @@
+/**
+ * Assets - The client script and stylesheet, inlined into the page or served as static files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { darkTheme } = require('../styles/dark');
+const { lightTheme } = require('../styles/light');
+const { elementStyles } = require('../styles/elements');
+const { attributesToString } = require('./html');
+
+const CLIENT_DIR = path.join(__dirname, '../client');
+
+// Behaviors of the client script, each attached to the elements marked `data-zf-behavior="name"`,
+// and the schema validator the form behavior uses with `clientValidation: 'schema'`
+const BEHAVIORS = [
+  'schema',
+  'rules',
+  'form',
+  'tabs',
+  'array',
+  'checkbox-group',
+  'multiselect',
+  'document-upload',
+  'file',
+  'range',
+  'stars',
+  'union',
+  'modal'
+];
+
+const DEFAULT_ASSETS_URL = '/zod-form';
+
+const scriptCache = new Map();
+
+/**
+ * Opening tag with attributes, e.g. `<style nonce="...">`
+ */
+const openTag = (tag, attributes) => {
+  const attributesHtml = attributesToString(attributes);
+  return attributesHtml ? `<${tag} ${attributesHtml}>` : `<${tag}>`;
+};
+
+/**
+ * Read a file of the client script, `runtime` or a behavior
+ */
+const readClientFile = (name) => {
+  if (!scriptCache.has(name)) {
+    const file = name === 'runtime' ? 'runtime.js' : `behaviors/${name}.js`;
+    scriptCache.set(name, fs.readFileSync(path.join(CLIENT_DIR, file), 'utf8'));
+  }
+  return scriptCache.get(name);
+};
+
+/**
+ * Get the client script: the runtime followed by every behavior
+ *
+ * @returns {string} - JavaScript source
+ */
+const getClientScript = () => {
+  return ['runtime', ...BEHAVIORS].map(readClientFile).join('\n');
+};
+
+/**
+ * Get the stylesheet of a theme, including the styles of every element
+ *
+ * @param {string} theme - `"dark"` or `"light"`
+ * @returns {string} - CSS
+ */
+const getStylesheet = (theme) => {
+  return `${theme === 'light' ? lightTheme : darkTheme}${Object.values(elementStyles).join('')}`;
+};
+
+/**
+ * Static files served by the assets middleware, keyed by file name
+ */
+const getAssetFiles = () => ({
+  'zod-form.js': { type: 'application/javascript', content: getClientScript() },
+  'zod-form.css': { type: 'text/css', content: getStylesheet('dark') },
+  'zod-form-light.css': { type: 'text/css', content: getStylesheet('light') }
+});
+
+/**
+ * Create a collector for the scripts and styles of the forms on a page
+ *
+ * Elements register the assets they need by name, custom elements can add their
+ * own under a key. Every asset is kept once however many fields or forms use it,
+ * and `flush()` renders the ones not rendered yet.
+ *
+ * Inline by default. With `assets: 'external'` the built-in assets are linked
+ * from `assetsUrl` (the static files served by `zodForm.serveAssets()`), only
+ * assets added with `addStyle`/`addScript` are inlined. `nonce` is set on every tag.
+ *
+ * @param {object} options - `{ nonce, assets, assetsUrl }`
+ * @returns {object} - Asset collector
+ */
+const createAssetCollector = (options = {}) => {
+  const external = options.assets === 'external';
+  const assetsUrl = options.assetsUrl || DEFAULT_ASSETS_URL;
+  const styles = new Map();
+  const scripts = new Map();
+  const flushed = new Set();
+
+  const addAsset = (assets, key, asset) => {
+    if (!assets.has(key)) {
+      assets.set(key, asset);
+    }
+  };
+
+  // The runtime comes before the behaviors that register themselves with it. The
+  // linked bundle is not deferred, so the inline scripts after it can use it too
+  const useRuntime = () => {
+    if (external) {
+      addAsset(scripts, 'zod-form.js', { src: `${assetsUrl}/zod-form.js` });
+    } else {
+      addAsset(scripts, 'runtime', { content: readClientFile('runtime') });
+    }
+  };
+
+  const useScript = (name) => {
+    useRuntime();
+    if (!external) {
+      addAsset(scripts, name, { content: readClientFile(name) });
+    }
+  };
+
+  const renderAssets = (assets, tag) => {
+    const pending = [...assets.entries()].filter(([key]) => !flushed.has(key));
+    pending.forEach(([key]) => flushed.add(key));
+
+    const links = pending
+      .filter(([_, asset]) => asset.src)
+      .map(([_, asset]) =>
+        tag === 'style'
+          ? openTag('link', { rel: 'stylesheet', href: asset.src, nonce: options.nonce })
+          : `${openTag('script', { src: asset.src, nonce: options.nonce })}</script>`
+      );
+
+    // Inline assets share one tag
+    const content = pending
+      .filter(([_, asset]) => !asset.src)
+      .map(([_, asset]) => asset.content)
+      .join('\n');
+
+    return `${links.join('')}${
+      content ? `${openTag(tag, { nonce: options.nonce })}\n${content}\n</${tag}>` : ''
+    }`;
+  };
+
+  const collector = {
+    /**
+     * Use the stylesheet of a theme, `"dark"` or `"light"`
+     */
+    useTheme: (theme) => {
+      const name = theme === 'light' ? 'light' : 'dark';
+      if (external) {
+        const file = name === 'light' ? 'zod-form-light.css' : 'zod-form.css';
+        addAsset(styles, file, { src: `${assetsUrl}/${file}` });
+      } else {
+        addAsset(styles, `theme:${name}`, { content: name === 'light' ? lightTheme : darkTheme });
+        addAsset(styles, 'element:base', { content: elementStyles.base });
+      }
+      return collector;
+    },
+
+    /**
+     * Use the styles and client behaviors of built-in elements, e.g. `use('stars')`
+     */
+    use: (...names) => {
+      names.forEach((name) => {
+        if (BEHAVIORS.includes(name)) {
+          useScript(name);
+        }
+        if (!external && elementStyles[name]) {
+          addAsset(styles, `element:${name}`, { content: elementStyles[name] });
+        }
+      });
+      return collector;
+    },
+
+    /**
+     * Add CSS, kept once per key
+     */
+    addStyle: (key, content) => {
+      addAsset(styles, `custom:${key}`, { content });
+      return collector;
+    },
+
+    /**
+     * Add a script, kept once per key and run after the runtime
+     */
+    addScript: (key, content) => {
+      useRuntime();
+      addAsset(scripts, `custom:${key}`, { content });
+      return collector;
+    },
+
+    /**
+     * Render the assets collected since the last flush
+     *
+     * @returns {object} - `{ styles, scripts }` HTML
+     */
+    flush: () => ({
+      styles: renderAssets(styles, 'style'),
+      scripts: renderAssets(scripts, 'script')
+    })
+  };
+
+  return collector;
+};
+
+module.exports = {
+  getClientScript,
+  getStylesheet,
+  getAssetFiles,
+  createAssetCollector
+};
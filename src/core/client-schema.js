@@ -0,0 +1,422 @@
+/**
+ * Client schema - Compile the checks of a Zod schema for the browser's schema validator
+ *
+ * Zod types hold functions, so they cannot be sent to the browser as-is. The
+ * checks the client can evaluate (lengths, bounds, patterns, enum values, ...)
+ * are compiled into plain data along with the messages Zod would report for them.
+ */
+
+const { z } = require('zod');
+const { unwrapZodType } = require('./schema-parser');
+const i18n = require('./i18n');
+
+// Comparison operators of cross-field rules
+const OPERATORS = ['equals', 'notEquals', 'lt', 'lte', 'gt', 'gte'];
+
+// Catalog keys of the messages of rules declared without one
+const COMPARE_MESSAGES = {
+  equals: 'compareEquals',
+  notEquals: 'compareNotEquals',
+  lt: 'compareLt',
+  lte: 'compareLte',
+  gt: 'compareGt',
+  gte: 'compareGte'
+};
+
+// Cross-field rules declared with `compare`, keyed by the refinement they added
+const comparisons = new WeakMap();
+
+/**
+ * Message Zod reports for an issue: the check's own message, else the type's
+ * error map (`required_error`, ...) over the global and default error maps, with
+ * Zod's default messages in the form's locale
+ */
+const formatIssue = (zodType, issue, message, options) => {
+  if (message) return message;
+
+  const context = { data: undefined, defaultError: '' };
+  const defaultError = z.defaultErrorMap(issue, context).message;
+  const globalError = z.getErrorMap()(issue, { ...context, defaultError }).message;
+  const typeError = zodType._def.errorMap?.(issue, { ...context, defaultError: globalError });
+
+  return i18n.translateIssue({ ...issue, message: typeError?.message ?? globalError }, options);
+};
+
+/**
+ * Bracket-notation name of the input for a path, e.g. `address[zip]`
+ */
+const toFieldName = (segments) =>
+  segments.map((segment, index) => (index === 0 ? segment : `[${segment}]`)).join('');
+
+/**
+ * Compile the checks of a string type
+ */
+const compileString = (type, options) =>
+  (type._def.checks || []).flatMap((check) => {
+    const tooSmall = { code: 'too_small', type: 'string', inclusive: true, exact: false };
+    const tooBig = { code: 'too_big', type: 'string', inclusive: true, exact: false };
+
+    switch (check.kind) {
+      case 'min':
+        return [
+          {
+            ...check,
+            message: formatIssue(
+              type,
+              { ...tooSmall, minimum: check.value },
+              check.message,
+              options
+            )
+          }
+        ];
+      case 'max':
+        return [
+          {
+            ...check,
+            message: formatIssue(type, { ...tooBig, maximum: check.value }, check.message, options)
+          }
+        ];
+      case 'length':
+        return [
+          {
+            ...check,
+            message: formatIssue(
+              type,
+              { ...tooSmall, minimum: check.value, exact: true },
+              check.message,
+              options
+            )
+          }
+        ];
+      case 'email':
+      case 'url':
+        return [
+          {
+            kind: check.kind,
+            message: formatIssue(
+              type,
+              { code: 'invalid_string', validation: check.kind },
+              check.message,
+              options
+            )
+          }
+        ];
+      case 'regex':
+        return [
+          {
+            kind: 'regex',
+            // The global and sticky flags make `test` stateful, Zod resets them the same way
+            source: check.regex.source,
+            flags: check.regex.flags.replace(/[gy]/g, ''),
+            message: formatIssue(
+              type,
+              { code: 'invalid_string', validation: 'regex' },
+              check.message,
+              options
+            )
+          }
+        ];
+      default:
+        // Other checks are left to the server
+        return [];
+    }
+  });
+
+/**
+ * Compile the checks of a number type
+ */
+const compileNumber = (type, options) =>
+  (type._def.checks || []).flatMap((check) => {
+    switch (check.kind) {
+      case 'min':
+      case 'max': {
+        const issue =
+          check.kind === 'min'
+            ? { code: 'too_small', minimum: check.value }
+            : { code: 'too_big', maximum: check.value };
+        const message = formatIssue(
+          type,
+          { ...issue, type: 'number', inclusive: check.inclusive, exact: false },
+          check.message,
+          options
+        );
+        return [{ ...check, message }];
+      }
+      case 'int':
+        return [
+          {
+            kind: 'int',
+            message: formatIssue(
+              type,
+              { code: 'invalid_type', expected: 'integer', received: 'float' },
+              check.message,
+              options
+            )
+          }
+        ];
+      case 'multipleOf':
+        return [
+          {
+            ...check,
+            message: formatIssue(
+              type,
+              { code: 'not_multiple_of', multipleOf: check.value },
+              check.message,
+              options
+            )
+          }
+        ];
+      default:
+        return [];
+    }
+  });
+
+/**
+ * Compile the checks of a date type, bounds are timestamps
+ */
+const compileDate = (type, options) =>
+  (type._def.checks || []).map((check) => {
+    const issue =
+      check.kind === 'min'
+        ? { code: 'too_small', minimum: check.value }
+        : { code: 'too_big', maximum: check.value };
+    const message = formatIssue(
+      type,
+      { ...issue, type: 'date', inclusive: true, exact: false },
+      check.message,
+      options
+    );
+    return { ...check, inclusive: true, message };
+  });
+
+/**
+ * Compile the rules of a single input, or undefined for types the client does not check
+ */
+const compileField = (zodType, options) => {
+  const { type, optional, nullable } = unwrapZodType(zodType);
+  const required = !optional && !nullable;
+  const expected =
+    type instanceof z.ZodString
+      ? 'string'
+      : type instanceof z.ZodNumber
+        ? 'number'
+        : type instanceof z.ZodDate
+          ? 'date'
+          : type instanceof z.ZodEnum || type instanceof z.ZodNativeEnum
+            ? 'enum'
+            : undefined;
+
+  if (!expected) return undefined;
+
+  const rule = {
+    type: expected,
+    required,
+    ...(required
+      ? {
+          requiredMessage: formatIssue(
+            type,
+            {
+              code: 'invalid_type',
+              expected: expected === 'enum' ? 'string' : expected,
+              received: 'undefined'
+            },
+            undefined,
+            options
+          )
+        }
+      : {})
+  };
+
+  if (expected === 'string') {
+    return { ...rule, checks: compileString(type, options) };
+  }
+
+  if (expected === 'number') {
+    return {
+      ...rule,
+      typeMessage: formatIssue(
+        type,
+        { code: 'invalid_type', expected: 'number', received: 'string' },
+        undefined,
+        options
+      ),
+      checks: compileNumber(type, options)
+    };
+  }
+
+  if (expected === 'date') {
+    return {
+      ...rule,
+      typeMessage: formatIssue(type, { code: 'invalid_date' }, undefined, options),
+      checks: compileDate(type, options)
+    };
+  }
+
+  // The browser fills in the submitted value for `{received}`
+  const values =
+    type instanceof z.ZodEnum
+      ? type._def.values
+      : Object.values(type._def.values).filter(
+          (value) => typeof type._def.values[value] !== 'number'
+        );
+  return {
+    ...rule,
+    options: values.map(String),
+    typeMessage: formatIssue(
+      type,
+      { code: 'invalid_enum_value', options: values, received: '{received}' },
+      undefined,
+      options
+    )
+  };
+};
+
+/**
+ * Cross-field rules declared with `compare` on a type or the types it wraps
+ */
+const getComparisons = (zodType) => {
+  const rules = [];
+  let type = zodType;
+
+  while (type && type._def) {
+    if (comparisons.has(type)) {
+      rules.unshift(comparisons.get(type));
+    }
+
+    if (type instanceof z.ZodEffects) {
+      type = type._def.schema;
+    } else if (
+      type instanceof z.ZodOptional ||
+      type instanceof z.ZodNullable ||
+      type instanceof z.ZodDefault
+    ) {
+      type = type._def.innerType;
+    } else {
+      break;
+    }
+  }
+
+  return rules;
+};
+
+/**
+ * Compile an object type's fields and rules, nested objects included
+ */
+const compileObject = (zodType, prefix, compiled, options) => {
+  const { type } = unwrapZodType(zodType);
+  if (!(type instanceof z.ZodObject)) return;
+
+  getComparisons(zodType).forEach((rule) => {
+    compiled.rules.push({
+      ...rule,
+      field: toFieldName([...prefix, ...rule.field.split('.')]),
+      other: toFieldName([...prefix, ...rule.other.split('.')]),
+      message:
+        rule.message ||
+        i18n.translate(options, COMPARE_MESSAGES[rule.operator], { other: rule.other })
+    });
+  });
+
+  const shape = type._def.shape();
+  Object.keys(shape).forEach((key) => {
+    const segments = [...prefix, key];
+    const field = compileField(shape[key], options);
+
+    if (field) {
+      compiled.fields[toFieldName(segments)] = field;
+    } else {
+      compileObject(shape[key], segments, compiled, options);
+    }
+  });
+};
+
+/**
+ * Compile a Zod object schema for the browser's schema validator
+ *
+ * Covers strings (length, email, url, regex), numbers (bounds, int, multipleOf),
+ * dates (bounds) and enums at any object depth, plus the cross-field rules
+ * declared with `compare`. Anything else (refinements, transforms, array items)
+ * is still validated on the server only.
+ *
+ * @param {object} schema - Zod object schema
+ * @param {object} [options] - `{ locale, messages }` of the form, for Zod's default messages
+ * @returns {object} - `{ fields, rules }`, fields keyed by input name
+ */
+const compileSchema = (schema, options = {}) => {
+  const compiled = { fields: {}, rules: [] };
+  compileObject(schema, [], compiled, options);
+  return compiled;
+};
+
+/**
+ * Compare two values the way the browser does: dates by time, everything else as parsed
+ */
+const compareValues = (operator, value, other) => {
+  const a = value instanceof Date ? value.getTime() : value;
+  const b = other instanceof Date ? other.getTime() : other;
+
+  switch (operator) {
+    case 'equals':
+      return a === b;
+    case 'notEquals':
+      return a !== b;
+    case 'lt':
+      return a < b;
+    case 'lte':
+      return a <= b;
+    case 'gt':
+      return a > b;
+    default:
+      return a >= b;
+  }
+};
+
+/**
+ * Add a cross-field rule to an object schema that the server and the browser both check
+ *
+ * `compare(schema, { field: 'endDate', gte: 'startDate', message })` reports
+ * `message` on `endDate` unless it is at least `startDate`. Operators are
+ * `equals`, `notEquals`, `lt`, `lte`, `gt` and `gte`, fields are dotted paths.
+ * Rules are skipped while either value is missing. Without a `message` the rule
+ * reports the catalog's message for the operator, in the locale of the form.
+ *
+ * @param {object} schema - Zod object schema (or a refinement of one)
+ * @param {object} rule - `{ field, [operator]: otherField, message }`
+ * @returns {object} - The refined schema
+ */
+const compare = (schema, rule = {}) => {
+  const operator = OPERATORS.find((name) => typeof rule[name] === 'string');
+  if (typeof rule.field !== 'string' || !operator) {
+    throw new TypeError(
+      `ZodForm: compare() needs a field and one of ${OPERATORS.join(', ')} naming the other field`
+    );
+  }
+
+  const other = rule[operator];
+  const key = COMPARE_MESSAGES[operator];
+  const getValue = (data, path) =>
+    path.split('.').reduce((value, segment) => (value == null ? value : value[segment]), data);
+
+  const refined = schema.superRefine((data, ctx) => {
+    const value = getValue(data, rule.field);
+    const otherValue = getValue(data, other);
+    if (value == null || value === '' || otherValue == null || otherValue === '') return;
+
+    if (!compareValues(operator, value, otherValue)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: rule.field.split('.'),
+        message: rule.message || i18n.translate({}, key, { other }),
+        ...(rule.message ? {} : { params: { zodFormMessage: key, other } })
+      });
+    }
+  });
+
+  comparisons.set(refined, { field: rule.field, operator, other, message: rule.message });
+  return refined;
+};
+
+module.exports = {
+  compileSchema,
+  compare
+};
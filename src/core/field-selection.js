@@ -0,0 +1,267 @@
+/**
+ * Field selection - Order, pick, omit and lock fields by path at render and validation time
+ */
+
+const { z } = require('zod');
+const { parseFieldName } = require('./form-data');
+
+/**
+ * Split a field path (`address.zip`, `items[0].name`) into property names, ignoring array indices
+ */
+const toSegments = (path) =>
+  parseFieldName(String(path)).filter((segment) => !/^\d+$/.test(segment));
+
+/**
+ * Build a tree of paths: `['address.zip', 'name']` becomes `{ address: { zip: true }, name: true }`
+ */
+const buildPathTree = (paths) => {
+  const tree = Object.create(null);
+
+  (paths || []).forEach((path) => {
+    const segments = toSegments(path);
+    let node = tree;
+
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+      // A parent that is selected as a whole covers its children
+      if (node[segment] === true) break;
+
+      if (i === segments.length - 1) {
+        node[segment] = true;
+      } else {
+        node[segment] = node[segment] || Object.create(null);
+        node = node[segment];
+      }
+    }
+  });
+
+  return tree;
+};
+
+/**
+ * Property of a wrapper type's definition holding the type it wraps
+ */
+const getInnerKey = (zodType) => {
+  if (zodType instanceof z.ZodEffects) return 'schema';
+  if (zodType instanceof z.ZodArray || zodType instanceof z.ZodBranded) return 'type';
+  if (zodType instanceof z.ZodPipeline) return 'in';
+  if (
+    zodType instanceof z.ZodOptional ||
+    zodType instanceof z.ZodNullable ||
+    zodType instanceof z.ZodDefault ||
+    zodType instanceof z.ZodCatch ||
+    zodType instanceof z.ZodReadonly
+  ) {
+    return 'innerType';
+  }
+  return undefined;
+};
+
+/**
+ * Rebuild the object inside a type, keeping the wrappers (optional, refinements, arrays, ...)
+ * and descriptions around it
+ */
+const rebuildObject = (zodType, rebuild) => {
+  if (zodType instanceof z.ZodObject) return rebuild(zodType);
+
+  const innerKey = getInnerKey(zodType);
+  if (!innerKey) return zodType;
+
+  return new zodType.constructor({
+    ...zodType._def,
+    [innerKey]: rebuildObject(zodType._def[innerKey], rebuild)
+  });
+};
+
+/**
+ * Keep the properties of a type that are included and not excluded, the others are
+ * removed, or made optional with `relax`
+ */
+const selectType = (zodType, include, exclude, relax) => {
+  if (!include && !exclude) return zodType;
+
+  return rebuildObject(zodType, (objectType) => {
+    const shape = objectType._def.shape();
+    const selected = {};
+
+    Object.keys(shape).forEach((key) => {
+      if ((include && !include[key]) || (exclude && exclude[key] === true)) {
+        if (relax) selected[key] = shape[key].optional();
+        return;
+      }
+
+      const childInclude = include && include[key] !== true ? include[key] : undefined;
+      const childExclude = exclude ? exclude[key] : undefined;
+      selected[key] = selectType(shape[key], childInclude, childExclude, relax);
+    });
+
+    return new z.ZodObject({ ...objectType._def, shape: () => selected });
+  });
+};
+
+/**
+ * Narrow a schema to the fields a form exposes
+ *
+ * Properties are kept when they are listed in `include` (if given) and not listed
+ * in `exclude`. Paths may be nested (`address.zip`) and reach into arrays of objects
+ * (`items.price`). Wrappers such as `.optional()` or `.refine()` are kept, so
+ * refinements still run, on the selected properties only.
+ *
+ * @param {object} schema - Zod schema
+ * @param {object} options - `{ include, exclude }`, arrays of field paths
+ * @returns {object} - The narrowed schema, or the schema itself when nothing is selected
+ */
+const selectSchema = (schema, { include, exclude } = {}) => {
+  if (!include?.length && !exclude?.length) return schema;
+
+  return selectType(
+    schema,
+    include?.length ? buildPathTree(include) : undefined,
+    exclude?.length ? buildPathTree(exclude) : undefined
+  );
+};
+
+/**
+ * Make the fields a form does not expose optional, for validating its submissions
+ *
+ * Unlike `selectSchema`, the properties stay in the schema: `.strict()` and
+ * `.passthrough()` objects, refinements and transforms see the schema's own shape.
+ * Their values are taken out of the submission with `omitFields`.
+ *
+ * @param {object} schema - Zod schema
+ * @param {object} options - `{ include, exclude }`, arrays of field paths
+ * @returns {object} - The relaxed schema, or the schema itself when nothing is selected
+ */
+const relaxSchema = (schema, { include, exclude } = {}) => {
+  if (!include?.length && !exclude?.length) return schema;
+
+  return selectType(
+    schema,
+    include?.length ? buildPathTree(include) : undefined,
+    exclude?.length ? buildPathTree(exclude) : undefined,
+    true
+  );
+};
+
+/**
+ * Keep the values of the properties that are included and not excluded
+ */
+const omitValues = (value, include, exclude) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => omitValues(item, include, exclude));
+  }
+  if (!value || Object.getPrototypeOf(value) !== Object.prototype) return value;
+
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    if ((include && !include[key]) || (exclude && exclude[key] === true)) return;
+
+    const childInclude = include && include[key] !== true ? include[key] : undefined;
+    const childExclude = exclude ? exclude[key] : undefined;
+    result[key] =
+      childInclude || childExclude
+        ? omitValues(value[key], childInclude, childExclude)
+        : value[key];
+  });
+  return result;
+};
+
+/**
+ * Take the fields a form does not expose out of submitted data, in objects and
+ * the items of arrays of objects
+ *
+ * @param {object} data - Submitted data, nested by field path
+ * @param {object} options - `{ include, exclude }`, arrays of field paths
+ * @returns {object} - Copy of the data without the values of the other fields
+ */
+const omitFields = (data, { include, exclude } = {}) => {
+  if (!include?.length && !exclude?.length) return data;
+
+  return omitValues(
+    data,
+    include?.length ? buildPathTree(include) : undefined,
+    exclude?.length ? buildPathTree(exclude) : undefined
+  );
+};
+
+/**
+ * Copy a field with its nested fields (object properties or array item properties) mapped
+ */
+const mapNestedFields = (field, map) => {
+  if (field.fields) {
+    return { ...field, fields: map(field.fields) };
+  }
+  if (field.itemType?.fields) {
+    return { ...field, itemType: { ...field.itemType, fields: map(field.itemType.fields) } };
+  }
+  return field;
+};
+
+/**
+ * Order parsed fields by a list of paths, at every nesting level
+ *
+ * Listed fields come first in the order given, the others keep their order after them.
+ *
+ * @param {object} fields - Parsed fields
+ * @param {Array<string>} order - Field paths, e.g. `['email', 'name', 'address.zip']`
+ * @returns {object} - Ordered fields
+ */
+const orderFields = (fields, order, prefix = []) => {
+  if (!order?.length) return fields;
+
+  const rank = new Map();
+  order.forEach((path, index) => {
+    const segments = toSegments(path);
+    const isBelowPrefix = prefix.every((segment, i) => segments[i] === segment);
+    if (isBelowPrefix && segments.length > prefix.length && !rank.has(segments[prefix.length])) {
+      rank.set(segments[prefix.length], index);
+    }
+  });
+
+  const getRank = (key) => (rank.has(key) ? rank.get(key) : Infinity);
+
+  return Object.fromEntries(
+    Object.entries(fields)
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => getRank(a.entry[0]) - getRank(b.entry[0]) || a.index - b.index)
+      .map(({ entry: [key, field] }) => [
+        key,
+        mapNestedFields(field, (nested) => orderFields(nested, order, [...prefix, key]))
+      ])
+  );
+};
+
+/**
+ * Mark parsed fields as read-only, a listed object locks all of its properties
+ *
+ * @param {object} fields - Parsed fields
+ * @param {Array<string>|object} readOnly - Field paths, or a path tree
+ * @returns {object} - Fields with `readOnly` set
+ */
+const markReadOnly = (fields, readOnly) => {
+  const tree = Array.isArray(readOnly) ? buildPathTree(readOnly) : readOnly;
+  if (!tree || !Object.keys(tree).length) return fields;
+
+  const lockAll = (field) =>
+    mapNestedFields({ ...field, readOnly: true }, (nested) =>
+      Object.fromEntries(Object.entries(nested).map(([key, child]) => [key, lockAll(child)]))
+    );
+
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, field]) => {
+      if (tree[key] === true) return [key, lockAll(field)];
+      if (tree[key]) {
+        return [key, mapNestedFields(field, (nested) => markReadOnly(nested, tree[key]))];
+      }
+      return [key, field];
+    })
+  );
+};
+
+module.exports = {
+  selectSchema,
+  relaxSchema,
+  omitFields,
+  orderFields,
+  markReadOnly
+};
@@ -0,0 +1,492 @@
+/**
+ * Form data decoding - Turns raw HTML form submissions into data Zod can parse
+ */
+
+const { z } = require('zod');
+const { unwrapZodType, mapZodTypeToHtmlElement } = require('./schema-parser');
+
+const TRUE_VALUES = ['true', 'on', '1', 'yes'];
+
+// Keys that must never be written through when expanding user-supplied names
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Check whether a value is a plain object (not an array, date or class instance)
+ */
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Check whether every key of an object is an array index
+ */
+const hasIndexKeys = (value) => {
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((key) => /^\d+$/.test(key));
+};
+
+/**
+ * Turn an index-keyed object into an array, dropping the gaps left by removed items
+ */
+const compactIndexedObject = (value) =>
+  Object.keys(value)
+    .sort((a, b) => Number(a) - Number(b))
+    .map((key) => value[key])
+    .filter((item) => item !== undefined);
+
+/**
+ * Split a field name like `address[street]`, `tags[0]` or `meta[0].key` into path segments
+ */
+const parseFieldName = (name) => {
+  const segments = [];
+  const pattern = /\[([^\]]*)\]|\.?([^.[\]]+)/g;
+  let match;
+
+  while ((match = pattern.exec(name)) !== null) {
+    segments.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+
+  return segments.length ? segments : [name];
+};
+
+/**
+ * Write a value into a nested structure, merging with anything already there
+ */
+const setNestedValue = (target, segments, value) => {
+  let current = target;
+
+  for (let i = 0; i < segments.length; i++) {
+    let segment = segments[i];
+    if (UNSAFE_KEYS.includes(segment)) return;
+
+    const isLast = i === segments.length - 1;
+
+    // `tags[]` appends to the list
+    if (segment === '') {
+      segment = String(Object.keys(current).filter((key) => /^\d+$/.test(key)).length);
+      if (isLast && Array.isArray(value)) {
+        value.forEach((item, index) => {
+          current[String(Number(segment) + index)] = item;
+        });
+        return;
+      }
+    }
+
+    if (isLast) {
+      if (isPlainObject(current[segment]) && isPlainObject(value)) {
+        Object.assign(current[segment], value);
+      } else {
+        current[segment] = value;
+      }
+      return;
+    }
+
+    if (!isPlainObject(current[segment])) {
+      current[segment] = Array.isArray(current[segment])
+        ? Object.assign(Object.create(null), current[segment])
+        : Object.create(null);
+    }
+    current = current[segment];
+  }
+};
+
+/**
+ * Whether a type's submitted value is a list, which arrives as an index-keyed object
+ */
+const isListType = (type) =>
+  type instanceof z.ZodArray || type instanceof z.ZodSet || type instanceof z.ZodTuple;
+
+/**
+ * Type of the value under a key of a list, object or record type, null when unknown
+ */
+const getChildType = (type, key) => {
+  if (type instanceof z.ZodArray) return type._def.type;
+  if (type instanceof z.ZodSet) return type._def.valueType;
+  if (type instanceof z.ZodTuple) return type._def.items[key] || type._def.rest || null;
+  if (type instanceof z.ZodObject) return type._def.shape()[key] || null;
+  if (type instanceof z.ZodRecord) return type._def.valueType;
+  return null;
+};
+
+/**
+ * Convert the intermediate structure built by setNestedValue into plain objects and arrays
+ *
+ * Index-keyed objects become arrays where the schema expects a list, or everywhere
+ * when there is no schema (`zodType` undefined). Records keep their numeric keys.
+ */
+const finalizeNested = (value, zodType) => {
+  const type = zodType ? unwrapZodType(zodType).type : zodType;
+  const childType = (key) => (zodType === undefined ? undefined : getChildType(type, key));
+
+  if (Array.isArray(value)) {
+    return value
+      .filter((item) => item !== undefined)
+      .map((item, index) => finalizeNested(item, childType(index)));
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  if ((zodType === undefined || isListType(type)) && hasIndexKeys(value)) {
+    return compactIndexedObject(value).map((item, index) => finalizeNested(item, childType(index)));
+  }
+
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    result[key] = finalizeNested(value[key], childType(key));
+  });
+  return result;
+};
+
+/**
+ * Rebuild nested objects and arrays from bracket-notation field names
+ *
+ * Accepts both flat bodies (`{ 'address[street]': 'Main St' }`, as produced by
+ * `express.urlencoded({ extended: false })` or multer) and bodies that a parser
+ * such as `qs` has already partly nested. Array indices are compacted so items
+ * removed on the client do not leave holes. Given the schema, only the values of
+ * list types are turned into arrays, so records keyed by numbers stay objects.
+ *
+ * @param {object} body - Submitted form body
+ * @param {object} [schema] - Zod schema the form was generated from
+ * @returns {object} - Nested data
+ */
+const parseBracketNotation = (body = {}, schema) => {
+  if (!isPlainObject(body)) return body;
+  return finalizeNested(expandNames(body), schema || undefined);
+};
+
+/**
+ * Expand the bracket-notation names of a body, at every level a parser left nested
+ */
+const expandNames = (body) => {
+  const result = Object.create(null);
+
+  Object.keys(body).forEach((key) => {
+    const value = isPlainObject(body[key]) ? expandNames(body[key]) : body[key];
+    setNestedValue(result, parseFieldName(key), value);
+  });
+
+  return result;
+};
+
+/**
+ * Read the value at a field path (`address.city`, `items[2].qty`) from nested data
+ *
+ * @param {object} data - Nested data
+ * @param {string} path - Field path or bracket-notation name
+ * @returns {*} - Value at the path, or undefined
+ */
+const getValueAtPath = (data, path) => {
+  return parseFieldName(path).reduce((current, segment) => {
+    if (current === null || current === undefined) return undefined;
+    return Object.prototype.hasOwnProperty.call(current, segment) ? current[segment] : undefined;
+  }, data);
+};
+
+/**
+ * Return a copy of nested data with the value at a path replaced
+ *
+ * Only the containers along the path are copied, the original data is left untouched.
+ *
+ * @param {object} data - Nested data
+ * @param {string|Array<string>} path - Field path, bracket-notation name or path segments
+ * @param {*} value - Value to set
+ * @returns {object} - Updated copy
+ */
+const setValueAtPath = (data, path, value) => {
+  const segments = Array.isArray(path) ? path : parseFieldName(path);
+  if (!segments.length) return value;
+
+  const [segment, ...rest] = segments;
+  if (UNSAFE_KEYS.includes(segment)) return data;
+
+  const isIndex = /^\d+$/.test(segment);
+  const container = Array.isArray(data)
+    ? [...data]
+    : isPlainObject(data)
+      ? { ...data }
+      : isIndex
+        ? []
+        : {};
+
+  container[segment] = setValueAtPath(container[segment], rest, value);
+  return container;
+};
+
+/**
+ * Flatten nested data into `[name, value]` pairs using bracket-notation names,
+ * the inverse of parseBracketNotation (e.g. to carry data in hidden inputs)
+ *
+ * @param {*} data - Nested data
+ * @param {string} prefix - Name of the value itself, empty for the root object
+ * @returns {Array<Array<string>>} - Field names and string values
+ */
+const toFieldEntries = (data, prefix = '') => {
+  if (data instanceof Set) {
+    data = [...data];
+  }
+
+  if (Array.isArray(data) || isPlainObject(data)) {
+    return Object.keys(data)
+      .filter((key) => !UNSAFE_KEYS.includes(key))
+      .flatMap((key) => toFieldEntries(data[key], prefix ? `${prefix}[${key}]` : key));
+  }
+
+  if (data === undefined || data === null || !prefix) return [];
+  return [[prefix, data instanceof Date ? data.toISOString() : String(data)]];
+};
+
+/**
+ * Fold the key/value pairs rendered by the record element into a plain object
+ */
+const foldRecordEntries = (value) => {
+  const entries = Array.isArray(value)
+    ? value
+    : isPlainObject(value) && hasIndexKeys(value)
+      ? compactIndexedObject(value)
+      : null;
+
+  if (!entries || !entries.every((entry) => isPlainObject(entry) && 'key' in entry)) {
+    return value;
+  }
+
+  const result = {};
+  entries.forEach((entry) => {
+    const key = typeof entry.key === 'string' ? entry.key.trim() : entry.key;
+    // Rows left empty on the client are not part of the record
+    if (key === '' || key === undefined || UNSAFE_KEYS.includes(key)) return;
+    result[key] = entry.value;
+  });
+  return result;
+};
+
+/**
+ * Convert a single submitted value to the shape expected by a Zod type
+ *
+ * Values that cannot be converted are returned untouched so that Zod
+ * reports the same error it would for the raw submission.
+ *
+ * @param {object} zodType - Zod type the value will be parsed with
+ * @param {*} value - Submitted value
+ * @returns {*} - Coerced value
+ */
+const coerceValue = (zodType, value) => {
+  const { type, optional, nullable } = unwrapZodType(zodType);
+
+  // Multi-value keys (e.g. a hidden fallback plus a checkbox) submit several
+  // values for a scalar field - the last one wins, as it would in the browser
+  if (Array.isArray(value) && !(type instanceof z.ZodArray) && !isCollectionType(type)) {
+    value = value[value.length - 1];
+  }
+
+  // Empty inputs are "no value" for everything except required strings
+  if (value === '') {
+    if (optional) return undefined;
+    if (nullable) return null;
+    if (type instanceof z.ZodBoolean) return false;
+    if (!(type instanceof z.ZodString)) return undefined;
+    return value;
+  }
+
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  // Blank numbers are no value like empty ones, `Number(' ')` would make them zero
+  if ((type instanceof z.ZodNumber || type instanceof z.ZodBigInt) && isBlank(value)) {
+    return coerceValue(zodType, '');
+  }
+
+  if (type instanceof z.ZodNumber) {
+    if (typeof value !== 'string') return value;
+    const number = Number(value.trim());
+    return Number.isNaN(number) ? value : number;
+  }
+
+  if (type instanceof z.ZodBigInt) {
+    if (typeof value !== 'string') return value;
+    try {
+      return BigInt(value.trim());
+    } catch {
+      return value;
+    }
+  }
+
+  if (type instanceof z.ZodBoolean) {
+    if (typeof value !== 'string') return value;
+    return TRUE_VALUES.includes(value.trim().toLowerCase());
+  }
+
+  if (type instanceof z.ZodDate) {
+    if (typeof value !== 'string' && typeof value !== 'number') return value;
+    // Invalid dates are passed through so Zod reports "Invalid date"
+    return new Date(value);
+  }
+
+  if (type instanceof z.ZodLiteral) {
+    return coerceLiteral(type._def.value, value);
+  }
+
+  if (type instanceof z.ZodNativeEnum) {
+    const enumValues = Object.values(type._def.values);
+    if (typeof value === 'string' && !enumValues.includes(value)) {
+      const number = Number(value);
+      if (enumValues.includes(number)) return number;
+    }
+    return value;
+  }
+
+  if (type instanceof z.ZodArray) {
+    if (isPlainObject(value) && hasIndexKeys(value)) {
+      value = compactIndexedObject(value);
+    }
+    const items = Array.isArray(value) ? value : [value];
+    return items.map((item) => coerceValue(type._def.type, item));
+  }
+
+  if (type instanceof z.ZodSet) {
+    if (isPlainObject(value) && hasIndexKeys(value)) {
+      value = compactIndexedObject(value);
+    }
+    const items = value instanceof Set ? [...value] : Array.isArray(value) ? value : [value];
+    return new Set(items.map((item) => coerceValue(type._def.valueType, item)));
+  }
+
+  if (type instanceof z.ZodTuple) {
+    if (isPlainObject(value) && hasIndexKeys(value)) {
+      value = compactIndexedObject(value);
+    }
+    if (!Array.isArray(value)) return value;
+    // Items are positional, each one is coerced against the type at its index
+    return value.map((item, index) => {
+      const itemType = type._def.items[index] || type._def.rest;
+      return itemType ? coerceValue(itemType, item) : item;
+    });
+  }
+
+  if (type instanceof z.ZodObject) {
+    return isPlainObject(value) ? coerceObject(type, value) : value;
+  }
+
+  if (type instanceof z.ZodRecord) {
+    value = foldRecordEntries(value);
+    if (!isPlainObject(value)) return value;
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, coerceValue(type._def.valueType, item)])
+    );
+  }
+
+  if (type instanceof z.ZodDiscriminatedUnion) {
+    if (!isPlainObject(value)) return value;
+    // Decode against the variant picked by the submitted discriminator
+    const discriminator = type._def.discriminator;
+    const variant = type._def.options.find((option) => {
+      const discriminatorType = option._def.shape()[discriminator];
+      return discriminatorType.safeParse(coerceValue(discriminatorType, value[discriminator]))
+        .success;
+    });
+    return variant ? coerceValue(variant, value) : value;
+  }
+
+  if (type instanceof z.ZodUnion) {
+    // Use the first option the coerced value actually satisfies
+    for (const option of type._def.options) {
+      const coerced = coerceValue(option, value);
+      if (option.safeParse(coerced).success) return coerced;
+    }
+    return value;
+  }
+
+  return value;
+};
+
+/**
+ * Whether a submitted value is a string of whitespace only
+ */
+const isBlank = (value) => typeof value === 'string' && value.trim() === '';
+
+/**
+ * Types whose submitted value is legitimately a list (records arrive as key/value rows)
+ */
+const isCollectionType = (type) =>
+  type instanceof z.ZodSet || type instanceof z.ZodTuple || type instanceof z.ZodRecord;
+
+/**
+ * Convert a string submission to the type of a literal
+ */
+const coerceLiteral = (literal, value) => {
+  if (typeof value !== 'string') return value;
+  if (typeof literal === 'number') {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (typeof literal === 'boolean') {
+    return TRUE_VALUES.includes(value.toLowerCase());
+  }
+  return value;
+};
+
+/**
+ * Whether a type is a list rendered as a checkbox group or multi-select
+ */
+const isChoiceList = (zodType) => mapZodTypeToHtmlElement(zodType).type === 'checkboxGroup';
+
+/**
+ * Coerce every property of an object against a ZodObject shape
+ */
+const coerceObject = (zodObject, data) => {
+  const shape = zodObject._def.shape();
+  const result = { ...data };
+
+  Object.entries(shape).forEach(([key, zodType]) => {
+    const { type, optional } = unwrapZodType(zodType);
+
+    // Unchecked checkboxes and checkbox groups are not submitted at all, other
+    // missing lists are left for Zod to report
+    if (!(key in data)) {
+      if (optional) return;
+      if (type instanceof z.ZodBoolean) result[key] = false;
+      if (isChoiceList(zodType)) {
+        result[key] = type instanceof z.ZodSet ? new Set() : [];
+      }
+      return;
+    }
+
+    const coerced = coerceValue(zodType, data[key]);
+    if (coerced === undefined) {
+      delete result[key];
+    } else {
+      result[key] = coerced;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Decode a submitted form body into data ready to be parsed by a Zod schema
+ *
+ * Bracket-notation names are expanded into nested objects, arrays and records
+ * first, then every value is coerced to the type its schema expects.
+ *
+ * @param {object} schema - Zod schema the form was generated from
+ * @param {object} body - Request body as delivered by the body parser
+ * @returns {object} - Decoded data
+ */
+const decodeFormData = (schema, body = {}) => {
+  return coerceValue(schema, parseBracketNotation(body, schema));
+};
+
+module.exports = {
+  decodeFormData,
+  parseBracketNotation,
+  parseFieldName,
+  getValueAtPath,
+  setValueAtPath,
+  toFieldEntries,
+  coerceValue
+};
@@ -4,25 +4,54 @@
 
 const schemaParser = require('./schema-parser');
 const renderer = require('./renderer');
+const registry = require('./registry');
+const fieldSelection = require('./field-selection');
+const clientSchema = require('./client-schema');
+const rules = require('./rules');
+const { parseFieldName } = require('./form-data');
 const { defaultTemplates } = require('../templates/default');
 const { darkTheme } = require('../styles/dark');
 
+// Layout options that can also be declared in the metadata of the schema itself
+const LAYOUT_OPTIONS = ['columns', 'tabs', 'sections', 'collapsible'];
+
 /**
- * Generate a form from a Zod schema
+ * Generate a form from a Zod schema or the name of a registered schema
  */
-const generate = (schema, options = {}) => {
+const generate = (schemaOrName, options = {}) => {
+  // Registered schemas can be referenced by name
+  const { schema, name, options: registeredOptions } = registry.resolve(schemaOrName);
+
+  const schemaMeta = schemaParser.getFieldMeta(schema);
+  const layoutOptions = Object.fromEntries(
+    Object.entries(schemaMeta).filter(([key]) => LAYOUT_OPTIONS.includes(key))
+  );
+
   // Merge options with defaults
   const mergedOptions = {
     action: '#',
     method: 'POST',
-    submitLabel: 'Submit',
     theme: 'dark',
     layout: 'vertical',
+    ...layoutOptions,
+    ...registeredOptions,
+    ...(name ? { schemaName: name } : {}),
     ...options
   };
 
-  // Parse the schema into field definitions
-  const fields = schemaParser.parseSchema(schema);
+  // Parse the fields the form exposes into field definitions
+  const formSchema = fieldSelection.selectSchema(schema, mergedOptions);
+  let fields = schemaParser.parseSchema(formSchema);
+
+  // Compile the schema's checks for the browser to run them with Zod's messages
+  if (mergedOptions.clientValidation === 'schema') {
+    mergedOptions.clientSchema = clientSchema.compileSchema(formSchema, mergedOptions);
+  }
+
+  // Check the conditional logic and name its fields like the inputs
+  if (mergedOptions.conditionalLogic) {
+    mergedOptions.conditionalLogic = rules.normalizeRules(mergedOptions.conditionalLogic);
+  }
 
   // Apply field-specific options if provided
   if (mergedOptions.fieldOptions) {
@@ -36,6 +65,12 @@ const generate = (schema, options = {}) => {
     });
   }
 
+  // Apply the render-time order and lock read-only fields
+  fields = fieldSelection.orderFields(
+    fieldSelection.markReadOnly(fields, mergedOptions.readOnly),
+    mergedOptions.order
+  );
+
   // Generate HTML using the renderer
   const { html, styles, scripts } = renderer.renderForm(fields, mergedOptions);
 
@@ -59,14 +94,54 @@ const generateField = (fieldName, zodType, options = {}) => {
     name: fieldName,
     path: fieldName,
     ...fieldType,
+    ...schemaParser.metaToFieldProperties(schemaParser.getFieldMeta(zodType)),
     validation: validationRules,
+    errors: schemaParser.extractErrorMessages(zodType),
     _zodType: zodType
   };
 
   return renderer.renderField(field, options);
 };
 
+/**
+ * Generate a new item of an array (or record) field of a schema, as the form renders it
+ *
+ * @param {object|string} schemaOrName - Zod schema or the name of a registered one
+ * @param {string} fieldName - Name of the list field, e.g. `orders[1][items]`
+ * @param {number} index - Index of the new item
+ * @param {object} options - Form options
+ * @returns {string} - Item HTML
+ */
+const generateArrayItem = (schemaOrName, fieldName, index, options = {}) => {
+  const { schema, name, options: registeredOptions } = registry.resolve(schemaOrName);
+  const path = parseFieldName(fieldName);
+  const zodType = path.length ? schemaParser.resolveSchemaPath(schema, path) : undefined;
+  const fieldType = zodType ? schemaParser.mapZodTypeToHtmlElement(zodType) : {};
+
+  if (!['array', 'record'].includes(fieldType.type)) {
+    throw new TypeError(`ZodForm: "${fieldName}" is not a list field of the schema`);
+  }
+
+  const mergedOptions = {
+    ...registeredOptions,
+    ...(name ? { schemaName: name } : {}),
+    ...options
+  };
+
+  // The field's metadata and options decide, like on the page, whether items can be moved
+  const field = {
+    name: fieldName,
+    path: path.join('.'),
+    ...fieldType,
+    ...schemaParser.metaToFieldProperties(schemaParser.getFieldMeta(zodType)),
+    ...(mergedOptions.fieldOptions?.[fieldName] || {})
+  };
+
+  return renderer.renderArrayItem(field, index, mergedOptions);
+};
+
 module.exports = {
   generate,
-  generateField
+  generateField,
+  generateArrayItem
 };
@@ -0,0 +1,78 @@
+/**
+ * HTML helpers - Escaping for the contexts values are rendered in
+ */
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const JS_ESCAPES = {
+  '\\': '\\\\',
+  "'": "\\'",
+  '"': '\\"',
+  '`': '\\`',
+  $: '\\$',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029',
+  '<': '\\x3C',
+  '>': '\\x3E',
+  '&': '\\x26'
+};
+
+/**
+ * Escape a value for HTML text or a quoted attribute value
+ *
+ * @param {*} value - Value to escape, `null` and `undefined` become an empty string
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+};
+
+/**
+ * Escape a value for a string literal in an inline script
+ *
+ * The result is safe between single quotes, double quotes or backticks, and
+ * cannot close the surrounding `<script>` element.
+ *
+ * @param {*} value - Value to escape, `null` and `undefined` become an empty string
+ * @returns {string} - Escaped string contents, without quotes
+ */
+const escapeJs = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/[\\'"`$\n\r\u2028\u2029<>&]/g, (char) => JS_ESCAPES[char]);
+};
+
+/**
+ * Generate HTML attributes string from an object
+ *
+ * `true` renders a bare attribute, `false`, `null` and `undefined` leave it out.
+ *
+ * @param {object} attributes - Attribute values keyed by name
+ * @returns {string} - Attributes with escaped values
+ */
+const attributesToString = (attributes) => {
+  return Object.entries(attributes)
+    .filter(([_, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (typeof value === 'boolean') {
+        return value ? key : '';
+      }
+      return `${key}="${escapeHtml(value)}"`;
+    })
+    .filter(Boolean)
+    .join(' ');
+};
+
+module.exports = {
+  escapeHtml,
+  escapeJs,
+  attributesToString
+};
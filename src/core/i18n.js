@@ -0,0 +1,184 @@
+/**
+ * I18n - Message catalogs for the labels, buttons and error messages forms generate
+ */
+
+const { z } = require('zod');
+
+const DEFAULT_LOCALE = 'en';
+
+// Built-in English messages, `{name}` is replaced by the parameter of that name
+const en = {
+  submit: 'Submit',
+  cancel: 'Cancel',
+  close: 'Close',
+  back: 'Back',
+  next: 'Next',
+  modalTitle: 'Form',
+  wizardStatus: 'Step {current} of {total}',
+  wizardStep: 'Step {number}',
+  selectPlaceholder: '-- Select --',
+  selectToAdd: '-- Select to add --',
+  unionOption: 'Option {number}',
+  search: 'Search...',
+  addItem: 'Add Item',
+  addKeyValue: 'Add Key-Value Pair',
+  remove: 'Remove',
+  removeItem: 'Remove item',
+  removeOption: 'Remove {label}',
+  moveUp: 'Move up',
+  moveDown: 'Move down',
+  duplicateItem: 'Duplicate item',
+  dragItem: 'Drag to reorder',
+  key: 'Key',
+  starLabel: '{value} of {max} stars',
+  chooseFile: 'Choose File',
+  chooseImage: 'Choose Image',
+  noFileSelected: 'No file selected',
+  imagePreview: 'Image Preview',
+  preview: 'Preview',
+  uploadDocument: 'Upload document',
+  selectDocumentFile: 'Please select a text or document file',
+  selectOptionToAdd: 'Please select an option to add',
+  selectAtLeast: 'Select at least {min} option(s)',
+  fieldInvalid: 'This field is invalid',
+  compareEquals: 'Must match {other}',
+  compareNotEquals: 'Must differ from {other}',
+  compareLt: 'Must be less than {other}',
+  compareLte: 'Must be at most {other}',
+  compareGt: 'Must be greater than {other}',
+  compareGte: 'Must be at least {other}',
+  required: 'Required',
+  correctErrors: 'Please correct the following errors:',
+  unknownForm: 'Unknown form',
+  unknownField: 'Unknown field',
+  validationError: 'Validation error'
+};
+
+// Messages the client script shows, carried on every form
+const CLIENT_MESSAGES = [
+  'fieldInvalid',
+  'required',
+  'selectAtLeast',
+  'noFileSelected',
+  'preview',
+  'selectDocumentFile',
+  'selectOptionToAdd',
+  'selectPlaceholder',
+  'removeOption',
+  'removeItem',
+  'moveUp',
+  'moveDown',
+  'duplicateItem',
+  'dragItem'
+];
+
+const catalogs = new Map([[DEFAULT_LOCALE, en]]);
+
+/**
+ * Register the messages of a locale, merged with any already registered for it
+ *
+ * Messages are strings with `{name}` parameters or functions of the parameters.
+ * An `errorMap` (a Zod error map) translates Zod's default issue messages.
+ *
+ * @param {string} locale - Locale such as `de` or `pt-BR`
+ * @param {object} messages - Messages keyed like the built-in English ones
+ * @returns {object} - The locale's messages
+ */
+const registerLocale = (locale, messages = {}) => {
+  if (typeof locale !== 'string' || !locale) {
+    throw new TypeError('ZodForm: a locale must be a non-empty string');
+  }
+  if (messages.errorMap !== undefined && typeof messages.errorMap !== 'function') {
+    throw new TypeError(`ZodForm: the errorMap of locale "${locale}" must be a Zod error map`);
+  }
+
+  catalogs.set(locale, { ...(catalogs.get(locale) || {}), ...messages });
+  return catalogs.get(locale);
+};
+
+/**
+ * Resolve the `locale` option, which may be a function of the request
+ */
+const resolveLocale = (locale, req) => (typeof locale === 'function' ? locale(req) : locale);
+
+/**
+ * Messages for the `locale` and `messages` options: English, overridden by the
+ * language (`pt` for `pt-BR`), the locale and finally the per-form messages
+ *
+ * @param {object} options - `{ locale, messages }`
+ * @returns {object} - Messages keyed by name
+ */
+const getMessages = (options = {}) => {
+  const locale = options.locale || DEFAULT_LOCALE;
+  const language = locale.split('-')[0];
+
+  return {
+    ...en,
+    ...(language !== locale ? catalogs.get(language) : {}),
+    ...catalogs.get(locale),
+    ...options.messages
+  };
+};
+
+/**
+ * Translate a message
+ *
+ * @param {object} options - `{ locale, messages }`
+ * @param {string} key - Message name, e.g. `addItem`
+ * @param {object} params - Values of the message's `{name}` parameters
+ * @returns {string} - Translated message, or the key itself for unknown messages
+ */
+const translate = (options, key, params = {}) => {
+  const message = getMessages(options)[key];
+  if (typeof message === 'function') return message(params);
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  );
+};
+
+/**
+ * Client script messages of a form, in its locale
+ */
+const getClientMessages = (options = {}) => {
+  return Object.fromEntries(
+    CLIENT_MESSAGES.map((key) => [key, getMessages(options)[key]]).filter(
+      ([, message]) => typeof message === 'string'
+    )
+  );
+};
+
+/**
+ * Translate a Zod issue's message with the locale's `errorMap`
+ *
+ * Only Zod's own default messages and those of `compare` rules declared without
+ * a message are translated, the schema's custom ones (`.min(2, 'Too short')`,
+ * `required_error`, ...) are kept.
+ *
+ * @param {object} issue - Zod issue
+ * @param {object} options - `{ locale, messages }`
+ * @returns {string} - Issue message
+ */
+const translateIssue = (issue, options = {}) => {
+  if (issue.code === z.ZodIssueCode.custom && issue.params?.zodFormMessage) {
+    return translate(options, issue.params.zodFormMessage, issue.params);
+  }
+
+  const { errorMap } = getMessages(options);
+  if (!errorMap) return issue.message;
+
+  const defaultError = z.defaultErrorMap(issue, { data: undefined, defaultError: '' }).message;
+  if (issue.message !== defaultError) return issue.message;
+
+  return errorMap(issue, { data: undefined, defaultError })?.message || issue.message;
+};
+
+module.exports = {
+  registerLocale,
+  resolveLocale,
+  getMessages,
+  translate,
+  getClientMessages,
+  translateIssue
+};
@@ -0,0 +1,88 @@
+/**
+ * Schema registry - Named server-side schemas that rendered forms can refer to
+ */
+
+const schemas = new Map();
+
+/**
+ * Register a Zod schema under a name
+ *
+ * @param {string} name - Name the form and the HTMX routes use to find the schema
+ * @param {object} schema - Zod schema
+ * @param {object} options - Form options stored alongside the schema
+ * @returns {object} - The registered schema
+ */
+const register = (name, schema, options = {}) => {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('ZodForm: a schema name must be a non-empty string');
+  }
+  if (!schema || typeof schema.safeParse !== 'function') {
+    throw new TypeError(`ZodForm: cannot register "${name}", it is not a Zod schema`);
+  }
+
+  schemas.set(name, { schema, options });
+  return schema;
+};
+
+/**
+ * Get a registered schema by name
+ *
+ * @param {string} name - Schema name
+ * @returns {object|undefined} - Zod schema
+ */
+const getSchema = (name) => {
+  return schemas.get(name)?.schema;
+};
+
+/**
+ * Get the form options a schema was registered with
+ *
+ * @param {string} name - Schema name
+ * @returns {object} - Registered options
+ */
+const getOptions = (name) => {
+  return schemas.get(name)?.options || {};
+};
+
+/**
+ * Accept either a Zod schema or the name of a registered one
+ *
+ * @param {object|string} schemaOrName - Zod schema or registered name
+ * @returns {object} - `{ schema, name, options }`, name and options are only set for registered schemas
+ */
+const resolve = (schemaOrName) => {
+  if (typeof schemaOrName !== 'string') {
+    // A schema object that was registered is still linked to its name
+    for (const [name, entry] of schemas) {
+      if (entry.schema === schemaOrName) {
+        return { schema: schemaOrName, name, options: entry.options };
+      }
+    }
+    return { schema: schemaOrName, name: undefined, options: {} };
+  }
+
+  const entry = schemas.get(schemaOrName);
+  if (!entry) {
+    throw new Error(`ZodForm: no schema registered as "${schemaOrName}"`);
+  }
+
+  return { schema: entry.schema, name: schemaOrName, options: entry.options };
+};
+
+/**
+ * Remove a schema from the registry
+ *
+ * @param {string} name - Schema name
+ * @returns {boolean} - Whether a schema was removed
+ */
+const unregister = (name) => {
+  return schemas.delete(name);
+};
+
+module.exports = {
+  register,
+  getSchema,
+  getOptions,
+  resolve,
+  unregister
+};
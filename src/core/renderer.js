@@ -3,28 +3,13 @@
  */
 
 const { defaultTemplates } = require('../templates/default');
-const { darkTheme } = require('../styles/dark');
-const { lightTheme } = require('../styles/light');
+const { attributesToString } = require('./html');
+const assets = require('./assets');
+const i18n = require('./i18n');
 
 // Import element renderers - we'll lazy load them to avoid circular dependencies
 let elements = null;
 
-/**
- * Generate HTML attributes string from an object
- */
-const attributesToString = (attributes) => {
-  return Object.entries(attributes)
-    .filter(([_, value]) => value !== undefined && value !== null)
-    .map(([key, value]) => {
-      if (typeof value === 'boolean') {
-        return value ? key : '';
-      }
-      return `${key}="${String(value).replace(/"/g, '&quot;')}"`;
-    })
-    .filter(Boolean)
-    .join(' ');
-};
-
 /**
  * Prepare templates with proper options
  */
@@ -51,7 +36,9 @@ const prepareClasses = (options) => {
     radio: 'zf-radio',
     button: 'zf-button',
     error: 'zf-error',
+    help: 'zf-help',
     array: 'zf-array',
+    arrayItems: 'zf-array-items',
     arrayItem: 'zf-array-item',
     arrayControls: 'zf-array-controls',
     fieldset: 'zf-fieldset',
@@ -71,33 +58,7 @@ const prepareClasses = (options) => {
  * Prepare CSS styles
  */
 const prepareStyles = (options) => {
-  const theme = options.theme === 'light' ? lightTheme : darkTheme;
-  const customStyles = options.customStyles || '';
-
-  // Add fix for container width issues
-  const fixStyles = `
-    /* Fix for container width issues */
-    .zf-form {
-      box-sizing: border-box;
-      max-width: 100%;
-    }
-    
-    .zf-form *,
-    .zf-form *::before,
-    .zf-form *::after {
-      box-sizing: border-box;
-    }
-    
-    .zf-input,
-    .zf-select,
-    .zf-textarea {
-      box-sizing: border-box;
-      max-width: 100%;
-      width: 100%;
-    }
-  `;
-
-  return `${theme}${fixStyles}${customStyles}`;
+  return `${assets.getStylesheet(options.theme)}${options.customStyles || ''}`;
 };
 
 /**
@@ -112,30 +73,169 @@ const renderField = (field, options = {}) => {
     elements = require('../elements');
   }
 
-  // Delegate to the appropriate element renderer
-  if (elements[field.type]) {
-    return elements[field.type](field, {
-      ...options,
-      templates,
-      classes
-    });
+  // Delegate to the element registered for the field type
+  return elements.renderElement(field, {
+    ...options,
+    templates,
+    classes
+  });
+};
+
+/**
+ * Render an item of an array or record field, as added to the list in the browser
+ */
+const renderArrayItem = (field, index, options = {}) => {
+  // Lazy-load elements to avoid circular dependencies
+  if (elements === null) {
+    elements = require('../elements');
   }
 
-  // Fallback to text input
-  return elements.text(field, {
+  return elements.renderArrayItem(field, index, undefined, {
     ...options,
-    templates,
+    templates: prepareTemplates(options),
+    classes: prepareClasses(options)
+  });
+};
+
+/**
+ * Sort fields into the blocks they are rendered in
+ *
+ * Sections declared in `options.sections` (`[{ title, description, fields }]`) come
+ * first, in the order given. The remaining fields follow in their own order, fields
+ * sharing a `group` forming a section where the first of them appears.
+ */
+const getSections = (fields, options) => {
+  const blocks = [];
+  const claimed = new Set();
+
+  (options.sections || []).forEach((section) => {
+    const sectionFields = (section.fields || [])
+      .filter((name) => fields[name] && !claimed.has(name))
+      .map((name) => {
+        claimed.add(name);
+        return fields[name];
+      });
+
+    blocks.push({ title: section.title, description: section.description, fields: sectionFields });
+  });
+
+  Object.values(fields).forEach((field) => {
+    if (claimed.has(field.name)) return;
+
+    const lastBlock = blocks[blocks.length - 1];
+    const block = field.group
+      ? blocks.find((candidate) => candidate.title === field.group)
+      : lastBlock && lastBlock.title === undefined
+        ? lastBlock
+        : undefined;
+
+    if (block) {
+      block.fields.push(field);
+    } else {
+      blocks.push({ title: field.group, fields: [field] });
+    }
+  });
+
+  return blocks.filter((block) => block.fields.length);
+};
+
+/**
+ * Render sections as tabbed panels
+ */
+const renderTabs = (sections, renderContent, options) => {
+  const { templates, classes } = options;
+  const id = `${options.id || 'zf'}-tabs`;
+  options.assetCollector?.use('tabs');
+
+  const panels = sections
+    .map((section, index) =>
+      templates.tabPanel({
+        id: `${id}-${index}`,
+        title: section.title,
+        description: section.description,
+        content: renderContent(section.fields),
+        classes
+      })
+    )
+    .join('');
+
+  return templates.tabs({
+    id,
+    tabs: sections.map((section, index) => ({ id: `${id}-${index}`, title: section.title })),
+    panels,
     classes
   });
 };
 
+/**
+ * Render a list of fields in their sections
+ *
+ * Sections are fieldsets, or tabbed panels with `options.tabs`. With
+ * `options.columns` the fields are laid out on a grid, a field's `span`
+ * setting how many columns it takes.
+ */
+const renderFields = (fields, options) => {
+  const { templates, classes } = options;
+  const sections = getSections(fields, options);
+  const titledSections = sections.filter((section) => section.title !== undefined);
+  let tabsRendered = false;
+
+  const renderContent = (sectionFields) => {
+    const content = sectionFields.map((field) => renderField(field, options)).join('');
+    return options.columns
+      ? templates.grid({ columns: options.columns, content, classes })
+      : content;
+  };
+
+  return sections
+    .map((section) => {
+      if (section.title === undefined) {
+        return renderContent(section.fields);
+      }
+
+      if (!options.tabs) {
+        return templates.group({
+          legend: section.title,
+          description: section.description,
+          content: renderContent(section.fields),
+          classes
+        });
+      }
+
+      // All titled sections share one set of tabs, placed where the first one appears
+      if (tabsRendered) return '';
+      tabsRendered = true;
+      return renderTabs(titledSections, renderContent, options);
+    })
+    .join('');
+};
+
 /**
  * Render a complete form
+ *
+ * `options.headerHtml` is inserted before the fields and `options.actionsHtml`
+ * replaces the submit button. The form's behavior comes from the client script
+ * in `scripts`, which finds its elements through `data-zf-*` attributes.
+ *
+ * With a page-level `options.assetCollector` the form's scripts and styles are
+ * added to it, and `styles` and `scripts` are left empty.
  */
 const renderForm = (fields, options = {}) => {
   const templates = prepareTemplates(options);
   const classes = prepareClasses(options);
-  const styles = prepareStyles(options);
+  const assetCollector = options.assetCollector || assets.createAssetCollector(options);
+
+  // The form behavior uses the schema and rule helpers, which load before it
+  assetCollector
+    .useTheme(options.theme)
+    .use(
+      ...(options.clientSchema ? ['schema'] : []),
+      ...(options.conditionalLogic ? ['rules'] : []),
+      'form'
+    );
+  if (options.customStyles) {
+    assetCollector.addStyle('customStyles', options.customStyles);
+  }
 
   // Generate form attributes
   const formAttributes = {
@@ -144,6 +244,16 @@ const renderForm = (fields, options = {}) => {
     class: classes.form,
     ...(options.enctype ? { enctype: options.enctype } : {}),
     ...(options.id ? { id: options.id } : {}),
+    'data-zf-behavior': 'form',
+    ...(options.conditionalLogic
+      ? { 'data-zf-conditions': JSON.stringify(options.conditionalLogic) }
+      : {}),
+    // Messages of the client script in the form's locale
+    'data-zf-messages': JSON.stringify(i18n.getClientMessages(options)),
+    // The form reports Zod's messages itself instead of the browser's
+    ...(options.clientSchema
+      ? { 'data-zf-schema': JSON.stringify(options.clientSchema), novalidate: true }
+      : {}),
     ...(options.attributes || {})
   };
 
@@ -152,133 +262,49 @@ const renderForm = (fields, options = {}) => {
   }
 
   // Render each field
-  const fieldHtml = Object.values(fields)
-    .map((field) =>
-      renderField(field, {
-        ...options,
-        templates,
-        classes
-      })
-    )
-    .join('');
-
-  // Add submit button
-  const submitButtonHtml = templates.submitButton({
-    label: options.submitLabel || 'Submit',
-    classes
+  const fieldHtml = renderFields(fields, {
+    ...options,
+    templates,
+    classes,
+    assetCollector
   });
 
+  // Reference the registered schema so the HTMX routes can validate against it
+  const schemaRefHtml = options.schemaName
+    ? `<input ${attributesToString({ type: 'hidden', name: '_zfSchema', value: options.schemaName })}>`
+    : '';
+
+  // Add submit button, unless the caller renders its own actions (e.g. wizard navigation)
+  const submitButtonHtml =
+    options.actionsHtml ??
+    templates.submitButton({
+      label: options.submitLabel || i18n.translate(options, 'submit'),
+      classes
+    });
+
   // Combine everything into the form template
   const formHtml = templates.form({
     attributes: attributesToString(formAttributes),
-    content: `${fieldHtml}${submitButtonHtml}`,
+    content: `${schemaRefHtml}${options.headerHtml || ''}${fieldHtml}${submitButtonHtml}`,
     classes
   });
 
-  // Generate scripts for client-side validation
-  const scriptsHtml = `
-    <script>
-      ${generateClientValidation(fields, options)}
-    </script>
-  `;
-
-  // Generate styles
-  const stylesHtml = `
-    <style>
-      ${styles}
-    </style>
-  `;
+  const { styles, scripts } = options.assetCollector
+    ? { styles: '', scripts: '' }
+    : assetCollector.flush();
 
   return {
     html: formHtml,
-    styles: stylesHtml,
-    scripts: scriptsHtml
+    styles,
+    scripts
   };
 };
 
-/**
- * Generate client-side validation code
- */
-const generateClientValidation = (fields, options) => {
-  // Import htmx utilities
-  let htmxUtils = null;
-  try {
-    htmxUtils = require('../integrations/htmx');
-  } catch (error) {
-    console.warn('HTMX integration not available', error);
-  }
-
-  // Generate a simplified validation script (no eval)
-  let js = `
-    document.addEventListener('DOMContentLoaded', function() {
-      // Client-side validation with HTMX
-      var formSelector = ${options.id ? `'#${options.id}'` : "'.zf-form'"};
-      var form = document.querySelector(formSelector);
-      if (!form) return;
-      
-      // Basic validation for required fields
-      var requiredFields = form.querySelectorAll('[required]');
-      for (var i = 0; i < requiredFields.length; i++) {
-        requiredFields[i].addEventListener('blur', function() {
-          validateField(this);
-        });
-      }
-      
-      // Form submission
-      form.addEventListener('submit', function(e) {
-        var isValid = true;
-        var allFields = form.querySelectorAll('input:not([disabled]), select:not([disabled]), textarea:not([disabled])');
-        
-        for (var i = 0; i < allFields.length; i++) {
-          if (!validateField(allFields[i])) {
-            isValid = false;
-          }
-        }
-        
-        if (!isValid && !e.submitter?.hasAttribute('hx-post')) {
-          e.preventDefault();
-        }
-      });
-      
-      function validateField(field) {
-        // Find the error element - may be nested in a container
-        var errorElement = field.parentNode.querySelector('.zf-error');
-        if (!errorElement && field.parentNode.parentNode) {
-          errorElement = field.parentNode.parentNode.querySelector('.zf-error');
-        }
-        if (!errorElement) return true;
-        
-        var isValid = field.checkValidity();
-        
-        if (!isValid) {
-          errorElement.textContent = field.validationMessage || 'This field is invalid';
-          errorElement.style.display = 'block';
-          field.classList.add('zf-invalid');
-          return false;
-        } else {
-          errorElement.textContent = '';
-          errorElement.style.display = 'none';
-          field.classList.remove('zf-invalid');
-          return true;
-        }
-      }
-  `;
-
-  // Add conditional logic if provided
-  if (options.conditionalLogic && htmxUtils) {
-    js += htmxUtils.generateConditionalLogic(fields, options.conditionalLogic);
-  }
-
-  js += `
-    });
-  `;
-
-  return js;
-};
-
 module.exports = {
   renderForm,
   renderField,
+  renderArrayItem,
+  renderFields,
   prepareTemplates,
   prepareClasses,
   prepareStyles
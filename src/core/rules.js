@@ -0,0 +1,298 @@
+/**
+ * Rules - Conditional logic that shows, enables, requires and sets fields
+ *
+ * Rules are plain data so the same rules drive the form in the browser (see
+ * client/behaviors/rules.js) and are evaluated again on the server, against the
+ * submission as the browser sent it: every value a string, fields the browser
+ * left out missing.
+ */
+
+const { parseFieldName, getValueAtPath, setValueAtPath } = require('./form-data');
+
+// Actions of a field's rules, `hide` and `disable` are the negated `show` and `enable`
+const ACTIONS = ['show', 'hide', 'enable', 'disable', 'require', 'set'];
+
+// Operators of a condition on a field
+const OPERATORS = [
+  'equals',
+  'notEquals',
+  'in',
+  'notIn',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'isEmpty',
+  'matches'
+];
+
+const TRUE_VALUES = ['true', 'on', '1', 'yes'];
+
+/**
+ * Bracket-notation name of a field path, e.g. `address[zip]` for `address.zip`
+ */
+const toFieldName = (path) =>
+  parseFieldName(path)
+    .map((segment, index) => (index === 0 ? segment : `[${segment}]`))
+    .join('');
+
+/**
+ * Normalize a condition, checking its operators and naming its fields like the inputs
+ */
+const normalizeCondition = (condition, target) => {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw new TypeError(`ZodForm: the rule of "${target}" must be a condition object`);
+  }
+
+  if (condition.all || condition.any) {
+    const key = condition.all ? 'all' : 'any';
+    if (!Array.isArray(condition[key])) {
+      throw new TypeError(
+        `ZodForm: "${key}" in the rule of "${target}" must be a list of conditions`
+      );
+    }
+    return { [key]: condition[key].map((item) => normalizeCondition(item, target)) };
+  }
+
+  if (condition.not) {
+    return { not: normalizeCondition(condition.not, target) };
+  }
+
+  const operators = Object.keys(condition).filter((key) => key !== 'field');
+  const unknown = operators.filter((key) => !OPERATORS.includes(key));
+  if (typeof condition.field !== 'string' || !operators.length || unknown.length) {
+    throw new TypeError(
+      `ZodForm: the rule of "${target}" needs a field and operators among ${OPERATORS.join(', ')}`
+    );
+  }
+  if ('matches' in condition) {
+    try {
+      RegExp(condition.matches);
+    } catch {
+      throw new TypeError(
+        `ZodForm: "matches" in the rule of "${target}" is not a regular expression`
+      );
+    }
+  }
+
+  return { ...condition, field: toFieldName(condition.field) };
+};
+
+/**
+ * Normalize the `conditionalLogic` option into rules keyed by input name
+ *
+ * Each field takes `show`, `hide`, `enable`, `disable` and `require` conditions,
+ * and `set: { when, value }` (or a list of them). The shorthand of a single
+ * condition, `{ show: 'otherField', equals: value }`, is still accepted.
+ *
+ * Conditions combine `{ all: [...] }`, `{ any: [...] }` and `{ not: condition }`
+ * around `{ field, [operator]: operand }`, with the operators `equals`,
+ * `notEquals`, `in`, `notIn`, `gt`, `gte`, `lt`, `lte`, `isEmpty` (`true` or
+ * `false`) and `matches` (a regular expression). Fields are paths such as
+ * `address.country` or `items[0][qty]`.
+ *
+ * @param {object} conditionalLogic - Rules keyed by field path
+ * @returns {object} - `{ [name]: { show, enable, require, set } }`
+ */
+const normalizeRules = (conditionalLogic = {}) =>
+  Object.fromEntries(
+    Object.entries(conditionalLogic).map(([target, rule]) => {
+      // Shorthand: `{ show: 'field', equals: value }`
+      if (typeof rule?.show === 'string') {
+        const { show, ...rest } = rule;
+        const isOperator = ([key]) => OPERATORS.includes(key);
+        rule = {
+          ...Object.fromEntries(Object.entries(rest).filter((entry) => !isOperator(entry))),
+          show: { field: show, ...Object.fromEntries(Object.entries(rest).filter(isOperator)) }
+        };
+      }
+
+      const unknown = Object.keys(rule || {}).filter((key) => !ACTIONS.includes(key));
+      if (!rule || unknown.length) {
+        throw new TypeError(
+          `ZodForm: the rule of "${target}" takes the actions ${ACTIONS.join(', ')}`
+        );
+      }
+
+      const normalized = {};
+      if (rule.show || rule.hide) {
+        const conditions = [
+          ...(rule.show ? [normalizeCondition(rule.show, target)] : []),
+          ...(rule.hide ? [{ not: normalizeCondition(rule.hide, target) }] : [])
+        ];
+        normalized.show = conditions.length > 1 ? { all: conditions } : conditions[0];
+      }
+      if (rule.enable || rule.disable) {
+        const conditions = [
+          ...(rule.enable ? [normalizeCondition(rule.enable, target)] : []),
+          ...(rule.disable ? [{ not: normalizeCondition(rule.disable, target) }] : [])
+        ];
+        normalized.enable = conditions.length > 1 ? { all: conditions } : conditions[0];
+      }
+      if (rule.require) {
+        normalized.require = normalizeCondition(rule.require, target);
+      }
+      if (rule.set) {
+        normalized.set = (Array.isArray(rule.set) ? rule.set : [rule.set]).map((item) => {
+          if (!item || !('value' in item)) {
+            throw new TypeError(`ZodForm: "set" in the rule of "${target}" needs a value`);
+          }
+          return { when: normalizeCondition(item.when, target), value: item.value };
+        });
+      }
+
+      return [toFieldName(target), normalized];
+    })
+  );
+
+/**
+ * Whether a submitted value is empty: missing, an empty string or an empty list
+ */
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === '' ||
+  (Array.isArray(value) && !value.length) ||
+  (typeof value === 'object' && !Array.isArray(value) && !Object.keys(value).length);
+
+/**
+ * Compare a submitted value with an operand: booleans as checkbox states,
+ * numbers numerically, everything else as strings
+ */
+const compare = (value, operand) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (typeof operand === 'boolean') {
+    return Number(TRUE_VALUES.includes(text.toLowerCase())) - Number(operand);
+  }
+  if (typeof operand === 'number' || (text !== '' && !isNaN(text) && !isNaN(operand))) {
+    return text === '' ? NaN : Number(text) - Number(operand);
+  }
+  return text < String(operand) ? -1 : text > String(operand) ? 1 : 0;
+};
+
+/**
+ * Whether a value (any item of a list of values) passes an operator
+ */
+const passes = (operator, value, operand) => {
+  const values = Array.isArray(value) ? value : [value];
+  const some = (check) => values.some(check);
+
+  switch (operator) {
+    case 'equals':
+      return some((item) => compare(item, operand) === 0);
+    case 'notEquals':
+      return !passes('equals', value, operand);
+    case 'in':
+      return some((item) => [].concat(operand).some((option) => compare(item, option) === 0));
+    case 'notIn':
+      return !passes('in', value, operand);
+    case 'gt':
+      return !isEmpty(value) && some((item) => compare(item, operand) > 0);
+    case 'gte':
+      return !isEmpty(value) && some((item) => compare(item, operand) >= 0);
+    case 'lt':
+      return !isEmpty(value) && some((item) => compare(item, operand) < 0);
+    case 'lte':
+      return !isEmpty(value) && some((item) => compare(item, operand) <= 0);
+    case 'isEmpty':
+      return isEmpty(value) === Boolean(operand);
+    default:
+      return some((item) => new RegExp(operand).test(item == null ? '' : String(item)));
+  }
+};
+
+/**
+ * Evaluate a normalized condition against submitted data
+ *
+ * @param {object} condition - Normalized condition
+ * @param {object} data - Submitted data, nested by field path
+ * @returns {boolean} - Whether the condition holds
+ */
+const evaluateCondition = (condition, data) => {
+  if (condition.all) return condition.all.every((item) => evaluateCondition(item, data));
+  if (condition.any) return condition.any.some((item) => evaluateCondition(item, data));
+  if (condition.not) return !evaluateCondition(condition.not, data);
+
+  const value = getValueAtPath(data, condition.field);
+  return Object.keys(condition)
+    .filter((key) => key !== 'field')
+    .every((operator) => passes(operator, value, condition[operator]));
+};
+
+/**
+ * Copy of nested data without the value at a path
+ */
+const omitPath = (data, name) => {
+  const [segment, ...rest] = parseFieldName(name);
+  if (!data || typeof data !== 'object' || !(segment in data)) return data;
+
+  const copy = Array.isArray(data) ? [...data] : { ...data };
+  if (rest.length) {
+    copy[segment] = omitPath(copy[segment], rest.join('.'));
+  } else {
+    delete copy[segment];
+  }
+  return copy;
+};
+
+/**
+ * Apply the rules to a submission the way the browser does
+ *
+ * Set values are filled in, and hidden or disabled fields are left out (the
+ * browser does not submit disabled inputs) until no rule changes anymore.
+ *
+ * @param {object} rules - Normalized rules
+ * @param {object} data - Submitted data, nested by field path
+ * @returns {object} - `{ data, inactive, required }`, required lists the active
+ *   fields a rule requires
+ */
+const applyRules = (rules, data) => {
+  const targets = Object.keys(rules);
+  let values = data;
+  let state = { inactive: [], required: [] };
+
+  // Every round settles at least one field, chains of rules end after one per field
+  for (let round = 0; round <= targets.length; round++) {
+    const submitted = state.inactive.reduce(omitPath, values);
+    const next = { inactive: [], required: [] };
+
+    targets.forEach((name) => {
+      const rule = rules[name];
+      (rule.set || []).forEach(({ when, value }) => {
+        if (evaluateCondition(when, submitted)) {
+          values = setValueAtPath(values, name, typeof value === 'string' ? value : String(value));
+        }
+      });
+
+      const shown = !rule.show || evaluateCondition(rule.show, submitted);
+      const enabled = !rule.enable || evaluateCondition(rule.enable, submitted);
+      if (!shown || !enabled) {
+        next.inactive.push(name);
+      } else if (rule.require && evaluateCondition(rule.require, submitted)) {
+        next.required.push(name);
+      }
+    });
+
+    const settled = JSON.stringify(next) === JSON.stringify(state);
+    state = next;
+    if (settled) break;
+  }
+
+  return { data: state.inactive.reduce(omitPath, values), ...state };
+};
+
+/**
+ * Fields an applied set of rules requires but that were submitted empty
+ *
+ * @param {object} applied - Result of `applyRules`
+ * @returns {Array<string>} - Field names
+ */
+const getMissingFields = (applied) =>
+  applied.required.filter((name) => isEmpty(getValueAtPath(applied.data, name)));
+
+module.exports = {
+  normalizeRules,
+  evaluateCondition,
+  applyRules,
+  getMissingFields
+};
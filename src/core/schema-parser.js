@@ -3,17 +3,26 @@
  */
 
 const { z } = require('zod');
+const elementRegistry = require('../elements/registry');
+
+// Recursive (lazy) schemas are expanded this many levels deep, deeper fields are left out
+const MAX_LAZY_DEPTH = 3;
 
 /**
  * Map Zod types to HTML form element types
  */
-const mapZodTypeToHtmlElement = (zodType, path = '') => {
+const mapZodTypeToHtmlElement = (zodType, path = '', lazyDepth = 0) => {
+  // Custom elements claim their Zod types before the built-in mapping
+  const customType = elementRegistry.matchElement(zodType, path);
+  if (customType) return customType;
+
   if (zodType instanceof z.ZodString) {
     // Handle special string types
     if (zodType._def.checks) {
       for (const check of zodType._def.checks) {
         if (check.kind === 'email') return { type: 'email' };
         if (check.kind === 'url') return { type: 'url' };
+        if (check.kind === 'date') return { type: 'date' };
         if (check.kind === 'uuid')
           return {
             type: 'text',
@@ -25,6 +34,11 @@ const mapZodTypeToHtmlElement = (zodType, path = '') => {
     return { type: 'text' };
   }
 
+  if (zodType instanceof z.ZodBigInt) {
+    // Number inputs lose precision past 2^53, so big integers stay text
+    return { type: 'text', inputMode: 'numeric', pattern: '-?\\d+' };
+  }
+
   if (zodType instanceof z.ZodNumber) {
     // Check for range inputs
     if (zodType._def.checks) {
@@ -60,18 +74,97 @@ const mapZodTypeToHtmlElement = (zodType, path = '') => {
     };
   }
 
+  if (zodType instanceof z.ZodNativeEnum) {
+    const values = zodType._def.values;
+    return {
+      type: 'select',
+      // Numeric enums also map each value back to its key, those entries are not options
+      options: Object.keys(values)
+        .filter((key) => typeof values[values[key]] !== 'number')
+        .map((key) => ({ value: String(values[key]), label: key }))
+    };
+  }
+
+  if (zodType instanceof z.ZodLiteral) {
+    // A literal has a single valid value, there is nothing to choose
+    return { type: 'hidden', value: String(zodType._def.value), readOnly: true };
+  }
+
   if (zodType instanceof z.ZodArray) {
-    const itemType = mapZodTypeToHtmlElement(zodType._def.type, `${path}.items`);
+    const itemType = mapZodTypeToHtmlElement(zodType._def.type, `${path}.items`, lazyDepth);
+    if (itemType.type === 'omitted') return itemType;
+
+    // A list of choices is ticked in a checkbox group rather than added item by item
+    if (getChoiceOptions(itemType)) {
+      return { type: 'checkboxGroup', options: getChoiceOptions(itemType), itemType };
+    }
+
     return {
       type: 'array',
       itemType
     };
   }
 
+  if (zodType instanceof z.ZodSet) {
+    const valueType = mapZodTypeToHtmlElement(zodType._def.valueType, `${path}.items`, lazyDepth);
+    if (valueType.type === 'omitted') return valueType;
+
+    if (getChoiceOptions(valueType)) {
+      return { type: 'checkboxGroup', options: getChoiceOptions(valueType), itemType: valueType };
+    }
+
+    return { type: 'array', itemType: valueType };
+  }
+
+  if (zodType instanceof z.ZodTuple) {
+    return {
+      type: 'tuple',
+      items: zodType._def.items
+        .map((item, index) => buildField(String(index), item, `${path}.${index}`, lazyDepth))
+        .filter(Boolean)
+    };
+  }
+
   if (zodType instanceof z.ZodObject) {
     return {
       type: 'object',
-      fields: parseSchema(zodType, path)
+      fields: parseSchema(zodType, path, lazyDepth)
+    };
+  }
+
+  if (zodType instanceof z.ZodDiscriminatedUnion) {
+    const discriminator = zodType._def.discriminator;
+
+    return {
+      type: 'discriminatedUnion',
+      discriminator,
+      variants: zodType._def.options.map((option) => {
+        const value = String(getLiteralValue(option._def.shape()[discriminator]));
+        const fields = parseSchema(option, path, lazyDepth);
+
+        // The discriminator is chosen by the variant selector, not rendered as a field
+        delete fields[discriminator];
+
+        return {
+          value,
+          label: value.charAt(0).toUpperCase() + value.slice(1),
+          fields
+        };
+      })
+    };
+  }
+
+  if (
+    zodType instanceof z.ZodUnion &&
+    zodType._def.options.every((option) => option instanceof z.ZodLiteral)
+  ) {
+    // A union of literals is a plain choice between its values
+    return {
+      type: 'radio',
+      options: zodType._def.options.map((option) => ({
+        value: String(option._def.value),
+        label: String(option._def.value)
+      }))
     };
   }
 
@@ -80,30 +173,39 @@ const mapZodTypeToHtmlElement = (zodType, path = '') => {
       type: 'radio',
       options: zodType._def.options.map((option, index) => ({
         value: String(index),
-        label: `Option ${index + 1}`,
         schema: option
       }))
     };
   }
 
   if (zodType instanceof z.ZodRecord) {
+    const valueType = mapZodTypeToHtmlElement(zodType._def.valueType, `${path}.values`, lazyDepth);
+    if (valueType.type === 'omitted') return valueType;
+
     return {
       type: 'record',
-      valueType: mapZodTypeToHtmlElement(zodType._def.valueType, `${path}.values`)
+      valueType
     };
   }
 
-  if (
-    zodType._def &&
-    zodType._def.typeName === 'ZodEffects' &&
-    zodType._def.effect.type === 'refinement'
-  ) {
-    // Handle refined types (using the inner type)
-    return mapZodTypeToHtmlElement(zodType._def.schema, path);
+  if (getWrappedType(zodType)) {
+    // Refinements, transforms, brands, ... are rendered as the type they wrap
+    return mapZodTypeToHtmlElement(getWrappedType(zodType), path, lazyDepth);
+  }
+
+  if (zodType instanceof z.ZodLazy) {
+    if (lazyDepth >= MAX_LAZY_DEPTH) return { type: 'omitted' };
+    return mapZodTypeToHtmlElement(zodType.schema, path, lazyDepth + 1);
+  }
+
+  if (zodType instanceof z.ZodDefault) {
+    const innerType = mapZodTypeToHtmlElement(zodType._def.innerType, path, lazyDepth);
+    innerType.defaultValue = zodType._def.defaultValue();
+    return innerType;
   }
 
   if (zodType instanceof z.ZodNullable || zodType instanceof z.ZodOptional) {
-    const innerType = mapZodTypeToHtmlElement(zodType.unwrap(), path);
+    const innerType = mapZodTypeToHtmlElement(zodType.unwrap(), path, lazyDepth);
     innerType.optional = true;
     return innerType;
   }
@@ -119,6 +221,38 @@ const mapZodTypeToHtmlElement = (zodType, path = '') => {
   return { type: 'text' };
 };
 
+/**
+ * Get the options of a field that is a choice between fixed values (enums, literal unions)
+ */
+const getChoiceOptions = (fieldType) => {
+  if (!fieldType.options || fieldType.options.some((option) => option.schema)) return undefined;
+  return fieldType.options;
+};
+
+/**
+ * Get the type wrapped by a Zod type that does not change how a field is rendered
+ */
+const getWrappedType = (zodType) => {
+  if (zodType instanceof z.ZodEffects) return zodType._def.schema;
+  if (zodType instanceof z.ZodBranded) return zodType.unwrap();
+  if (zodType instanceof z.ZodCatch || zodType instanceof z.ZodReadonly) {
+    return zodType._def.innerType;
+  }
+  if (zodType instanceof z.ZodPipeline) return zodType._def.in;
+  return undefined;
+};
+
+/**
+ * Get the value a discriminator property matches (a literal, or the first enum value)
+ */
+const getLiteralValue = (zodType) => {
+  const { type } = unwrapZodType(zodType);
+
+  if (type instanceof z.ZodLiteral) return type._def.value;
+  if (type instanceof z.ZodEnum) return type._def.values[0];
+  return undefined;
+};
+
 /**
  * Extract validation rules from Zod schema
  */
@@ -148,18 +282,34 @@ const extractValidationRules = (zodType) => {
     }
   }
 
+  if (zodType instanceof z.ZodArray) {
+    const { minLength, maxLength, exactLength } = zodType._def;
+    if (minLength || exactLength) rules.minItems = (minLength || exactLength).value;
+    if (maxLength || exactLength) rules.maxItems = (maxLength || exactLength).value;
+  }
+
+  if (zodType instanceof z.ZodSet) {
+    if (zodType._def.minSize) rules.minItems = zodType._def.minSize.value;
+    if (zodType._def.maxSize) rules.maxItems = zodType._def.maxSize.value;
+  }
+
   // Handle nested schemas
   if (zodType instanceof z.ZodOptional || zodType instanceof z.ZodNullable) {
     return { ...extractValidationRules(zodType.unwrap()), required: false };
   }
 
-  // Handle refined types
-  if (
-    zodType._def &&
-    zodType._def.typeName === 'ZodEffects' &&
-    zodType._def.effect.type === 'refinement'
-  ) {
-    return extractValidationRules(zodType._def.schema);
+  // A default is used when the input is left empty
+  if (zodType instanceof z.ZodDefault) {
+    return { ...extractValidationRules(zodType._def.innerType), required: false };
+  }
+
+  // Handle refined, transformed and other wrapped types
+  if (getWrappedType(zodType)) {
+    return extractValidationRules(getWrappedType(zodType));
+  }
+
+  if (zodType instanceof z.ZodLazy) {
+    return extractValidationRules(zodType.schema);
   }
 
   // By default, fields are required
@@ -171,54 +321,287 @@ const extractValidationRules = (zodType) => {
 };
 
 /**
- * Extract error messages from Zod schema
+ * Strip wrapper types (optional, nullable, default, effects, ...) from a Zod type
+ *
+ * @param {object} zodType - Zod type to unwrap
+ * @returns {object} - The inner type along with the flags collected on the way
+ */
+const unwrapZodType = (zodType) => {
+  let type = zodType;
+  let optional = false;
+  let nullable = false;
+  let defaultValue;
+
+  while (type && type._def) {
+    if (type instanceof z.ZodOptional) {
+      optional = true;
+      type = type.unwrap();
+    } else if (type instanceof z.ZodNullable) {
+      nullable = true;
+      type = type.unwrap();
+    } else if (type instanceof z.ZodDefault) {
+      // A default makes the field optional from the form's point of view
+      optional = true;
+      defaultValue = type._def.defaultValue();
+      type = type._def.innerType;
+    } else if (type instanceof z.ZodEffects) {
+      type = type._def.schema;
+    } else if (type instanceof z.ZodBranded) {
+      type = type.unwrap();
+    } else if (type instanceof z.ZodCatch || type instanceof z.ZodReadonly) {
+      type = type._def.innerType;
+    } else if (type instanceof z.ZodPipeline) {
+      type = type._def.in;
+    } else if (type instanceof z.ZodLazy) {
+      type = type.schema;
+    } else {
+      break;
+    }
+  }
+
+  return { type, optional, nullable, defaultValue };
+};
+
+/**
+ * Find the Zod type at a field path such as `address.city` or `items.2.qty`
+ *
+ * @param {object} schema - Root Zod schema
+ * @param {string|Array<string>} path - Dotted path or path segments
+ * @returns {object|undefined} - Zod type at the path, or undefined if the path does not exist
+ */
+const resolveSchemaPath = (schema, path) => {
+  const segments = Array.isArray(path) ? path : String(path).split('.').filter(Boolean);
+  let current = schema;
+
+  for (const segment of segments) {
+    const { type } = unwrapZodType(current);
+
+    if (type instanceof z.ZodObject) {
+      const shape = type._def.shape();
+      current = Object.prototype.hasOwnProperty.call(shape, segment) ? shape[segment] : undefined;
+    } else if (type instanceof z.ZodArray) {
+      if (!/^\d+$/.test(segment)) return undefined;
+      current = type._def.type;
+    } else if (type instanceof z.ZodRecord) {
+      current = type._def.valueType;
+    } else if (type instanceof z.ZodDiscriminatedUnion) {
+      // Use the first variant that declares the property
+      const variant = type._def.options.find((option) =>
+        Object.prototype.hasOwnProperty.call(option._def.shape(), segment)
+      );
+      current = variant?._def.shape()[segment];
+    } else {
+      return undefined;
+    }
+
+    if (!current) return undefined;
+  }
+
+  return current;
+};
+
+/**
+ * Read presentation metadata from a Zod description
+ *
+ * A description holding a JSON object is used as-is. Any other description is
+ * a label, optionally followed by a placeholder: `"Email // you@example.com"`.
+ */
+const parseDescription = (description) => {
+  if (!description) return {};
+
+  const trimmed = description.trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      const meta = JSON.parse(trimmed);
+      if (meta && typeof meta === 'object' && !Array.isArray(meta)) return meta;
+    } catch {
+      // Not JSON after all, treat it as a plain label
+    }
+  }
+
+  const [label, placeholder] = trimmed.split(' // ');
+  return {
+    label: label.trim(),
+    ...(placeholder ? { placeholder: placeholder.trim() } : {})
+  };
+};
+
+/**
+ * Get the presentation metadata (label, placeholder, help, widget, order, group, ...)
+ * attached to a Zod type through `.describe()` or `zodForm.meta()`
+ *
+ * @param {object} zodType - Zod type
+ * @returns {object} - Metadata, descriptions on wrapper types override the inner type's
+ */
+const getFieldMeta = (zodType) => {
+  const { type } = unwrapZodType(zodType);
+  const innerMeta = type && type !== zodType ? parseDescription(type.description) : {};
+
+  return {
+    ...innerMeta,
+    ...parseDescription(zodType.description)
+  };
+};
+
+/**
+ * Attach presentation metadata to a Zod type, merged with any it already carries
+ *
+ * @param {object} zodType - Zod type
+ * @param {object} meta - Metadata such as `{ label, placeholder, help, widget, order, group }`
+ * @returns {object} - A described copy of the Zod type
+ */
+const setFieldMeta = (zodType, meta = {}) => {
+  return zodType.describe(JSON.stringify({ ...getFieldMeta(zodType), ...meta }));
+};
+
+/**
+ * Turn metadata into field definition properties
+ */
+const metaToFieldProperties = (meta) => {
+  const { widget, ...properties } = meta;
+  return {
+    ...properties,
+    ...(widget ? { type: widget } : {})
+  };
+};
+
+// Keys of the field definition's `errors` set by the custom message of each check
+const CHECK_MESSAGE_KEYS = {
+  ZodString: {
+    min: ['minLength'],
+    max: ['maxLength'],
+    length: ['minLength', 'maxLength'],
+    email: ['email'],
+    url: ['url'],
+    regex: ['pattern']
+  },
+  ZodNumber: { min: ['min'], max: ['max'], int: ['step'], multipleOf: ['step'] }
+};
+
+/**
+ * Message an error map gives for an issue, or undefined when it keeps Zod's default
+ */
+const getErrorMapMessage = (errorMap, issue, data) => {
+  const result = errorMap(issue, { defaultError: '', data });
+  return result?.message || undefined;
+};
+
+/**
+ * Extract the custom error messages of a Zod type
+ *
+ * Messages passed to checks (`.min(2, 'Too short')`) and the ones its error map
+ * gives (`required_error`, `invalid_type_error`, `errorMap`) are keyed by the
+ * constraint they explain: `required`, `minLength`, `maxLength`, `min`, `max`,
+ * `step`, `pattern`, `email`, `url`, `type` and `enum`.
  */
 const extractErrorMessages = (zodType) => {
+  const { type, optional, nullable } = unwrapZodType(zodType);
   const messages = {};
+  if (!type?._def) return messages;
 
-  if (zodType._def.errorMap) {
-    // This is a simplified approach - in reality, we'd need to invoke the error map
-    // with different error codes to get all possible messages
-    messages.custom = true;
+  const checkKeys = CHECK_MESSAGE_KEYS[type._def.typeName] || {};
+  (type._def.checks || []).forEach((check) => {
+    (checkKeys[check.kind] || []).forEach((key) => {
+      if (check.message && !messages[key]) {
+        messages[key] = check.message;
+      }
+    });
+  });
+
+  if (type._def.errorMap) {
+    const isEnum = type instanceof z.ZodEnum || type instanceof z.ZodNativeEnum;
+    const expected = isEnum ? 'string' : type._def.typeName.replace(/^Zod/, '').toLowerCase();
+    // Issues with the data they would be reported for, `required_error` applies to missing data
+    const received = expected === 'string' ? 0 : '';
+    const issues = {
+      ...(!optional && !nullable
+        ? { required: [{ code: 'invalid_type', expected, received: 'undefined' }, undefined] }
+        : {}),
+      type: [{ code: 'invalid_type', expected, received: typeof received }, received],
+      ...(isEnum ? { enum: [{ code: 'invalid_enum_value', options: [], received: '' }, ''] } : {})
+    };
+
+    Object.entries(issues).forEach(([key, [issue, data]]) => {
+      const message = getErrorMapMessage(type._def.errorMap, issue, data);
+      if (message) {
+        messages[key] = message;
+      }
+    });
   }
 
   return messages;
 };
 
+/**
+ * Build the definition of a single field, or null for fields cut off by the lazy depth limit
+ */
+const buildField = (name, zodType, fieldPath, lazyDepth = 0) => {
+  const fieldType = mapZodTypeToHtmlElement(zodType, fieldPath, lazyDepth);
+  if (fieldType.type === 'omitted') return null;
+
+  const validationRules = extractValidationRules(zodType);
+  const errorMessages = extractErrorMessages(zodType);
+
+  return {
+    name,
+    path: fieldPath,
+    ...fieldType,
+    ...metaToFieldProperties(getFieldMeta(zodType)),
+    validation: validationRules,
+    errors: errorMessages,
+    _zodType: zodType // Keep reference to original zod type for validation
+  };
+};
+
 /**
  * Parse a Zod schema into form field definitions
  */
-const parseSchema = (schema, basePath = '') => {
+const parseSchema = (schema, basePath = '', lazyDepth = 0) => {
   const fields = {};
+  // Refined schemas (e.g. with cross-field rules) render the fields of their object
+  const { type } = unwrapZodType(schema);
 
   // Handle objects
-  if (schema instanceof z.ZodObject) {
-    const shape = schema._def.shape();
+  if (type instanceof z.ZodObject) {
+    const shape = type._def.shape();
 
     Object.keys(shape).forEach((key) => {
       const fieldPath = basePath ? `${basePath}.${key}` : key;
-      const zodType = shape[key];
-
-      const fieldType = mapZodTypeToHtmlElement(zodType, fieldPath);
-      const validationRules = extractValidationRules(zodType);
-      const errorMessages = extractErrorMessages(zodType);
-
-      fields[key] = {
-        name: key,
-        path: fieldPath,
-        ...fieldType,
-        validation: validationRules,
-        errors: errorMessages,
-        _zodType: zodType // Keep reference to original zod type for validation
-      };
+      const field = buildField(key, shape[key], fieldPath, lazyDepth);
+
+      if (field) {
+        fields[key] = field;
+      }
     });
   }
 
-  return fields;
+  return sortFields(fields);
+};
+
+/**
+ * Order fields by their `order` metadata, fields without one keep their schema order after them
+ */
+const sortFields = (fields) => {
+  const entries = Object.entries(fields);
+  if (!entries.some(([, field]) => field.order !== undefined)) return fields;
+
+  const rank = (field) => (field.order === undefined ? Infinity : Number(field.order));
+  return Object.fromEntries(
+    entries
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => rank(a.entry[1]) - rank(b.entry[1]) || a.index - b.index)
+      .map(({ entry }) => entry)
+  );
 };
 
 module.exports = {
   parseSchema,
   mapZodTypeToHtmlElement,
-  extractValidationRules
+  extractValidationRules,
+  extractErrorMessages,
+  unwrapZodType,
+  resolveSchemaPath,
+  getFieldMeta,
+  setFieldMeta,
+  metaToFieldProperties
 };
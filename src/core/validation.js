@@ -3,25 +3,91 @@
  */
 
 const { z } = require('zod');
+const formData = require('./form-data');
+const formGenerator = require('./form-generator');
+const registry = require('./registry');
+const fieldSelection = require('./field-selection');
+const { resolveSchemaPath } = require('./schema-parser');
+const { escapeHtml } = require('./html');
+const i18n = require('./i18n');
+const rules = require('./rules');
 
 /**
  * Express middleware for validating form submissions against a Zod schema
+ * (or the name of a registered schema)
+ *
+ * Submitted values are decoded against the schema first (strings to numbers,
+ * booleans and dates, empty optional fields removed) so plain HTML form posts
+ * validate without `z.coerce`. Pass `{ coerce: false }` to parse the body as-is.
+ *
+ * With `{ rerender: formOptions }` an invalid submission is answered with the
+ * form itself, re-rendered with the submitted values and an error under each
+ * field: an HTMX fragment for HTMX requests, `res.render(options.view)` when a
+ * view is given, or a standalone page otherwise.
+ *
+ * `include` and `exclude` (field paths such as `address.zip`) validate only the
+ * fields the form exposes. Fields listed in `readOnly` are dropped from the
+ * submission and left for the handler to fill in from trusted data.
+ *
+ * Error messages follow the `locale` option, a locale or a function returning
+ * the request's locale, and the `messages` option.
+ *
+ * The form's `conditionalLogic` is applied to the submission as the browser
+ * applies it (see `parseSubmission`), as registered with the schema unless given here.
  */
-const expressMiddleware = (schema) => {
+const expressMiddleware = (schemaOrName, options = {}) => {
+  const { schema: fullSchema, options: registeredOptions } = registry.resolve(schemaOrName);
+
+  // The form's field selection, as registered with the schema unless given here
+  const selection = {};
+  ['include', 'exclude', 'readOnly', 'order'].forEach((key) => {
+    const value = options[key] ?? registeredOptions[key];
+    if (value !== undefined) selection[key] = value;
+  });
+
+  // Only the fields the form exposes are validated, read-only fields are never taken
+  // from the submission
+  const exposed = {
+    include: selection.include,
+    exclude: [...(selection.exclude || []), ...(selection.readOnly || [])]
+  };
+
+  const conditionalLogic = options.conditionalLogic ?? registeredOptions.conditionalLogic;
+  const formRules = conditionalLogic ? rules.normalizeRules(conditionalLogic) : undefined;
+
   return (req, res, next) => {
+    let data = req.body;
+    let activeSchema = fullSchema;
+    const messageOptions = {
+      locale: i18n.resolveLocale(options.locale ?? registeredOptions.locale, req),
+      messages: options.messages ?? registeredOptions.messages
+    };
+
     try {
-      // Parse request body using the provided schema
-      const result = schema.parse(req.body);
+      // Decode the submitted form data so it matches the schema's types, and
+      // parse it with the form's conditional logic applied
+      const submission = parseSubmission(fullSchema, req.body, {
+        ...messageOptions,
+        selection: exposed,
+        rules: formRules,
+        coerce: options.coerce
+      });
+      data = submission.data;
+      activeSchema = submission.schema;
+
+      if (!submission.result.success) {
+        throw submission.result.error;
+      }
 
       // Store the validated data back on the request
-      req.validatedData = result;
+      req.validatedData = submission.result.data;
 
       // Validation passed, proceed to the next middleware
       next();
     } catch (error) {
       if (error instanceof z.ZodError) {
         // Format Zod errors into a more user-friendly format
-        const formattedErrors = formatZodErrors(error);
+        const formattedErrors = formatZodErrors(error, messageOptions);
 
         // Store formatted errors on request for potential use by other middleware
         req.validationErrors = formattedErrors;
@@ -30,24 +96,45 @@ const expressMiddleware = (schema) => {
         if (req.headers['hx-request'] && req.headers['hx-trigger-name']) {
           // This is a field-level validation, return just the error for that field
           const fieldName = req.headers['hx-trigger-name'];
-          const fieldError = formattedErrors[fieldName];
+          const fieldPath = formData.parseFieldName(fieldName).join('.');
+          let fieldError = formattedErrors[fieldPath];
+
+          // Refinements on parent objects are skipped while other fields are invalid
+          if (!fieldError && resolveSchemaPath(activeSchema, fieldPath)) {
+            const value = formData.getValueAtPath(data, fieldPath);
+            const fieldResult = validateField(activeSchema, fieldPath, value, data, messageOptions);
+            fieldError = fieldResult.valid ? '' : fieldResult.errors[fieldPath];
+          }
 
           if (fieldError) {
-            return res.status(400).send(`<div class="zf-error">${fieldError}</div>`);
+            return res.status(400).send(`<div class="zf-error">${escapeHtml(fieldError)}</div>`);
           } else {
             // No error for this field
             return res.send('<div class="zf-error"></div>');
           }
         }
 
+        // Re-render the form around the submitted values and inline errors
+        if (options.rerender) {
+          return renderInvalidForm(fullSchema, req, res, formattedErrors, {
+            ...options,
+            rerender: {
+              ...selection,
+              ...(conditionalLogic ? { conditionalLogic } : {}),
+              ...messageOptions,
+              ...(options.rerender === true ? {} : options.rerender)
+            }
+          });
+        }
+
         // For HTMX form submissions, return validation errors that can be displayed in the form
         if (req.headers['hx-request']) {
-          let errorHtml = '<div class="zf-alert zf-alert-error">';
-          errorHtml += '<h3>Please correct the following errors:</h3>';
+          let errorHtml = '<div class="zf-alert zf-alert-error" role="alert">';
+          errorHtml += `<h3>${escapeHtml(i18n.translate(messageOptions, 'correctErrors'))}</h3>`;
           errorHtml += '<ul>';
 
           Object.entries(formattedErrors).forEach(([field, message]) => {
-            errorHtml += `<li>${message}</li>`;
+            errorHtml += `<li>${escapeHtml(message)}</li>`;
           });
 
           errorHtml += '</ul></div>';
@@ -68,10 +155,152 @@ const expressMiddleware = (schema) => {
   };
 };
 
+/**
+ * Respond with the form re-rendered with the submitted values and field errors
+ */
+const renderInvalidForm = (schema, req, res, errors, options) => {
+  const formOptions = options.rerender === true ? {} : options.rerender;
+
+  const form = formGenerator.generate(schema, {
+    ...formOptions,
+    // Keep the user's raw input (not the coerced data) so fields show what was typed
+    values: formData.parseBracketNotation(req.body, schema),
+    errors
+  });
+
+  return sendForm(req, res, form, {
+    status: 400,
+    view: options.view,
+    theme: formOptions.theme,
+    locals: { errors }
+  });
+};
+
+/**
+ * Send a generated form: through `res.render(options.view)` when a view is given,
+ * as an HTML fragment for HTMX requests, or as a standalone page otherwise
+ *
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} form - Result of generating the form
+ * @param {object} options - `{ status, view, theme, locals }`, locals are passed to the view
+ */
+const sendForm = (req, res, form, options = {}) => {
+  res.status(options.status || 200);
+
+  if (options.view) {
+    return res.render(options.view, { form, ...options.locals });
+  }
+
+  if (req.headers['hx-request']) {
+    return res.send(form.html);
+  }
+
+  return res.send(`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    ${form.styles}
+  </head>
+  <body class="zf-${options.theme === 'light' ? 'light' : 'dark'}">
+    <div class="zf-container">
+      ${form.html}
+    </div>
+    ${form.scripts}
+  </body>
+</html>`);
+};
+
+/**
+ * Parse a submission against a schema with the form's conditional logic applied
+ *
+ * Fields their rule hides or disables are taken out of the schema, so they are
+ * neither required nor kept in the parsed data even when the schema marks them
+ * required, and fields a rule requires are reported while empty.
+ *
+ * Fields outside the form's `selection` are taken out of the submission and
+ * optional in the schema, which otherwise keeps its shape, refinements included.
+ *
+ * @param {object} schema - Zod schema
+ * @param {object} body - Submitted body, with bracket-notation names or nested
+ * @param {object} options - `rules` (normalized conditional logic), `selection`
+ *   (`{ include, exclude }` field paths), `coerce` (false to parse the body as-is),
+ *   `locale` and `messages`
+ * @returns {object} - `{ schema, data, result, missingFields }`: the schema the
+ *   submission was parsed against, the decoded data, Zod's `safeParse` result and
+ *   the fields a rule requires that were left empty
+ */
+const parseSubmission = (schema, body, options = {}) => {
+  const coerce = options.coerce !== false;
+  let submitted = fieldSelection.omitFields(
+    coerce ? formData.parseBracketNotation(body, schema) : body,
+    options.selection
+  );
+  let activeSchema = fieldSelection.relaxSchema(schema, options.selection);
+  let missingFields = [];
+  let inactiveItems = [];
+
+  if (options.rules) {
+    const applied = rules.applyRules(options.rules, submitted);
+    submitted = applied.data;
+    missingFields = rules.getMissingFields(applied);
+
+    // Fields inside list items share the item schema with the items where they are shown,
+    // they are only left out of the data and their issues dropped below
+    const inactive = applied.inactive.map((name) => formData.parseFieldName(name));
+    const isItemField = (segments) => segments.some((segment) => /^\d+$/.test(segment));
+    inactiveItems = inactive.filter(isItemField);
+    activeSchema = fieldSelection.selectSchema(activeSchema, {
+      exclude: inactive
+        .filter((segments) => !isItemField(segments))
+        .map((segments) => segments.join('.'))
+    });
+  }
+
+  const data = coerce ? formData.decodeFormData(activeSchema, submitted) : submitted;
+  let result = activeSchema.safeParse(data);
+
+  if (!result.success && inactiveItems.length) {
+    const isInactive = (issue) =>
+      inactiveItems.some((segments) =>
+        segments.every((segment, index) => String(issue.path[index]) === segment)
+      );
+    const remaining = result.error.issues.filter((issue) => !isInactive(issue));
+
+    // Without other issues the data comes from the schema with those fields optional
+    result = remaining.length
+      ? { success: false, error: new z.ZodError(remaining) }
+      : fieldSelection
+          .relaxSchema(activeSchema, {
+            exclude: inactiveItems.map((segments) => segments.join('.'))
+          })
+          .safeParse(data);
+  }
+
+  const issues = [
+    ...(result.success ? [] : result.error.issues),
+    ...missingFields.map((name) => ({
+      code: z.ZodIssueCode.custom,
+      path: formData.parseFieldName(name),
+      message: i18n.translate(options, 'required')
+    }))
+  ];
+
+  return {
+    schema: activeSchema,
+    data,
+    result: issues.length ? { success: false, error: new z.ZodError(issues) } : result,
+    missingFields
+  };
+};
+
 /**
  * Format Zod errors into a more user-friendly format
+ *
+ * Zod's default messages are translated into the `locale` of the options.
  */
-const formatZodErrors = (error) => {
+const formatZodErrors = (error, options = {}) => {
   const formattedErrors = {};
 
   error.errors.forEach((err) => {
@@ -79,50 +308,150 @@ const formatZodErrors = (error) => {
     const fieldName = err.path.join('.');
 
     // Store the error message
-    formattedErrors[fieldName] = err.message;
+    formattedErrors[fieldName] = i18n.translateIssue(err, options);
   });
 
   return formattedErrors;
 };
 
 /**
- * Validate a single value against a Zod schema
+ * Collect the refinements (`.refine` / `.superRefine`) wrapped around a Zod type
  */
-const validateField = (schema, fieldPath, value) => {
-  try {
-    // For nested fields, we need to reconstruct the object structure
-    const pathParts = fieldPath.split('.');
-    const fieldName = pathParts[pathParts.length - 1];
-
-    // Create an object with just this field
-    let fieldObject = { [fieldName]: value };
-
-    // Extract just the part of the schema for this field
-    let fieldSchema;
-    if (pathParts.length === 1) {
-      fieldSchema = z.object({ [fieldName]: schema.shape[fieldName] });
+const collectRefinements = (zodType) => {
+  const refinements = [];
+  let type = zodType;
+
+  while (type && type._def) {
+    if (type instanceof z.ZodEffects) {
+      if (type._def.effect.type === 'refinement') {
+        refinements.push(type._def.effect.refinement);
+      }
+      type = type._def.schema;
+    } else if (
+      type instanceof z.ZodOptional ||
+      type instanceof z.ZodNullable ||
+      type instanceof z.ZodDefault ||
+      type instanceof z.ZodBranded ||
+      type instanceof z.ZodCatch ||
+      type instanceof z.ZodReadonly
+    ) {
+      type = type._def.innerType || type.unwrap();
     } else {
-      // For nested fields, we'd need to navigate the schema structure
-      // This is a simplified version and might need enhancement for deeply nested objects
-      fieldSchema = z.object({ [fieldName]: schema });
+      break;
     }
+  }
 
-    // Validate
-    fieldSchema.parse(fieldObject);
-    return { valid: true };
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      return {
-        valid: false,
-        errors: formatZodErrors(error)
+  return { refinements, type };
+};
+
+/**
+ * Run the refinements of every object on the way to a field against partial data
+ *
+ * Zod skips an object's refinements while any of its properties are invalid, which
+ * would hide cross-field rules (e.g. "passwords must match") until the whole form
+ * is valid. Running them directly surfaces those issues as soon as they apply.
+ */
+const runAncestorRefinements = (schema, segments, data) => {
+  const issues = [];
+  let current = schema;
+
+  for (let depth = 0; depth <= segments.length && current; depth++) {
+    const levelPath = segments.slice(0, depth);
+    const levelData = depth === 0 ? data : formData.getValueAtPath(data, levelPath.join('.'));
+    const { refinements, type } = collectRefinements(current);
+
+    refinements.forEach((refinement) => {
+      try {
+        const result = z.any().superRefine(refinement).safeParse(levelData);
+        if (!result.success) {
+          result.error.issues.forEach((issue) => {
+            issues.push({ ...issue, path: [...levelPath, ...issue.path] });
+          });
+        }
+      } catch (error) {
+        // Refinements may read properties of values that are still missing, those
+        // run again on submit
+        if (!(error instanceof TypeError)) throw error;
+      }
+    });
+
+    if (depth < segments.length) {
+      current = resolveSchemaPath(type, [segments[depth]]);
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Validate a single field of a Zod schema
+ *
+ * The field is located by path (`address.city`, `items.2.qty` or the rendered
+ * name `items[2][qty]`), navigating objects, arrays, records and wrapper types.
+ * When the rest of the submitted form is passed as `data`, the whole schema is
+ * parsed with the field's value in place and only the issues reported for that
+ * field are returned - including those raised by refinements on parent objects
+ * - so live validation agrees with validation on submit.
+ *
+ * @param {object} schema - Root Zod schema
+ * @param {string} fieldPath - Path or name of the field
+ * @param {*} value - Submitted value of the field
+ * @param {object} [data] - Decoded form data the field belongs to
+ * @param {object} [options] - `{ locale, messages }` for the error messages
+ * @returns {object} - `{ valid: true }` or `{ valid: false, errors }` keyed by path
+ */
+const validateField = (schema, fieldPath, value, data, options = {}) => {
+  const segments = formData.parseFieldName(fieldPath);
+  const path = segments.join('.');
+  const fieldSchema = resolveSchemaPath(schema, segments);
+
+  if (!fieldSchema) {
+    throw new Error(`ZodForm: "${fieldPath}" is not a field of the schema`);
+  }
+
+  const fieldValue = formData.coerceValue(fieldSchema, value);
+  let issues = [];
+
+  if (data === undefined) {
+    // Without the rest of the form only the field's own rules can be checked
+    const result = fieldSchema.safeParse(fieldValue);
+    if (!result.success) {
+      issues = result.error.issues.map((issue) => ({
+        ...issue,
+        path: [...segments, ...issue.path]
+      }));
+    }
+  } else {
+    const formValues = formData.setValueAtPath(data, segments, fieldValue);
+    const result = schema.safeParse(formValues);
+
+    if (!result.success) {
+      const belongsToField = (issue) => {
+        const issuePath = issue.path.join('.');
+        return issuePath === path || issuePath.startsWith(`${path}.`);
       };
+
+      issues = result.error.issues.filter(belongsToField);
+      if (!issues.length) {
+        issues = runAncestorRefinements(schema, segments, formValues).filter(belongsToField);
+      }
     }
-    throw error;
   }
+
+  if (!issues.length) {
+    return { valid: true };
+  }
+
+  return {
+    valid: false,
+    errors: formatZodErrors(new z.ZodError(issues), options)
+  };
 };
 
 module.exports = {
   expressMiddleware,
+  parseSubmission,
   validateField,
-  formatZodErrors
+  formatZodErrors,
+  sendForm
 };
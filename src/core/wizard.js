@@ -0,0 +1,331 @@
+/**
+ * Wizard forms - Split one schema into steps that are validated one at a time
+ */
+
+const { z } = require('zod');
+const schemaParser = require('./schema-parser');
+const formGenerator = require('./form-generator');
+const formData = require('./form-data');
+const registry = require('./registry');
+const renderer = require('./renderer');
+const { attributesToString } = require('./html');
+const validation = require('./validation');
+const fieldSelection = require('./field-selection');
+const i18n = require('./i18n');
+const rules = require('./rules');
+
+// Hidden fields and buttons used to navigate, never part of the submitted data
+const CONTROL_KEYS = ['_zfStep', '_zfAction', '_zfSchema'];
+
+/**
+ * Split the top-level fields of a schema into steps
+ *
+ * Explicit step definitions (`[{ title, fields: ['name', 'email'] }]`) are used
+ * as given. Otherwise fields sharing a `group` form a step, every nested object
+ * is a step of its own and consecutive fields with neither share a step.
+ *
+ * @param {object} fields - Parsed fields of the schema
+ * @param {Array<object>} stepDefinitions - Optional explicit steps
+ * @param {object} options - Wizard options, untitled steps are numbered in their locale
+ * @returns {Array<object>} - Steps as `{ title, fields }`
+ */
+const getWizardSteps = (fields, stepDefinitions, options = {}) => {
+  if (stepDefinitions) {
+    return stepDefinitions.map((step, index) => ({
+      title: step.title || i18n.translate(options, 'wizardStep', { number: index + 1 }),
+      fields: step.fields
+    }));
+  }
+
+  const steps = [];
+
+  Object.values(fields).forEach((field) => {
+    const key = field.group
+      ? `group:${field.group}`
+      : field.type === 'object'
+        ? `object:${field.name}`
+        : null;
+
+    const step = key
+      ? steps.find((candidate) => candidate.key === key)
+      : steps[steps.length - 1]?.key === null
+        ? steps[steps.length - 1]
+        : undefined;
+
+    if (step) {
+      step.fields.push(field.name);
+      return;
+    }
+
+    steps.push({
+      key,
+      title:
+        field.group ||
+        (field.type === 'object'
+          ? field.label || field.name.charAt(0).toUpperCase() + field.name.slice(1)
+          : undefined),
+      fields: [field.name]
+    });
+  });
+
+  return steps.map(({ title, fields: stepFields }, index) => ({
+    title: title || i18n.translate(options, 'wizardStep', { number: index + 1 }),
+    fields: stepFields
+  }));
+};
+
+/**
+ * Resolve the schema, options and steps of a wizard
+ */
+const resolveWizard = (schemaOrName, options = {}) => {
+  const { schema: fullSchema, name, options: registeredOptions } = registry.resolve(schemaOrName);
+  const wizardOptions = {
+    ...registeredOptions,
+    ...(name ? { schemaName: name } : {}),
+    ...options
+  };
+
+  // Steps are built from, and validated against, the fields the form exposes
+  const schema = fieldSelection.selectSchema(fullSchema, wizardOptions);
+
+  const { type: objectType } = schemaParser.unwrapZodType(schema);
+  if (!(objectType instanceof z.ZodObject)) {
+    throw new TypeError('ZodForm: wizard forms need an object schema');
+  }
+
+  const steps = getWizardSteps(
+    schemaParser.parseSchema(objectType),
+    wizardOptions.steps,
+    wizardOptions
+  );
+
+  return { schema, fullSchema, objectType, steps, options: wizardOptions };
+};
+
+/**
+ * Get the schema a single step is validated against
+ */
+const getStepSchema = (objectType, step) => {
+  return objectType.pick(Object.fromEntries(step.fields.map((key) => [key, true])));
+};
+
+/**
+ * Keep only the step index within the available steps
+ */
+const clampStep = (step, steps) => {
+  const index = Number.parseInt(step, 10);
+  if (Number.isNaN(index) || index < 0) return 0;
+  return Math.min(index, steps.length - 1);
+};
+
+/**
+ * Copy of an object without some of its keys
+ */
+const omitKeys = (data, keys) => {
+  return Object.fromEntries(Object.entries(data || {}).filter(([key]) => !keys.includes(key)));
+};
+
+/**
+ * Generate one step of a wizard form
+ *
+ * Only the fields of the current step are rendered. The values entered in the
+ * other steps travel along as hidden inputs, unless `stateFields: false` is
+ * passed because they are kept in a server-side store.
+ *
+ * @param {object|string} schemaOrName - Zod object schema or the name of a registered one
+ * @param {object} options - Form options plus `step` (index of the step to show),
+ *   `steps` (explicit step definitions), `values`, `errors`, `nextLabel` and `backLabel`
+ * @returns {object} - Generated form, with the `steps` and current `step`
+ */
+const generateWizard = (schemaOrName, options = {}) => {
+  const {
+    schema,
+    objectType,
+    steps,
+    options: wizardOptions
+  } = resolveWizard(schemaOrName, options);
+  const current = clampStep(wizardOptions.step, steps);
+  const step = steps[current];
+  const isLast = current === steps.length - 1;
+  const templates = renderer.prepareTemplates(wizardOptions);
+  const classes = renderer.prepareClasses(wizardOptions);
+
+  // Values of the other steps are carried as hidden inputs
+  const stateHtml =
+    wizardOptions.stateFields === false
+      ? ''
+      : formData
+          .toFieldEntries(omitKeys(wizardOptions.values, [...step.fields, ...CONTROL_KEYS]))
+          .map(([name, value]) => `<input ${attributesToString({ type: 'hidden', name, value })}>`)
+          .join('');
+
+  const headerHtml = `
+    ${templates.wizardProgress({
+      steps,
+      current,
+      classes,
+      status: i18n.translate(wizardOptions, 'wizardStatus', {
+        current: current + 1,
+        total: steps.length
+      })
+    })}
+    <input ${attributesToString({ type: 'hidden', name: '_zfStep', value: current })}>
+    ${stateHtml}
+  `;
+
+  const actionsHtml = templates.wizardActions({
+    backLabel: wizardOptions.backLabel || i18n.translate(wizardOptions, 'back'),
+    nextLabel: isLast
+      ? wizardOptions.submitLabel || i18n.translate(wizardOptions, 'submit')
+      : wizardOptions.nextLabel || i18n.translate(wizardOptions, 'next'),
+    isFirst: current === 0,
+    isLast,
+    classes
+  });
+
+  const form = formGenerator.generate(getStepSchema(objectType, step), {
+    ...wizardOptions,
+    headerHtml,
+    actionsHtml
+  });
+
+  return {
+    ...form,
+    schema,
+    steps,
+    step: current
+  };
+};
+
+/**
+ * Express middleware driving a wizard form
+ *
+ * "Back" shows the previous step, "Next" validates the current step against
+ * its part of the schema and shows the next one (or the current one again with
+ * its errors). The last step validates the whole schema, stores the result on
+ * `req.validatedData` and passes control on, like `zodForm.validate`. The form's
+ * `conditionalLogic` applies to every step, as in `zodForm.validate`.
+ *
+ * @param {object|string} schemaOrName - Zod object schema or the name of a registered one
+ * @param {object} options - `form` (options for generating the steps, its `locale` may
+ *   be a function of the request), `view`
+ *   (rendered with `{ form, errors, step }` instead of a standalone page) and `store`
+ *   (`{ load(req), save(req, data), clear(req) }` to keep the entered values on the
+ *   server instead of in hidden inputs)
+ * @returns {Function} - Express middleware
+ */
+const wizardMiddleware = (schemaOrName, options = {}) => {
+  const formOptions = options.form || {};
+  const {
+    fullSchema,
+    objectType,
+    steps,
+    options: wizardOptions
+  } = resolveWizard(schemaOrName, formOptions);
+  const { store } = options;
+  const formRules = wizardOptions.conditionalLogic
+    ? rules.normalizeRules(wizardOptions.conditionalLogic)
+    : undefined;
+
+  return async (req, res, next) => {
+    try {
+      const submitted = omitKeys(formData.parseBracketNotation(req.body, fullSchema), CONTROL_KEYS);
+      const current = clampStep(req.body?._zfStep, steps);
+      const step = steps[current];
+      const messageOptions = {
+        locale: i18n.resolveLocale(formOptions.locale, req),
+        messages: formOptions.messages
+      };
+
+      // Fields of the current step are replaced as a whole, unchecked boxes are not submitted
+      let state = submitted;
+      if (store) {
+        const stored = (await store.load(req)) || {};
+        state = {
+          ...omitKeys(stored, step.fields),
+          ...submitted
+        };
+        await store.save(req, state);
+      }
+
+      const showStep = (index, errors) => {
+        const form = generateWizard(schemaOrName, {
+          ...formOptions,
+          ...messageOptions,
+          step: index,
+          values: state,
+          errors,
+          stateFields: !store
+        });
+
+        return validation.sendForm(req, res, form, {
+          status: errors ? 400 : 200,
+          view: options.view,
+          theme: formOptions.theme,
+          locals: { errors, step: index }
+        });
+      };
+
+      if (req.body?._zfAction === 'back') {
+        return showStep(Math.max(current - 1, 0));
+      }
+
+      // Values are parsed with the form's conditional logic applied to all of them
+      const parseOptions = { ...messageOptions, rules: formRules };
+
+      if (current < steps.length - 1) {
+        const { result } = validation.parseSubmission(
+          getStepSchema(objectType, step),
+          state,
+          parseOptions
+        );
+        // Fields a rule requires on later steps are checked when those are submitted
+        const issues = result.success
+          ? []
+          : result.error.issues.filter((issue) => step.fields.includes(String(issue.path[0])));
+        if (issues.length) {
+          return showStep(
+            current,
+            validation.formatZodErrors(new z.ZodError(issues), messageOptions)
+          );
+        }
+        return showStep(current + 1);
+      }
+
+      // Last step: the whole schema, including refinements across steps. Read-only fields
+      // are never taken from the submission
+      const { result } = validation.parseSubmission(fullSchema, state, {
+        ...parseOptions,
+        selection: {
+          include: wizardOptions.include,
+          exclude: [...(wizardOptions.exclude || []), ...(wizardOptions.readOnly || [])]
+        }
+      });
+      if (!result.success) {
+        const errors = validation.formatZodErrors(result.error, messageOptions);
+
+        // Show the first step that has an error, cross-step errors stay on the last one
+        const [firstPath] = Object.keys(errors);
+        const errorStep = steps.findIndex((candidate) =>
+          candidate.fields.includes(firstPath.split('.')[0])
+        );
+        return showStep(errorStep === -1 ? current : errorStep, errors);
+      }
+
+      if (store?.clear) {
+        await store.clear(req);
+      }
+
+      req.validatedData = result.data;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  generateWizard,
+  wizardMiddleware,
+  getWizardSteps
+};
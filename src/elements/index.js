@@ -2,51 +2,294 @@
  * Form element renderers
  */
 
+const { parseFieldName, getValueAtPath } = require('../core/form-data');
+const { escapeHtml, escapeJs, attributesToString } = require('../core/html');
+const { translate } = require('../core/i18n');
+const elementRegistry = require('./registry');
+
+// Index of the item that new items are copied from, renumbered once they are added
+const NEW_ITEM_INDEX = 'zf-new';
+
 /**
- * Generate HTML attributes string from an object
+ * Label for a field - its own label, or one derived from the property name
+ *
+ * Derived labels go through the `translateLabel(key, label, field)` option, so
+ * they can be looked up by property name in the application's own translations.
  */
-const attributesToString = (attributes) => {
-  return Object.entries(attributes)
-    .filter(([_, value]) => value !== undefined && value !== null)
-    .map(([key, value]) => {
-      if (typeof value === 'boolean') {
-        return value ? key : '';
-      }
-      return `${key}="${String(value).replace(/"/g, '&quot;')}"`;
-    })
-    .filter(Boolean)
-    .join(' ');
+const getFieldLabel = (field, options = {}) => {
+  if (field.label) return field.label;
+
+  // Nested fields are named `address[street]`, label them after the property
+  const key =
+    parseFieldName(field.path || field.name)
+      .filter((segment) => !/^\d+$/.test(segment) && segment !== NEW_ITEM_INDEX)
+      .pop() || field.name;
+
+  const label = key.charAt(0).toUpperCase() + key.slice(1).replace(/([A-Z])/g, ' $1');
+  return options.translateLabel?.(key, label, field) ?? label;
 };
 
 /**
- * Create common field wrapper with label and error message
+ * Choices of a field, options of a union (which have no label of their own)
+ * numbered in the form's locale
  */
-const createFieldWrapper = (field, options, inputHtml) => {
-  const { templates, classes } = options;
+const getChoiceOptions = (field, options) =>
+  (field.options || []).map((option, index) =>
+    option.label === undefined
+      ? { ...option, label: translate(options, 'unionOption', { number: index + 1 }) }
+      : option
+  );
+
+/**
+ * Value of a field in `options.values` or `options.defaults`, keyed by input name
+ * (a submission) or nested like the schema (a saved record)
+ */
+const lookupValue = (source, field) => {
+  if (!source || typeof source !== 'object') return undefined;
+  if (Object.prototype.hasOwnProperty.call(source, field.name)) return source[field.name];
+  return getValueAtPath(source, field.path || field.name);
+};
+
+/**
+ * Current value of a field - set on the field, found in `options.values`, found
+ * in `options.defaults`, or the schema default
+ *
+ * Values are saved data: `0`, `false`, `''` and `null` are kept, only fields
+ * missing from them fall back to the defaults.
+ */
+const getFieldValue = (field, options) => {
+  if (field.value !== undefined) return field.value;
+
+  const saved = lookupValue(options.values, field);
+  if (saved !== undefined) return saved;
+
+  const fallback = lookupValue(options.defaults, field);
+  return fallback !== undefined ? fallback : field.defaultValue;
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Formats of the date and time inputs: dates in UTC, the way the decoder reads
+// `2024-05-01`, times in local time, the way it reads `2024-05-01T09:30`
+const DATE_FORMATS = {
+  date: (date) => date.toISOString().slice(0, 10),
+  month: (date) => date.toISOString().slice(0, 7),
+  'datetime-local': (date) =>
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+  time: (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`
+};
+
+// Timestamps with a time zone, as records read back from JSON carry their dates
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * Value of a date or time input in the input's format, from a `Date` or an ISO
+ * timestamp. Other values, such as the strings of a submission, are kept as they are.
+ */
+const formatDateValue = (value, type) => {
+  const date =
+    value instanceof Date
+      ? value
+      : typeof value === 'string' && ISO_TIMESTAMP.test(value)
+        ? new Date(value)
+        : undefined;
+  if (!date || isNaN(date)) return value;
+  return DATE_FORMATS[type](date);
+};
+
+// Checkbox states as a submission carries them
+const TRUE_VALUES = ['true', 'on', '1', 'yes'];
+
+const isChecked = (value) =>
+  value === true || TRUE_VALUES.includes(String(value ?? '').toLowerCase());
+
+/**
+ * Register the styles and client behaviors an element needs with the form's asset collector
+ */
+const useAssets = (options, ...names) => {
+  options.assetCollector?.use(...names);
+};
+
+/**
+ * URL the HTMX field validation posts to, scoped to the registered schema when there is one
+ */
+const getValidateUrl = (field, options) => {
+  if (options.htmx?.validateUrl) return options.htmx.validateUrl;
+
+  const baseUrl = options.baseUrl || '';
+  return options.schemaName
+    ? `${baseUrl}/api/validate/${encodeURIComponent(options.schemaName)}/${field.name}`
+    : `${baseUrl}/api/validate/${field.name}`;
+};
+
+/**
+ * Look up the error message reported for a field (keys as produced by formatZodErrors)
+ */
+const getFieldError = (field, options) => {
+  if (!options.errors) return '';
+  const errorKey = parseFieldName(field.path || field.name).join('.');
+  return options.errors[errorKey] || '';
+};
+
+// Messages of the constraints the browser checks (see client/behaviors/form.js)
+const NATIVE_MESSAGE_KEYS = [
+  'required',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'email',
+  'url',
+  'min',
+  'max',
+  'step',
+  'type'
+];
+
+/**
+ * The schema's custom error messages as data attributes for the client's validation,
+ * e.g. `data-zf-msg-min-length` for the `minLength` message
+ */
+const getMessageAttributes = (field) =>
+  Object.fromEntries(
+    Object.entries(field.errors || {})
+      .filter(([key, message]) => NATIVE_MESSAGE_KEYS.includes(key) && typeof message === 'string')
+      .map(([key, message]) => [
+        `data-zf-msg-${key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`,
+        message
+      ])
+  );
+
+/**
+ * Ids of the help text and error message describing a field's input
+ */
+const getDescribedBy = (field) => {
+  const id = field.id || field.name;
+  return [field.help ? `${id}-help` : '', `${id}-error`].filter(Boolean).join(' ');
+};
+
+/**
+ * Mark a field's input attributes and classes as invalid when it has an error,
+ * and link them to the field's help text, error message and custom messages
+ */
+const applyErrorState = (field, options, inputAttributes = {}) => {
+  const { classes } = options;
+  const attributes = {
+    ...inputAttributes,
+    'aria-describedby': getDescribedBy(field),
+    ...getMessageAttributes(field)
+  };
+
+  if (!getFieldError(field, options)) {
+    return { attributes, classes };
+  }
+
+  return {
+    attributes: { ...attributes, 'aria-invalid': 'true' },
+    classes: {
+      ...classes,
+      input: `${classes.input} zf-invalid`,
+      select: `${classes.select} zf-invalid`,
+      checkbox: `${classes.checkbox} zf-invalid`,
+      radio: `${classes.radio} zf-invalid`
+    }
+  };
+};
+
+/**
+ * Number of grid columns a field spans, limited to the columns of the grid
+ */
+const getFieldSpan = (field, options) => {
+  if (!options.columns || !field.span) return undefined;
+  return Math.min(Number(field.span), Number(options.columns));
+};
+
+/**
+ * Wrap fields in a column grid when the form has `columns`
+ */
+const wrapInGrid = (content, options) => {
+  if (!options.columns) return content;
+  return options.templates.grid({ columns: options.columns, content, classes: options.classes });
+};
+
+/**
+ * Attributes locking a read-only field: `readonly` on inputs that support it, `disabled` otherwise
+ */
+const getReadOnlyAttributes = (field, supportsReadonly = true) => {
+  if (!field.readOnly) return {};
+  return supportsReadonly ? { readonly: true } : { disabled: true };
+};
+
+/**
+ * Render the help text shown below a field, if it has any
+ */
+const renderHelp = (field, options) => {
+  if (!field.help) return '';
 
-  // Generate label
-  const labelHtml = templates.label({
-    text:
-      field.label ||
-      field.name.charAt(0).toUpperCase() + field.name.slice(1).replace(/([A-Z])/g, ' $1'),
+  return options.templates.help({
+    text: field.help,
     id: field.id || field.name,
-    required: field.validation?.required !== false,
-    classes
+    classes: options.classes
   });
+};
+
+/**
+ * Create common field wrapper with label and error message
+ *
+ * With `{ group: true }` the field is a fieldset labelled by a legend, for
+ * fields made of several inputs (radio buttons, checkboxes, list items).
+ */
+const createFieldWrapper = (field, options, inputHtml, { group = false } = {}) => {
+  const { templates, classes } = options;
+  const id = field.id || field.name;
+  const label = getFieldLabel(field, options);
+  const required = field.validation?.required !== false;
 
   // Generate error container
   const errorHtml = templates.error({
-    message: '',
+    message: getFieldError(field, options),
+    id,
     classes
   });
 
+  if (group) {
+    return templates.fieldGroup({
+      legend: label,
+      required,
+      input: inputHtml,
+      help: renderHelp(field, options),
+      error: errorHtml,
+      classes,
+      id,
+      span: getFieldSpan(field, options),
+      describedBy: getDescribedBy(field)
+    });
+  }
+
   // Combine into field template
   return templates.field({
-    label: labelHtml,
+    label: templates.label({ text: label, id, required, classes }),
     input: inputHtml,
+    help: renderHelp(field, options),
     error: errorHtml,
     classes,
-    id: field.id || field.name
+    id,
+    span: getFieldSpan(field, options)
+  });
+};
+
+/**
+ * Hidden input renderer, for fixed values such as literals
+ */
+const hidden = (field, options) => {
+  const { templates } = options;
+
+  return templates.hidden({
+    attributes: attributesToString({
+      id: field.id || field.name,
+      name: field.name,
+      value: getFieldValue(field, options) ?? ''
+    })
   });
 };
 
@@ -54,7 +297,7 @@ const createFieldWrapper = (field, options, inputHtml) => {
  * Text input renderer
  */
 const text = (field, options) => {
-  const { templates, classes } = options;
+  const { templates } = options;
 
   // Generate input attributes
   const attributes = {
@@ -64,22 +307,29 @@ const text = (field, options) => {
     ...(field.validation?.required !== false ? { required: true } : {}),
     ...(field.validation?.minLength ? { minlength: field.validation.minLength } : {}),
     ...(field.validation?.maxLength ? { maxlength: field.validation.maxLength } : {}),
-    ...(field.validation?.pattern ? { pattern: field.validation.pattern } : {}),
+    ...(field.validation?.pattern || field.pattern
+      ? { pattern: field.validation?.pattern || field.pattern }
+      : {}),
+    ...(field.inputMode ? { inputmode: field.inputMode } : {}),
+    ...getReadOnlyAttributes(field),
     ...(field.placeholder ? { placeholder: field.placeholder } : {}),
     ...(options.htmx
       ? {
-          'hx-post': options.htmx.validateUrl || `/api/validate/${field.name}`,
+          'hx-post': getValidateUrl(field, options),
           'hx-trigger': 'blur',
           'hx-target': 'next .zf-error'
         }
       : {})
   };
 
+  // Reflect validation errors on the input
+  const errorState = applyErrorState(field, options, attributes);
+
   // Generate input HTML
   const inputHtml = templates.textInput({
-    attributes: attributesToString(attributes),
-    classes,
-    value: field.value || options.values?.[field.name] || ''
+    attributes: attributesToString(errorState.attributes),
+    classes: errorState.classes,
+    value: getFieldValue(field, options) ?? ''
   });
 
   return createFieldWrapper(field, options, inputHtml);
@@ -89,12 +339,13 @@ const text = (field, options) => {
  * Enhanced textarea renderer with document upload icon
  */
 const textarea = (field, options) => {
-  const { templates, classes } = options;
+  const { templates } = options;
 
   // Generate textarea attributes
   const attributes = {
     id: field.id || field.name,
     name: field.name,
+    ...getReadOnlyAttributes(field),
     ...(field.validation?.required !== false ? { required: true } : {}),
     ...(field.validation?.minLength ? { minlength: field.validation.minLength } : {}),
     ...(field.validation?.maxLength ? { maxlength: field.validation.maxLength } : {}),
@@ -102,38 +353,42 @@ const textarea = (field, options) => {
     ...(field.placeholder ? { placeholder: field.placeholder } : {}),
     ...(options.htmx
       ? {
-          'hx-post': options.htmx.validateUrl || `/api/validate/${field.name}`,
+          'hx-post': getValidateUrl(field, options),
           'hx-trigger': 'blur',
           'hx-target': 'next .zf-error'
         }
       : {})
   };
 
+  // Reflect validation errors on the input
+  const errorState = applyErrorState(field, options, attributes);
+
   // If the file upload action is defined, add the document icon
   const fieldId = field.id || field.name;
   const showDocumentIcon = field.documentUpload || options.documentUpload;
+  useAssets(options, 'textarea', ...(showDocumentIcon ? ['document-upload'] : []));
 
   // Generate textarea container with wrapper for document icon if needed
   const inputHtml = `
-    <div class="zf-textarea-container">
+    <div class="zf-textarea-container"${showDocumentIcon ? ' data-zf-behavior="document-upload"' : ''}>
       <div class="zf-textarea-wrapper">
         ${templates.textarea({
-          attributes: attributesToString(attributes),
-          classes,
-          value: field.value || options.values?.[field.name] || ''
+          attributes: attributesToString(errorState.attributes),
+          classes: errorState.classes,
+          value: getFieldValue(field, options) ?? ''
         })}
         ${
           showDocumentIcon
             ? `
           <div class="zf-textarea-actions">
-            <label for="${fieldId}-file" class="zf-document-upload" title="Upload document">
+            <label for="${escapeHtml(fieldId)}-file" class="zf-document-upload" title="${escapeHtml(translate(options, 'uploadDocument'))}">
               <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
                 <polyline points="14 2 14 8 20 8"></polyline>
                 <line x1="12" y1="18" x2="12" y2="12"></line>
                 <line x1="9" y1="15" x2="15" y2="15"></line>
               </svg>
-              <input type="file" id="${fieldId}-file" class="zf-hidden-file-input" accept=".txt,.md,.doc,.docx,.pdf">
+              <input type="file" id="${escapeHtml(fieldId)}-file" class="zf-hidden-file-input" accept=".txt,.md,.doc,.docx,.pdf">
             </label>
           </div>
         `
@@ -141,88 +396,6 @@ const textarea = (field, options) => {
         }
       </div>
     </div>
-    <style>
-      .zf-textarea-container {
-        width: 100%;
-        position: relative;
-      }
-      .zf-textarea-wrapper {
-        position: relative;
-        width: 100%;
-      }
-      .zf-textarea-actions {
-        position: absolute;
-        bottom: 8px;
-        right: 8px;
-        z-index: 5;
-      }
-      .zf-document-upload {
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        width: 32px;
-        height: 32px;
-        background-color: var(--zf-primary-color);
-        color: black;
-        border-radius: 50%;
-        cursor: pointer;
-        transition: var(--zf-transition);
-        opacity: 0.7;
-      }
-      .zf-document-upload:hover {
-        opacity: 1;
-      }
-      .zf-hidden-file-input {
-        position: absolute;
-        width: 0;
-        height: 0;
-        opacity: 0;
-        overflow: hidden;
-      }
-    </style>
-    ${
-      showDocumentIcon
-        ? `
-      <script>
-        document.addEventListener('DOMContentLoaded', function() {
-          var fileInput = document.getElementById('${fieldId}-file');
-          var textarea = document.getElementById('${fieldId}');
-          
-          if (fileInput && textarea) {
-            fileInput.addEventListener('change', function(e) {
-              var file = e.target.files[0];
-              if (!file) return;
-              
-              // Check if the file is a text file or document
-              if (file.type.match('text.*') || file.type.match('application/pdf') || 
-                  file.name.endsWith('.md') || file.name.endsWith('.doc') || file.name.endsWith('.docx')) {
-                
-                // For text files, read and insert content
-                if (file.type.match('text.*') || file.name.endsWith('.md')) {
-                  var reader = new FileReader();
-                  reader.onload = function(e) {
-                    textarea.value = e.target.result;
-                    // Trigger change event for validation
-                    var event = new Event('change', { bubbles: true });
-                    textarea.dispatchEvent(event);
-                  };
-                  reader.readAsText(file);
-                } else {
-                  // For other documents, just insert a placeholder with the filename
-                  textarea.value += '\\n[Document attached: ' + file.name + ']';
-                  // Reset file input
-                  fileInput.value = '';
-                }
-              } else {
-                alert('Please select a text or document file');
-              }
-            });
-          }
-        });
-      </script>
-    `
-        : ''
-    }
   `;
 
   return createFieldWrapper(field, options, inputHtml);
@@ -232,28 +405,35 @@ const textarea = (field, options) => {
  * Select input renderer
  */
 const select = (field, options) => {
-  const { templates, classes } = options;
+  const { templates } = options;
 
   // Generate select attributes
   const attributes = {
     id: field.id || field.name,
     name: field.name,
+    ...getReadOnlyAttributes(field, false),
+    ...(field.multiple ? { multiple: true } : {}),
     ...(field.validation?.required !== false ? { required: true } : {}),
     ...(options.htmx
       ? {
-          'hx-post': options.htmx.validateUrl || `/api/validate/${field.name}`,
+          'hx-post': getValidateUrl(field, options),
           'hx-trigger': 'change',
           'hx-target': 'next .zf-error'
         }
       : {})
   };
 
+  // Reflect validation errors on the input
+  const errorState = applyErrorState(field, options, attributes);
+
   // Generate select HTML
   const inputHtml = templates.select({
-    attributes: attributesToString(attributes),
-    options: field.options || [],
-    classes,
-    value: field.value || options.values?.[field.name] || ''
+    attributes: attributesToString(errorState.attributes),
+    options: getChoiceOptions(field, options),
+    classes: errorState.classes,
+    value: getFieldValue(field, options) ?? '',
+    multiple: Boolean(field.multiple),
+    emptyLabel: translate(options, 'selectPlaceholder')
   });
 
   return createFieldWrapper(field, options, inputHtml);
@@ -269,31 +449,35 @@ const checkbox = (field, options) => {
   const attributes = {
     id: field.id || field.name,
     name: field.name,
+    ...getReadOnlyAttributes(field, false),
     type: 'checkbox',
     value: 'true',
     ...(field.validation?.required !== false ? { required: true } : {}),
     ...(options.htmx
       ? {
-          'hx-post': options.htmx.validateUrl || `/api/validate/${field.name}`,
+          'hx-post': getValidateUrl(field, options),
           'hx-trigger': 'change',
           'hx-target': 'next .zf-error'
         }
       : {})
   };
 
+  // Reflect validation errors on the input
+  const errorState = applyErrorState(field, options, attributes);
+
   // Generate checkbox HTML
   const inputHtml = templates.checkbox({
-    attributes: attributesToString(attributes),
-    label:
-      field.label ||
-      field.name.charAt(0).toUpperCase() + field.name.slice(1).replace(/([A-Z])/g, ' $1'),
-    classes,
-    checked: field.value || options.values?.[field.name] || false
+    attributes: attributesToString(errorState.attributes),
+    label: getFieldLabel(field, options),
+    classes: errorState.classes,
+    checked: isChecked(getFieldValue(field, options)),
+    id: attributes.id
   });
 
   // Generate error container (without label since it's included in the checkbox template)
   const errorHtml = templates.error({
-    message: '',
+    message: getFieldError(field, options),
+    id: attributes.id,
     classes
   });
 
@@ -301,46 +485,128 @@ const checkbox = (field, options) => {
   return templates.field({
     label: '',
     input: inputHtml,
+    help: renderHelp(field, options),
     error: errorHtml,
     classes,
-    id: field.id || field.name
+    id: field.id || field.name,
+    span: getFieldSpan(field, options)
+  });
+};
+
+/**
+ * Data attributes carrying the item count limits of a list field
+ */
+const getItemLimitAttributes = (field) => ({
+  ...(field.validation?.minItems !== undefined
+    ? { 'data-zf-min-items': field.validation.minItems }
+    : {}),
+  ...(field.validation?.maxItems !== undefined
+    ? { 'data-zf-max-items': field.validation.maxItems }
+    : {})
+});
+
+/**
+ * Checkbox group renderer - a list of choices submitted under a repeated name
+ */
+const checkboxGroup = (field, options) => {
+  const { templates } = options;
+  useAssets(options, 'checkbox-group');
+  const fieldId = field.id || field.name;
+
+  const attributes = {
+    id: fieldId,
+    'data-zf-behavior': 'checkbox-group',
+    ...getItemLimitAttributes(field)
+  };
+
+  const inputHtml = templates.checkboxGroup({
+    name: field.name,
+    attributes: attributesToString(attributes),
+    options: getChoiceOptions(field, options),
+    classes: applyErrorState(field, options).classes,
+    value: getFieldValue(field, options) ?? [],
+    disabled: Boolean(field.readOnly)
   });
+
+  return createFieldWrapper(field, options, inputHtml, { group: true });
+};
+
+/**
+ * Searchable multi-select renderer - picked options are shown as removable chips
+ *
+ * Renders a native multi-select, which the script hides behind a search box
+ * once it runs, so the field still works without JavaScript.
+ */
+const multiselect = (field, options) => {
+  const { templates } = options;
+  useAssets(options, 'multiselect');
+  const fieldId = field.id || field.name;
+
+  const attributes = {
+    id: fieldId,
+    name: field.name,
+    ...getReadOnlyAttributes(field, false),
+    multiple: true,
+    ...getItemLimitAttributes(field)
+  };
+
+  const errorState = applyErrorState(field, options, attributes);
+
+  const selectHtml = templates.select({
+    attributes: attributesToString(errorState.attributes),
+    options: getChoiceOptions(field, options),
+    classes: errorState.classes,
+    value: getFieldValue(field, options) ?? [],
+    multiple: true
+  });
+
+  const inputHtml = templates.multiselect({
+    id: fieldId,
+    select: selectHtml,
+    classes: errorState.classes,
+    searchLabel: translate(options, 'search')
+  });
+
+  return createFieldWrapper(field, options, inputHtml);
 };
 
 /**
  * Radio button renderer
  */
 const radio = (field, options) => {
-  const { templates, classes } = options;
+  const { templates } = options;
 
   // Generate radio HTML
   const inputHtml = templates.radio({
     name: field.name,
-    options: field.options || [],
-    classes,
-    value: field.value || options.values?.[field.name] || ''
+    options: getChoiceOptions(field, options),
+    classes: applyErrorState(field, options).classes,
+    value: getFieldValue(field, options) ?? '',
+    disabled: Boolean(field.readOnly)
   });
 
-  return createFieldWrapper(field, options, inputHtml);
+  return createFieldWrapper(field, options, inputHtml, { group: true });
 };
 
 /**
  * Enhanced file input renderer with image preview
  */
 const file = (field, options) => {
-  const { templates, classes } = options;
+  const { templates } = options;
+  useAssets(options, 'file');
 
   // Generate file input attributes
   const attributes = {
     id: field.id || field.name,
     name: field.name,
+    ...getReadOnlyAttributes(field, false),
     type: 'file',
     ...(field.validation?.required !== false ? { required: true } : {}),
     ...(field.accept ? { accept: field.accept } : {}),
     ...(field.multiple ? { multiple: true } : {}),
     ...(options.htmx
       ? {
-          'hx-post': options.htmx.validateUrl || `/api/validate/${field.name}`,
+          'hx-post': getValidateUrl(field, options),
           'hx-trigger': 'change',
           'hx-target': 'next .zf-error',
           'hx-encoding': 'multipart/form-data'
@@ -348,24 +614,27 @@ const file = (field, options) => {
       : {})
   };
 
+  // Reflect validation errors on the input
+  const errorState = applyErrorState(field, options, attributes);
+
   const fieldId = field.id || field.name;
   const isImageUpload =
     field.imageUpload || options.imageUpload || (field.accept && field.accept.includes('image'));
 
   // Generate enhanced file input HTML with preview for images
   const inputHtml = `
-    <div class="zf-file-container">
+    <div class="zf-file-container" data-zf-behavior="file">
       ${
         isImageUpload
           ? `
         <div class="zf-image-preview">
-          <div class="zf-image-placeholder" id="${fieldId}-preview">
+          <div class="zf-image-placeholder" id="${escapeHtml(fieldId)}-preview">
             <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1" stroke-linecap="round" stroke-linejoin="round">
               <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
               <circle cx="8.5" cy="8.5" r="1.5"></circle>
               <polyline points="21 15 16 10 5 21"></polyline>
             </svg>
-            <span>Image Preview</span>
+            <span>${escapeHtml(translate(options, 'imagePreview'))}</span>
           </div>
         </div>
       `
@@ -373,126 +642,20 @@ const file = (field, options) => {
       }
       
       <div class="zf-file-input-wrapper">
-        <label for="${fieldId}" class="zf-file-label">
+        <label for="${escapeHtml(fieldId)}" class="zf-file-label">
           <span class="zf-file-button">
-            ${isImageUpload ? 'Choose Image' : 'Choose File'}
+            ${escapeHtml(translate(options, isImageUpload ? 'chooseImage' : 'chooseFile'))}
           </span>
-          <span class="zf-file-name" id="${fieldId}-name">No file selected</span>
+          <span class="zf-file-name" id="${escapeHtml(fieldId)}-name">${escapeHtml(translate(options, 'noFileSelected'))}</span>
         </label>
         ${templates.file({
-          attributes: attributesToString(attributes),
-          classes
+          attributes: attributesToString(errorState.attributes),
+          classes: errorState.classes
         })}
       </div>
     </div>
     
-    <style>
-      .zf-file-container {
-        width: 100%;
-      }
-      .zf-image-preview {
-        margin-bottom: var(--zf-spacing-sm);
-        width: 100%;
-        display: flex;
-        justify-content: center;
-      }
-      .zf-image-placeholder {
-        width: 200px;
-        height: 150px;
-        background-color: var(--zf-surface);
-        border: 1px dashed var(--zf-border-color);
-        border-radius: var(--zf-border-radius);
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        justify-content: center;
-        color: var(--zf-text-secondary);
-        overflow: hidden;
-      }
-      .zf-image-placeholder img {
-        max-width: 100%;
-        max-height: 100%;
-        object-fit: contain;
-      }
-      .zf-file-input-wrapper {
-        position: relative;
-        width: 100%;
-      }
-      .zf-file-label {
-        display: flex;
-        cursor: pointer;
-        width: 100%;
-      }
-      .zf-file-button {
-        background-color: var(--zf-primary-color);
-        color: black;
-        padding: var(--zf-spacing-sm) var(--zf-spacing-md);
-        border-radius: var(--zf-border-radius) 0 0 var(--zf-border-radius);
-        font-weight: 500;
-        white-space: nowrap;
-      }
-      .zf-file-name {
-        flex: 1;
-        padding: var(--zf-spacing-sm) var(--zf-spacing-md);
-        background-color: var(--zf-surface);
-        border: 1px solid var(--zf-border-color);
-        border-left: none;
-        border-radius: 0 var(--zf-border-radius) var(--zf-border-radius) 0;
-        white-space: nowrap;
-        overflow: hidden;
-        text-overflow: ellipsis;
-      }
-      .zf-file-container input[type="file"] {
-        position: absolute;
-        width: 1px;
-        height: 1px;
-        padding: 0;
-        margin: -1px;
-        overflow: hidden;
-        clip: rect(0, 0, 0, 0);
-        border: 0;
-      }
-    </style>
     
-    <script>
-      document.addEventListener('DOMContentLoaded', function() {
-        var fileInput = document.getElementById('${fieldId}');
-        var fileName = document.getElementById('${fieldId}-name');
-        var filePreview = document.getElementById('${fieldId}-preview');
-        
-        if (fileInput && fileName) {
-          fileInput.addEventListener('change', function(e) {
-            var file = e.target.files[0];
-            if (!file) {
-              fileName.textContent = 'No file selected';
-              if (filePreview) {
-                filePreview.innerHTML = \`
-                  <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1" stroke-linecap="round" stroke-linejoin="round">
-                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
-                    <circle cx="8.5" cy="8.5" r="1.5"></circle>
-                    <polyline points="21 15 16 10 5 21"></polyline>
-                  </svg>
-                  <span>Image Preview</span>
-                \`;
-              }
-              return;
-            }
-            
-            // Update file name display
-            fileName.textContent = file.name;
-            
-            // Handle image preview if applicable
-            if (filePreview && file.type.startsWith('image/')) {
-              var reader = new FileReader();
-              reader.onload = function(e) {
-                filePreview.innerHTML = \`<img src="\${e.target.result}" alt="Preview">\`;
-              };
-              reader.readAsDataURL(file);
-            }
-          });
-        }
-      });
-    </script>
   `;
 
   return createFieldWrapper(field, options, inputHtml);
@@ -502,13 +665,14 @@ const file = (field, options) => {
  * Number input renderer
  */
 const number = (field, options) => {
-  const { templates, classes } = options;
+  const { templates } = options;
 
   // Generate input attributes
   const attributes = {
     type: 'number',
     id: field.id || field.name,
     name: field.name,
+    ...getReadOnlyAttributes(field),
     ...(field.validation?.required !== false ? { required: true } : {}),
     ...(field.validation?.min !== undefined ? { min: field.validation.min } : {}),
     ...(field.validation?.max !== undefined ? { max: field.validation.max } : {}),
@@ -516,18 +680,21 @@ const number = (field, options) => {
     ...(field.placeholder ? { placeholder: field.placeholder } : {}),
     ...(options.htmx
       ? {
-          'hx-post': options.htmx.validateUrl || `/api/validate/${field.name}`,
+          'hx-post': getValidateUrl(field, options),
           'hx-trigger': 'blur',
           'hx-target': 'next .zf-error'
         }
       : {})
   };
 
+  // Reflect validation errors on the input
+  const errorState = applyErrorState(field, options, attributes);
+
   // Generate input HTML
   const inputHtml = templates.textInput({
-    attributes: attributesToString(attributes),
-    classes,
-    value: field.value || options.values?.[field.name] || ''
+    attributes: attributesToString(errorState.attributes),
+    classes: errorState.classes,
+    value: getFieldValue(field, options) ?? ''
   });
 
   return createFieldWrapper(field, options, inputHtml);
@@ -537,13 +704,15 @@ const number = (field, options) => {
  * Range input renderer with improved styling
  */
 const range = (field, options) => {
-  const { templates, classes } = options;
+  const { templates } = options;
+  useAssets(options, 'range');
 
   // Generate input attributes
   const attributes = {
     type: 'range',
     id: field.id || field.name,
     name: field.name,
+    ...getReadOnlyAttributes(field, false),
     ...(field.validation?.min !== undefined
       ? { min: field.validation.min }
       : { min: field.min || 0 }),
@@ -553,148 +722,85 @@ const range = (field, options) => {
     ...(field.validation?.step !== undefined ? { step: field.validation.step } : { step: 1 }),
     ...(options.htmx
       ? {
-          'hx-post': options.htmx.validateUrl || `/api/validate/${field.name}`,
+          'hx-post': getValidateUrl(field, options),
           'hx-trigger': 'change',
           'hx-target': 'next .zf-error'
         }
       : {})
   };
 
+  // Reflect validation errors on the input
+  const errorState = applyErrorState(field, options, attributes);
+
   // Generate input HTML with value display
   const fieldId = field.id || field.name;
-  const rangeValue = field.value || options.values?.[field.name] || attributes.min;
+  const rangeValue = getFieldValue(field, options) ?? attributes.min;
   const rangeMin = attributes.min;
   const rangeMax = attributes.max;
 
   // Format the label to include units if available
-  const label =
-    field.label ||
-    field.name.charAt(0).toUpperCase() + field.name.slice(1).replace(/([A-Z])/g, ' $1');
+  const label = getFieldLabel(field, options);
   const unit = field.unit || '';
 
   const inputHtml = `
-    <div class="zf-range-container">
+    <div class="zf-range-container" data-zf-behavior="range">
       <div class="zf-range-header">
-        <span class="zf-range-label">${label}: <span id="${fieldId}-output">${rangeValue}</span>${unit}</span>
+        <span class="zf-range-label">${escapeHtml(label)}: <span class="zf-range-output" id="${escapeHtml(fieldId)}-output">${escapeHtml(rangeValue)}</span>${escapeHtml(unit)}</span>
       </div>
       <div class="zf-range-input-wrapper">
         <div class="zf-range-input">
           ${templates.textInput({
-            attributes: attributesToString(attributes),
-            classes,
-            value: field.value || options.values?.[field.name] || ''
+            attributes: attributesToString(errorState.attributes),
+            classes: errorState.classes,
+            value: getFieldValue(field, options) ?? ''
           })}
         </div>
         <div class="zf-range-limits">
-          <span class="zf-range-min">${rangeMin}${unit}</span>
-          <span class="zf-range-max">${rangeMax}${unit}</span>
+          <span class="zf-range-min">${escapeHtml(rangeMin)}${escapeHtml(unit)}</span>
+          <span class="zf-range-max">${escapeHtml(rangeMax)}${escapeHtml(unit)}</span>
         </div>
       </div>
     </div>
-    <style>
-      .zf-range-container {
-        width: 100%;
-        max-width: 100%;
-        margin-bottom: var(--zf-spacing-xs);
-      }
-      .zf-range-header {
-        display: flex;
-        justify-content: space-between;
-        margin-bottom: var(--zf-spacing-xs);
-      }
-      .zf-range-label {
-        font-weight: 500;
-      }
-      .zf-range-input-wrapper {
-        width: 100%;
-      }
-      .zf-range-input {
-        width: 100%;
-        margin-bottom: 2px;
-      }
-      .zf-range-input input[type="range"] {
-        width: 100%;
-        height: 8px;
-        -webkit-appearance: none;
-        background: var(--zf-border-color);
-        border-radius: 4px;
-        outline: none;
-        margin: 0;
-      }
-      .zf-range-input input[type="range"]::-webkit-slider-thumb {
-        -webkit-appearance: none;
-        width: 18px;
-        height: 18px;
-        background: var(--zf-primary-color);
-        border-radius: 50%;
-        cursor: pointer;
-        border: none;
-      }
-      .zf-range-input input[type="range"]::-moz-range-thumb {
-        width: 18px;
-        height: 18px;
-        background: var(--zf-primary-color);
-        border-radius: 50%;
-        cursor: pointer;
-        border: none;
-      }
-      .zf-range-limits {
-        display: flex;
-        justify-content: space-between;
-        font-size: 0.75rem;
-        color: var(--zf-text-secondary);
-        margin-top: 2px;
-      }
-    </style>
-    <script>
-      document.addEventListener('DOMContentLoaded', function() {
-        var rangeInput = document.getElementById('${fieldId}');
-        var rangeOutput = document.getElementById('${fieldId}-output');
-        
-        if (rangeInput && rangeOutput) {
-          // Set initial value
-          rangeOutput.textContent = rangeInput.value;
-          
-          // Update on input
-          rangeInput.addEventListener('input', function() {
-            rangeOutput.textContent = this.value;
-          });
-        }
-      });
-    </script>
   `;
 
   return createFieldWrapper(field, options, inputHtml);
 };
 
 /**
- * Date input renderer
+ * Date and time input renderer - `date`, `datetime-local`, `month` and `time` inputs
  */
 const date = (field, options) => {
-  const { templates, classes } = options;
+  const { templates } = options;
+  const inputType = Object.prototype.hasOwnProperty.call(DATE_FORMATS, field.type)
+    ? field.type
+    : 'date';
 
   // Generate input attributes
   const attributes = {
-    type: 'date',
+    type: inputType,
     id: field.id || field.name,
     name: field.name,
+    ...getReadOnlyAttributes(field),
     ...(field.validation?.required !== false ? { required: true } : {}),
     ...(field.validation?.min ? { min: field.validation.min } : {}),
     ...(field.validation?.max ? { max: field.validation.max } : {}),
     ...(options.htmx
       ? {
-          'hx-post': options.htmx.validateUrl || `/api/validate/${field.name}`,
+          'hx-post': getValidateUrl(field, options),
           'hx-trigger': 'blur',
           'hx-target': 'next .zf-error'
         }
       : {})
   };
 
+  // Reflect validation errors on the input
+  const errorState = applyErrorState(field, options, attributes);
+
   // Generate input HTML
   const inputHtml = templates.textInput({
-    attributes: attributesToString(attributes),
-    classes,
-    value: field.value || options.values?.[field.name] || ''
+    attributes: attributesToString(errorState.attributes),
+    classes: errorState.classes,
+    value: formatDateValue(getFieldValue(field, options), inputType) ?? ''
   });
 
   return createFieldWrapper(field, options, inputHtml);
@@ -719,80 +825,267 @@ const url = (field, options) => {
 };
 
 /**
- * Object (fieldset) renderer
+ * Render the properties of an object-like field as nested fields
+ *
+ * Properties get the parent's own or saved value. Its schema default only
+ * stands in for their defaults, so that properties still find their saved
+ * values (`address[street]`) and `defaults` by path first.
  */
-const object = (field, options) => {
-  const { templates, classes } = options;
+const renderNestedFields = (field, fields, options, idPrefix) => {
+  const saved = field.value !== undefined ? field.value : lookupValue(options.values, field);
+  const fallback = saved === undefined ? field.defaultValue : undefined;
+  const values = saved && typeof saved === 'object' ? saved : {};
+  const defaults = fallback && typeof fallback === 'object' ? fallback : {};
 
-  // Generate fields HTML for each property in the object
-  const fieldsHtml = Object.values(field.fields || {})
+  return Object.values(fields || {})
     .map((subfield) => {
       // Update the path to include the parent object
       const nestedField = {
         ...subfield,
         name: `${field.name}[${subfield.name}]`,
-        path: `${field.path}.${subfield.name}`
+        path: `${field.path}.${subfield.name}`,
+        ...(idPrefix ? { id: `${idPrefix}-${subfield.name}` } : {}),
+        value: subfield.value ?? values[subfield.name],
+        defaultValue: defaults[subfield.name] ?? subfield.defaultValue
       };
 
       // Recursively render the subfield
-      if (module.exports[nestedField.type]) {
-        return module.exports[nestedField.type](nestedField, options);
-      }
-
-      // Fallback to text input
-      return text(nestedField, options);
+      return renderElement(nestedField, options);
     })
     .join('');
+};
+
+/**
+ * Object (fieldset) renderer
+ */
+const object = (field, options) => {
+  const { templates, classes } = options;
+
+  // Generate fields HTML for each property in the object
+  const fieldsHtml = wrapInGrid(renderNestedFields(field, field.fields, options), options);
+
+  // Collapsible objects start open when asked to, or when a property has an error
+  if (field.collapsible ?? options.collapsible) {
+    const errorPrefix = parseFieldName(field.path || field.name).join('.');
+    const hasErrors = Object.keys(options.errors || {}).some(
+      (key) => key === errorPrefix || key.startsWith(`${errorPrefix}.`)
+    );
+
+    return templates.collapsible({
+      name: field.name,
+      legend: getFieldLabel(field, options),
+      fields: fieldsHtml,
+      open: !field.collapsed || hasErrors,
+      classes
+    });
+  }
 
   // Generate fieldset HTML
   return templates.object({
     name: field.name,
-    legend:
-      field.label ||
-      field.name.charAt(0).toUpperCase() + field.name.slice(1).replace(/([A-Z])/g, ' $1'),
+    legend: getFieldLabel(field, options),
     fields: fieldsHtml,
     classes
   });
 };
 
 /**
- * Array renderer
+ * Tuple renderer - a fixed group of positional inputs
  */
-const array = (field, options) => {
+const tuple = (field, options) => {
   const { templates, classes } = options;
+  const legend = getFieldLabel(field, options);
+
+  // Items have no property names, label them after their position
+  const items = field.items.map((item, index) => ({
+    ...item,
+    label: item.label || `${legend} ${index + 1}`
+  }));
+
+  return templates.object({
+    name: field.name,
+    legend,
+    fields: renderNestedFields(field, items, options),
+    classes
+  });
+};
+
+/**
+ * Discriminated union renderer - a variant selector followed by the sub-form of each variant
+ *
+ * Only the selected variant is enabled, the others are rendered as disabled
+ * fieldsets so their inputs are neither validated nor submitted.
+ */
+const discriminatedUnion = (field, options) => {
+  const { templates, classes } = options;
+  useAssets(options, 'union');
+  const fieldId = field.id || field.name;
+  const currentValue = getFieldValue(field, options) ?? {};
+  const selected = String(currentValue[field.discriminator] ?? field.defaultVariant ?? '');
+
+  // The selector is the discriminator property itself
+  const selectorId = `${fieldId}-${field.discriminator}`;
+  const selectorHtml = select(
+    {
+      name: `${field.name}[${field.discriminator}]`,
+      path: `${field.path}.${field.discriminator}`,
+      id: selectorId,
+      label: getFieldLabel(field, options),
+      options: field.variants.map(({ value, label }) => ({ value, label })),
+      validation: { required: field.validation?.required !== false },
+      value: selected
+    },
+    options
+  );
+
+  const variantsHtml = field.variants
+    .map((variant) =>
+      templates.variant({
+        value: variant.value,
+        label: variant.label,
+        fields: renderNestedFields(field, variant.fields, options, `${fieldId}-${variant.value}`),
+        active: variant.value === selected,
+        classes
+      })
+    )
+    .join('');
+
+  return templates.discriminatedUnion({
+    id: fieldId,
+    selectorId,
+    selector: selectorHtml,
+    variants: variantsHtml,
+    classes
+  });
+};
+
+/**
+ * Key and value inputs of a record's entry
+ */
+const renderRecordEntry = (field, index, entry, options) => {
+  const { classes } = options;
 
-  // Get current values (empty array if none)
-  const values = field.value || options.values?.[field.name] || [];
+  return `
+      <div class="zf-record-item">
+        <div class="zf-record-key">
+          <input ${attributesToString({
+            type: 'text',
+            class: classes.input,
+            name: `${field.name}[${index}][key]`,
+            value: entry?.key || '',
+            placeholder: translate(options, 'key'),
+            'aria-label': translate(options, 'key'),
+            required: field.validation?.required !== false
+          })}>
+        </div>
+        <div class="zf-record-value">
+          ${renderElement(
+            { ...field.valueType, name: `${field.name}[${index}][value]`, value: entry?.value },
+            options
+          )}
+        </div>
+      </div>
+    `;
+};
 
-  // Create a template for a single array item
-  const createItemTemplate = (item, index) => {
-    // Create a subfield for the array item
-    const itemField = {
+/**
+ * Field of an array's item, rendered from the item type
+ */
+const renderArrayEntry = (field, index, item, options) =>
+  renderElement(
+    {
       ...field.itemType,
       name: `${field.name}[${index}]`,
-      path: `${field.path}[${index}]`,
+      path: `${field.path || field.name}[${index}]`,
       value: item
-    };
+    },
+    options
+  );
 
-    // Render the item field
-    if (module.exports[itemField.type]) {
-      return module.exports[itemField.type](itemField, options);
-    }
+/**
+ * Render one item of an array or record field with its remove button, and the
+ * move and duplicate buttons of `sortable` and `duplicable` fields
+ *
+ * @param {object} field - Array or record field definition
+ * @param {number} index - Index of the item
+ * @param {*} item - Value of the item, `{ key, value }` for a record's entry
+ * @param {object} options - Render options with resolved `templates` and `classes`
+ * @param {object} state - `removable: false` disables the remove button, `first`
+ *   and `last` the move buttons and `full` the duplicate button
+ * @returns {string} - Item HTML
+ */
+const renderArrayItem = (field, index, item, options, state = {}) => {
+  const { templates, classes } = options;
+  const renderEntry = field.type === 'record' ? renderRecordEntry : renderArrayEntry;
 
-    // Fallback to text input
-    return text(itemField, options);
-  };
+  return templates.arrayItem({
+    name: field.name,
+    index,
+    content: renderEntry(field, index, item, options),
+    classes,
+    removeLabel: translate(options, 'removeItem'),
+    removable: state.removable !== false,
+    sortable: Boolean(field.sortable),
+    duplicable: Boolean(field.duplicable),
+    first: Boolean(state.first),
+    last: Boolean(state.last),
+    full: Boolean(state.full),
+    moveUpLabel: translate(options, 'moveUp'),
+    moveDownLabel: translate(options, 'moveDown'),
+    duplicateLabel: translate(options, 'duplicateItem'),
+    dragLabel: translate(options, 'dragItem')
+  });
+};
+
+/**
+ * URL the array behavior loads new items from, for forms of a registered schema using HTMX
+ */
+const getItemUrl = (options) => {
+  if (!options.htmx || !options.schemaName) return undefined;
+  return `${options.baseUrl || ''}/api/add-item?schema=${encodeURIComponent(options.schemaName)}`;
+};
+
+/**
+ * Array renderer
+ *
+ * The list starts with as many items as `.min()` requires, and its remove and
+ * add buttons are disabled at the minimum and maximum number of items. The
+ * items of `sortable` fields can be moved and those of `duplicable` ones copied.
+ */
+const array = (field, options) => {
+  const { templates, classes } = options;
+  useAssets(options, 'array');
+
+  const { minItems, maxItems } = field.validation || {};
+  const values = [...(getFieldValue(field, options) ?? [])];
+  while (values.length < (minItems || 0)) {
+    values.push(undefined);
+  }
 
   // Generate array HTML
   const inputHtml = templates.array({
     name: field.name,
     items: values,
-    itemTemplate: createItemTemplate,
+    renderItem: (item, index) =>
+      renderArrayItem(field, index, item, options, {
+        removable: values.length > (minItems || 0),
+        first: index === 0,
+        last: index === values.length - 1,
+        full: Boolean(maxItems) && values.length >= maxItems
+      }),
+    itemTemplate: renderArrayItem(field, NEW_ITEM_INDEX, undefined, options),
     classes,
-    addLabel: field.addLabel || 'Add Item'
+    addLabel: field.addLabel || translate(options, 'addItem'),
+    removeLabel: translate(options, 'removeItem'),
+    selectLabel: translate(options, 'selectToAdd'),
+    minItems,
+    maxItems,
+    itemUrl: getItemUrl(options),
+    sortable: Boolean(field.sortable),
+    duplicable: Boolean(field.duplicable)
   });
 
-  return createFieldWrapper(field, options, inputHtml);
+  return createFieldWrapper(field, options, inputHtml, { group: true });
 };
 
 /**
@@ -800,163 +1093,151 @@ const array = (field, options) => {
  */
 const record = (field, options) => {
   const { templates, classes } = options;
+  useAssets(options, 'array');
 
   // Get current values (empty object if none)
-  const values = field.value || options.values?.[field.name] || {};
-
-  // Convert to array of key-value pairs for easier rendering
-  const items = Object.entries(values).map(([key, value]) => ({ key, value }));
-
-  // Create a template for a single record item
-  const createItemTemplate = (item, index) => {
-    return `
-      <div class="zf-record-item">
-        <div class="zf-record-key">
-          <input 
-            type="text" 
-            class="${classes.input}" 
-            name="${field.name}[${index}].key" 
-            value="${item.key || ''}"
-            placeholder="Key"
-            ${field.validation?.required !== false ? 'required' : ''}
-          >
-        </div>
-        <div class="zf-record-value">
-          ${renderValueField(field.valueType, `${field.name}[${index}].value`, item.value, options)}
-        </div>
-      </div>
-    `;
-  };
-
-  // Helper to render the value field based on its type
-  const renderValueField = (valueType, name, value, options) => {
-    const valueField = {
-      ...valueType,
-      name,
-      value
-    };
+  const values = getFieldValue(field, options) ?? {};
 
-    if (module.exports[valueField.type]) {
-      return module.exports[valueField.type](valueField, options);
-    }
-
-    return text(valueField, options);
-  };
+  // Convert to array of key-value pairs for easier rendering, records may be saved as maps
+  const pairs = values instanceof Map ? [...values] : Object.entries(values);
+  const items = pairs.map(([key, value]) => ({ key, value }));
 
-  // Customize the array template for records
+  // Customize the array template for records, with at least one empty item
+  const entries = items.length ? items : [{ key: '', value: '' }];
   const recordHtml = templates.array({
     name: field.name,
-    items: items.length ? items : [{ key: '', value: '' }], // At least one empty item
-    itemTemplate: createItemTemplate,
+    items: entries,
+    renderItem: (item, index) =>
+      renderArrayItem(field, index, item, options, {
+        first: index === 0,
+        last: index === entries.length - 1
+      }),
+    itemTemplate: renderArrayItem(field, NEW_ITEM_INDEX, undefined, options),
     classes,
-    addLabel: field.addLabel || 'Add Key-Value Pair'
+    addLabel: field.addLabel || translate(options, 'addKeyValue'),
+    removeLabel: translate(options, 'removeItem'),
+    selectLabel: translate(options, 'selectToAdd'),
+    itemUrl: getItemUrl(options),
+    sortable: Boolean(field.sortable),
+    duplicable: Boolean(field.duplicable)
   });
 
-  return createFieldWrapper(field, options, recordHtml);
+  return createFieldWrapper(field, options, recordHtml, { group: true });
 };
 
 /**
  * Star rating renderer
  */
 const stars = (field, options) => {
-  const { templates, classes } = options;
+  useAssets(options, 'stars');
 
   // Generate attributes for hidden input
   const attributes = {
     type: 'hidden',
     id: field.id || field.name,
     name: field.name,
-    value: field.value || options.values?.[field.name] || '1',
+    value: getFieldValue(field, options) ?? '1',
     ...(field.validation?.required !== false ? { required: true } : {})
   };
 
   const fieldId = field.id || field.name;
-  const currentValue = field.value || options.values?.[field.name] || 1;
+  const currentValue = getFieldValue(field, options) ?? 1;
   const maxStars = field.validation?.max || field.max || 5;
 
   // Generate star rating HTML
   const inputHtml = `
-    <div class="zf-star-rating-container">
+    <div class="zf-star-rating-container" data-zf-behavior="stars">
       <input ${attributesToString(attributes)}>
-      <div class="zf-star-rating" id="${fieldId}-stars">
+      <div class="zf-star-rating" id="${escapeHtml(fieldId)}-stars" role="radiogroup" aria-labelledby="${escapeHtml(fieldId)}-label">
         ${Array.from({ length: maxStars }, (_, i) => i + 1)
           .map(
             (i) => `
           <span class="zf-star ${i <= currentValue ? 'zf-star-active' : ''}" 
                 data-value="${i}" 
-                id="${fieldId}-star-${i}">★</span>
+                id="${escapeHtml(fieldId)}-star-${i}"
+                role="radio"
+                aria-checked="${i === Number(currentValue) ? 'true' : 'false'}"
+                aria-label="${escapeHtml(translate(options, 'starLabel', { value: i, max: maxStars }))}"
+                tabindex="${i === (Number(currentValue) || 1) ? '0' : '-1'}">★</span>
         `
           )
           .join('')}
       </div>
     </div>
-    <style>
-      .zf-star-rating-container {
-        margin: 10px 0;
-      }
-      .zf-star-rating {
-        display: flex;
-        font-size: 24px;
-        cursor: pointer;
-      }
-      .zf-star {
-        color: rgba(255, 255, 255, 0.2);
-        transition: var(--zf-transition);
-        padding: 0 2px;
-      }
-      .zf-star:hover, .zf-star-active {
-        color: var(--zf-primary-color);
-      }
-    </style>
-    <script>
-      document.addEventListener('DOMContentLoaded', function() {
-        var hiddenInput = document.getElementById('${fieldId}');
-        var starContainer = document.getElementById('${fieldId}-stars');
-        
-        if (!starContainer || !hiddenInput) return;
-        
-        // Add click handlers to stars
-        starContainer.querySelectorAll('.zf-star').forEach(function(star) {
-          star.addEventListener('click', function() {
-            var value = parseInt(this.getAttribute('data-value'), 10);
-            hiddenInput.value = value;
-            
-            // Update active state
-            starContainer.querySelectorAll('.zf-star').forEach(function(s) {
-              var starValue = parseInt(s.getAttribute('data-value'), 10);
-              if (starValue <= value) {
-                s.classList.add('zf-star-active');
-              } else {
-                s.classList.remove('zf-star-active');
-              }
-            });
-            
-            // Trigger change event for validation
-            var event = new Event('change', { bubbles: true });
-            hiddenInput.dispatchEvent(event);
-          });
-        });
-      });
-    </script>
   `;
 
-  return createFieldWrapper(field, options, inputHtml);
+  return createFieldWrapper(field, options, inputHtml, { group: true });
 };
 
-module.exports = {
+/**
+ * Elements shipped with the library, keyed by field type
+ */
+const builtInElements = {
+  hidden,
   text,
   textarea,
   select,
   checkbox,
+  checkboxGroup,
+  multiselect,
   radio,
   file,
   number,
   range,
   date,
+  'datetime-local': date,
+  month: date,
+  time: date,
   email,
   url,
   object,
+  tuple,
+  discriminatedUnion,
   array,
   record,
   stars
 };
+
+/**
+ * Render a field with the element for its type - a custom one if registered,
+ * then the built-in one, falling back to a text input
+ *
+ * @param {object} field - Field definition
+ * @param {object} options - Render options with resolved `templates` and `classes`
+ * @returns {string} - Field HTML
+ */
+const renderElement = (field, options) => {
+  const customElement = elementRegistry.getElement(field.type);
+  if (customElement) {
+    return customElement(field, options, helpers);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(builtInElements, field.type)) {
+    return builtInElements[field.type](field, options);
+  }
+
+  return text(field, options);
+};
+
+/**
+ * Helpers handed to custom elements, the building blocks of the built-in ones
+ */
+const helpers = {
+  attributesToString,
+  escapeHtml,
+  escapeJs,
+  createFieldWrapper,
+  wrapInGrid,
+  applyErrorState,
+  getFieldLabel,
+  getFieldValue,
+  getFieldError,
+  getValidateUrl,
+  renderElement
+};
+
+module.exports = {
+  ...builtInElements,
+  renderElement,
+  renderArrayItem
+};
@@ -0,0 +1,84 @@
+/**
+ * Element registry - Custom field types contributed by applications and plugins
+ */
+
+const elements = new Map();
+
+/**
+ * Register a renderer for a field type
+ *
+ * The renderer is called as `renderer(field, options, helpers)`, where options
+ * carry the resolved `templates` and `classes` and helpers are the functions
+ * built-in elements are made of (`attributesToString`, `createFieldWrapper`, ...).
+ * A custom element registered under a built-in type replaces the built-in one.
+ *
+ * @param {string} type - Field type rendered by the element, e.g. `"color"`
+ * @param {Function} renderer - Returns the HTML of a field
+ * @param {object} options - `{ match }`, where `match(zodType, path)` claims Zod types
+ *   for this element during schema parsing by returning true, or an object of extra
+ *   field properties
+ * @returns {Function} - The registered renderer
+ */
+const registerElement = (type, renderer, { match } = {}) => {
+  if (typeof type !== 'string' || !type) {
+    throw new TypeError('ZodForm: an element type must be a non-empty string');
+  }
+  if (typeof renderer !== 'function') {
+    throw new TypeError(`ZodForm: the renderer for element "${type}" must be a function`);
+  }
+  if (match !== undefined && typeof match !== 'function') {
+    throw new TypeError(`ZodForm: the match option for element "${type}" must be a function`);
+  }
+
+  // Re-registering a type moves it to the end, so it is matched first
+  elements.delete(type);
+  elements.set(type, { renderer, match });
+  return renderer;
+};
+
+/**
+ * Get the custom renderer registered for a field type
+ *
+ * @param {string} type - Field type
+ * @returns {Function|undefined} - Renderer
+ */
+const getElement = (type) => {
+  return elements.get(type)?.renderer;
+};
+
+/**
+ * Find the custom element claiming a Zod type, the most recently registered one wins
+ *
+ * @param {object} zodType - Zod type being parsed
+ * @param {string} path - Path of the field in the schema
+ * @returns {object|undefined} - Field type definition, e.g. `{ type: 'color' }`
+ */
+const matchElement = (zodType, path) => {
+  const entries = [...elements.entries()].reverse();
+
+  for (const [type, { match }] of entries) {
+    const result = match ? match(zodType, path) : false;
+    if (result) {
+      return { ...(typeof result === 'object' ? result : {}), type };
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Remove a custom element
+ *
+ * @param {string} type - Field type
+ * @returns {boolean} - Whether an element was removed
+ */
+const unregisterElement = (type) => {
+  return elements.delete(type);
+};
+
+module.exports = {
+  registerElement,
+  getElement,
+  matchElement,
+  unregisterElement
+};
@@ -5,11 +5,21 @@
 
 const formGenerator = require('./core/form-generator');
 const validation = require('./core/validation');
+const formData = require('./core/form-data');
+const registry = require('./core/registry');
+const wizard = require('./core/wizard');
+const schemaParser = require('./core/schema-parser');
+const html = require('./core/html');
+const assets = require('./core/assets');
+const clientSchema = require('./core/client-schema');
+const i18n = require('./core/i18n');
+const elementRegistry = require('./elements/registry');
+const expressIntegration = require('./integrations/express');
 const firestoreIntegration = require('./integrations/firestore');
 const modalUtils = require('./templates/modal');
 
 /**
- * Generate a form from a Zod schema
+ * Generate a form from a Zod schema or the name of a registered schema
  */
 const zodForm = (schema, options = {}) => {
   return formGenerator.generate(schema, options);
@@ -22,11 +32,114 @@ zodForm.modal = (schema, options = {}) => {
   return modalUtils.generateModal(schema, options);
 };
 
+/**
+ * Generate one step of a multi-step wizard form from a Zod object schema
+ */
+zodForm.wizard = (schema, options = {}) => {
+  return wizard.generateWizard(schema, options);
+};
+
+/**
+ * Express middleware driving a wizard form: back/next navigation, per-step
+ * validation and validation of the whole schema on the last step
+ */
+zodForm.validateWizard = (schema, options = {}) => {
+  return wizard.wizardMiddleware(schema, options);
+};
+
 /**
  * Express middleware for validating form submissions against a Zod schema
  */
-zodForm.validate = (schema) => {
-  return validation.expressMiddleware(schema);
+zodForm.validate = (schema, options = {}) => {
+  return validation.expressMiddleware(schema, options);
+};
+
+/**
+ * Add a cross-field rule (e.g. `{ field: 'endDate', gte: 'startDate' }`) that the
+ * server and, with `clientValidation: 'schema'`, the browser both check
+ */
+zodForm.compare = (schema, rule) => {
+  return clientSchema.compare(schema, rule);
+};
+
+/**
+ * Register the messages of a locale, used by forms and validation with `{ locale }`
+ */
+zodForm.registerLocale = (locale, messages) => {
+  return i18n.registerLocale(locale, messages);
+};
+
+/**
+ * Register a schema by name so forms and the HTMX routes can refer to it
+ */
+zodForm.register = (name, schema, options = {}) => {
+  return registry.register(name, schema, options);
+};
+
+/**
+ * Register the HTMX helper routes (field validation, array items, modals) on an Express router
+ */
+zodForm.registerRoutes = (router, options = {}) => {
+  return expressIntegration.registerHtmxRoutes(router, options);
+};
+
+/**
+ * Express middleware serving the client script and stylesheets of forms rendered
+ * with `assets: 'external'`
+ */
+zodForm.serveAssets = () => {
+  return expressIntegration.assetsMiddleware();
+};
+
+/**
+ * Collect the scripts and styles of several forms on a page, rendered once with `flush()`
+ */
+zodForm.assetCollector = (options = {}) => {
+  return assets.createAssetCollector(options);
+};
+
+/**
+ * Remove a registered schema
+ */
+zodForm.unregister = (name) => {
+  return registry.unregister(name);
+};
+
+/**
+ * Register a custom element renderer for a field type, optionally claiming
+ * Zod types through `options.match(zodType, path)`
+ */
+zodForm.registerElement = (type, renderer, options = {}) => {
+  return elementRegistry.registerElement(type, renderer, options);
+};
+
+/**
+ * Remove a custom element
+ */
+zodForm.unregisterElement = (type) => {
+  return elementRegistry.unregisterElement(type);
+};
+
+/**
+ * Attach presentation metadata (label, placeholder, help, widget, order, group)
+ * to a Zod type so a shared schema carries its own form presentation
+ */
+zodForm.meta = (schema, meta = {}) => {
+  return schemaParser.setFieldMeta(schema, meta);
+};
+
+/**
+ * Decode a submitted form body into data matching a Zod schema
+ */
+zodForm.decode = (schema, body) => {
+  return formData.decodeFormData(schema, body);
+};
+
+/**
+ * Escape text or an attribute value for HTML, for use in custom templates
+ */
+zodForm.escapeHtml = (value) => {
+  return html.escapeHtml(value);
 };
 
 /**
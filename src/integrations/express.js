@@ -3,73 +3,139 @@
  */
 
 const formGenerator = require('../core/form-generator');
-const { parseSchema } = require('../core/schema-parser');
+const {
+  parseSchema,
+  resolveSchemaPath,
+  mapZodTypeToHtmlElement
+} = require('../core/schema-parser');
 const validation = require('../core/validation');
+const registry = require('../core/registry');
+const { getValueAtPath, parseFieldName } = require('../core/form-data');
+const { escapeHtml } = require('../core/html');
+const assets = require('../core/assets');
+const i18n = require('../core/i18n');
+const rules = require('../core/rules');
 
 /**
  * Register HTMX API routes for form functionality
  *
  * @param {express.Router} router - Express router
- * @param {object} options - Configuration options
+ * @param {object} options - Configuration options, `locale` may be a function of the request
  */
 const registerHtmxRoutes = (router, options = {}) => {
-  // Field validation route
-  router.post('/api/validate/:field', (req, res) => {
-    const { field } = req.params;
-    const { schema } = req.body;
+  // Locale and messages of a request, the registered schema's unless configured here
+  const getMessageOptions = (req, schemaName) => {
+    const registeredOptions = schemaName ? registry.getOptions(schemaName) : {};
+    return {
+      locale: i18n.resolveLocale(options.locale ?? registeredOptions.locale, req),
+      messages: options.messages ?? registeredOptions.messages
+    };
+  };
+
+  // Field validation routes - the schema is looked up in the registry by the name
+  // in the URL or by the `_zfSchema` hidden field the form renders
+  const validateFieldRoute = (req, res) => {
+    const schemaName = req.params.schemaName || req.body?._zfSchema;
+    const schema = registry.getSchema(schemaName);
+    const messageOptions = getMessageOptions(req, schema && schemaName);
+
+    if (!schema) {
+      return res
+        .status(404)
+        .send(
+          `<div class="zf-error">${escapeHtml(i18n.translate(messageOptions, 'unknownForm'))}</div>`
+        );
+    }
+
+    const path = parseFieldName(req.params.field).join('.');
 
     try {
-      // Validate the field against the provided schema
-      const result = validation.validateField(schema, field, req.body[field]);
+      // Decode the submission with the registered form's conditional logic applied
+      const body = req.body || {};
+      const { conditionalLogic } = registry.getOptions(schemaName);
+      const submission = validation.parseSubmission(schema, body, {
+        ...messageOptions,
+        rules: conditionalLogic ? rules.normalizeRules(conditionalLogic) : undefined
+      });
+      const { data } = submission;
+
+      // Fields hidden or disabled by their rule are not validated, fields a rule
+      // requires are reported while empty
+      if (!resolveSchemaPath(submission.schema, path)) {
+        return res.send('<div class="zf-error"></div>');
+      }
+      if (submission.missingFields.some((name) => parseFieldName(name).join('.') === path)) {
+        return res.send(
+          `<div class="zf-error">${escapeHtml(i18n.translate(messageOptions, 'required'))}</div>`
+        );
+      }
+
+      // Prefer the raw value posted under the field's own name (flat bodies keep
+      // sparse indices), otherwise read it from the decoded submission
+      const value = Object.prototype.hasOwnProperty.call(body, req.params.field)
+        ? body[req.params.field]
+        : getValueAtPath(data, path);
+
+      // Validate in the context of the whole form so cross-field rules apply
+      const result = validation.validateField(submission.schema, path, value, data, messageOptions);
 
       if (result.valid) {
         // Return empty error element for valid field
         return res.send('<div class="zf-error"></div>');
       } else {
         // Return error message
-        const errorMessage = result.errors[field] || 'Invalid value';
-        return res.send(`<div class="zf-error">${errorMessage}</div>`);
+        const errorMessage = result.errors[path] || Object.values(result.errors)[0];
+        return res.send(`<div class="zf-error">${escapeHtml(errorMessage)}</div>`);
       }
     } catch (error) {
       console.error('Validation error:', error);
-      return res.status(400).send(`<div class="zf-error">Validation error</div>`);
+      return res
+        .status(400)
+        .send(
+          `<div class="zf-error">${escapeHtml(i18n.translate(messageOptions, 'validationError'))}</div>`
+        );
     }
-  });
+  };
 
-  // Array item management routes
-  router.get('/api/add-item', (req, res) => {
-    const { name, type = 'text' } = req.query;
-    const index = parseInt(req.query.index || '0', 10);
+  router.post('/api/validate/:schemaName/:field', validateFieldRoute);
+  router.post('/api/validate/:field', validateFieldRoute);
 
-    // Get the schema from the session if available
-    const schema = req.session?.zodFormSchemas?.[name];
+  // Array item routes - a new item of a registered schema's array (or record)
+  // field, rendered from the item's type; the array behavior renumbers the items
+  router.get('/api/add-item', (req, res) => {
+    const schemaName = req.query.schema;
+    const schema = registry.getSchema(schemaName);
+    const messageOptions = getMessageOptions(req, schema && schemaName);
+
+    if (!schema) {
+      return res
+        .status(404)
+        .send(
+          `<div class="zf-error">${escapeHtml(i18n.translate(messageOptions, 'unknownForm'))}</div>`
+        );
+    }
 
-    // Create a new field
-    const field = {
-      name: `${name}[${index}]`,
-      type
-    };
+    // Only list fields of the schema have items
+    const name = String(req.query.name || '');
+    const path = parseFieldName(name);
+    const zodType = path.length ? resolveSchemaPath(schema, path) : undefined;
+    if (!zodType || !['array', 'record'].includes(mapZodTypeToHtmlElement(zodType).type)) {
+      return res
+        .status(404)
+        .send(
+          `<div class="zf-error">${escapeHtml(i18n.translate(messageOptions, 'unknownField'))}</div>`
+        );
+    }
 
-    // Generate the field HTML
-    const html = formGenerator.generateField(field.name, schema || {}, {
-      ...options
-    });
-
-    return res.send(`
-      <div class="zf-array-item" id="${name}-item-${index}">
-        ${html}
-        <button 
-          type="button"
-          class="zf-remove-item"
-          hx-target="#${name}-item-${index}"
-          hx-swap="outerHTML"
-          hx-trigger="click"
-          hx-delete="/api/remove-item?name=${name}&index=${index}"
-        >
-          Remove
-        </button>
-      </div>
-    `);
+    // Items are added to forms using HTMX, their fields validate like the others
+    const index = Math.max(Number.parseInt(req.query.index, 10) || 0, 0);
+    return res.send(
+      formGenerator.generateArrayItem(schemaName, name, index, {
+        htmx: registry.getOptions(schemaName).htmx ?? true,
+        ...options,
+        ...messageOptions
+      })
+    );
   });
 
   router.delete('/api/remove-item', (req, res) => {
@@ -109,6 +175,30 @@ const fileUploadMiddleware = (options = {}) => {
   };
 };
 
+/**
+ * Middleware serving the client script and stylesheets for forms rendered with
+ * `assets: 'external'`, mount it at the forms' `assetsUrl` (`/zod-form` by default)
+ *
+ * Serves `zod-form.js`, `zod-form.css` (dark theme) and `zod-form-light.css`.
+ *
+ * @returns {Function} - Express middleware
+ */
+const assetsMiddleware = () => {
+  const files = assets.getAssetFiles();
+
+  return (req, res, next) => {
+    const file = files[req.path.replace(/^\//, '')];
+    if (!file || (req.method !== 'GET' && req.method !== 'HEAD')) {
+      return next();
+    }
+
+    res.type(file.type);
+    // Revalidated with the ETag, so an upgraded version is picked up
+    res.set('Cache-Control', 'public, no-cache');
+    return res.send(file.content);
+  };
+};
+
 /**
  * Store a schema in the session for use with dynamic forms
  */
@@ -132,6 +222,7 @@ const getSchemaFromSession = (req, name) => {
 module.exports = {
   registerHtmxRoutes,
   fileUploadMiddleware,
+  assetsMiddleware,
   storeSchemaInSession,
   getSchemaFromSession
 };
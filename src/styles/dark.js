@@ -135,6 +135,67 @@ const darkTheme = `
     color: var(--zf-text-primary);
   }
   
+  /* Checkbox group and multi-select styles */
+  .zf-checkbox-group {
+    display: flex;
+    flex-wrap: wrap;
+    gap: var(--zf-spacing-xs) var(--zf-spacing-md);
+  }
+  
+  .zf-chips {
+    display: flex;
+    flex-wrap: wrap;
+    gap: var(--zf-spacing-xs);
+    margin-bottom: var(--zf-spacing-xs);
+  }
+  
+  .zf-chip {
+    display: inline-flex;
+    align-items: center;
+    gap: var(--zf-spacing-xs);
+    padding: 2px var(--zf-spacing-sm);
+    border-radius: var(--zf-border-radius);
+    background-color: var(--zf-primary-color);
+    color: var(--zf-background);
+    font-size: 0.875rem;
+  }
+  
+  .zf-chip button {
+    border: none;
+    background: none;
+    color: inherit;
+    cursor: pointer;
+    padding: 0;
+  }
+  
+  .zf-multiselect-options {
+    list-style: none;
+    margin: var(--zf-spacing-xs) 0 0;
+    padding: 0;
+    max-height: 12rem;
+    overflow-y: auto;
+    border: 1px solid var(--zf-border-color);
+    border-radius: var(--zf-border-radius);
+    background-color: var(--zf-surface);
+  }
+  
+  .zf-multiselect-options li {
+    padding: var(--zf-spacing-xs) var(--zf-spacing-sm);
+    color: var(--zf-text-primary);
+    cursor: pointer;
+  }
+  
+  .zf-multiselect-options li:hover {
+    background-color: var(--zf-border-color);
+  }
+  
+  /* Help text styles */
+  .zf-help {
+    color: var(--zf-text-secondary);
+    font-size: 0.875rem;
+    margin-top: var(--zf-spacing-xs);
+  }
+  
   /* Error message styles */
   .zf-error {
     color: var(--zf-error);
@@ -182,6 +243,120 @@ const darkTheme = `
     justify-content: flex-end;
   }
   
+  /* Wizard styles */
+  .zf-wizard-steps {
+    display: flex;
+    gap: var(--zf-spacing-sm);
+    margin: 0 0 var(--zf-spacing-xs);
+    padding: 0;
+    list-style: none;
+    counter-reset: zf-wizard-step;
+  }
+  
+  .zf-wizard-step {
+    flex: 1;
+    padding-top: var(--zf-spacing-xs);
+    border-top: 3px solid var(--zf-border-color);
+    color: var(--zf-text-secondary);
+    font-size: 0.875rem;
+    counter-increment: zf-wizard-step;
+  }
+  
+  .zf-wizard-step::before {
+    content: counter(zf-wizard-step) ". ";
+  }
+  
+  .zf-wizard-step-done,
+  .zf-wizard-step[aria-current="step"] {
+    border-top-color: var(--zf-primary-color);
+    color: var(--zf-text-primary);
+  }
+  
+  .zf-wizard-status {
+    margin: 0 0 var(--zf-spacing-md);
+    color: var(--zf-text-secondary);
+    font-size: 0.875rem;
+  }
+  
+  .zf-wizard-actions {
+    gap: var(--zf-spacing-sm);
+  }
+  
+  .zf-wizard-back {
+    order: -1;
+    margin-right: auto;
+  }
+  
+  /* Section, tab and grid layouts */
+  .zf-section-description {
+    margin: 0 0 var(--zf-spacing-md);
+    color: var(--zf-text-secondary);
+    font-size: 0.875rem;
+  }
+  
+  .zf-tab-list {
+    display: flex;
+    gap: var(--zf-spacing-xs);
+    margin-bottom: var(--zf-spacing-md);
+    border-bottom: 1px solid var(--zf-border-color);
+  }
+  
+  .zf-tab-list[hidden] {
+    display: none;
+  }
+  
+  .zf-tab {
+    padding: var(--zf-spacing-sm) var(--zf-spacing-md);
+    border: none;
+    border-bottom: 2px solid transparent;
+    background: none;
+    color: var(--zf-text-secondary);
+    cursor: pointer;
+    font: inherit;
+  }
+  
+  .zf-tab[aria-selected="true"] {
+    border-bottom-color: var(--zf-primary-color);
+    color: var(--zf-text-primary);
+  }
+  
+  .zf-tab-panel {
+    margin-bottom: var(--zf-spacing-lg);
+  }
+  
+  .zf-tabs-ready .zf-tab-heading {
+    display: none;
+  }
+  
+  .zf-grid {
+    display: grid;
+    grid-template-columns: repeat(var(--zf-columns, 1), minmax(0, 1fr));
+    column-gap: var(--zf-spacing-md);
+  }
+  
+  /* Nested objects and other blocks span the whole grid row */
+  .zf-grid > :not(.zf-field) {
+    grid-column: 1 / -1;
+  }
+  
+  .zf-collapsible > summary {
+    cursor: pointer;
+  }
+  
+  .zf-collapsible:not([open]) > summary {
+    margin-bottom: 0;
+  }
+  
+  @media (max-width: 640px) {
+    .zf-grid {
+      grid-template-columns: minmax(0, 1fr);
+    }
+  
+    .zf-grid > .zf-field {
+      grid-column: auto !important;
+    }
+  }
+  
   /* Array fields */
   .zf-array {
     border: 1px solid var(--zf-border-color);
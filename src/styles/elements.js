@@ -0,0 +1,334 @@
+/**
+ * Styles of the individual elements, shared by both themes
+ */
+
+const MAX_GRID_COLUMNS = 12;
+
+// Column counts and spans are set with data attributes, inline styles may be forbidden by a CSP
+const gridStyles = Array.from({ length: MAX_GRID_COLUMNS }, (_, i) => i + 1)
+  .map(
+    (n) => `
+    .zf-grid[data-zf-columns="${n}"] {
+      --zf-columns: ${n};
+    }
+    .zf-grid > [data-zf-span="${n}"] {
+      grid-column: span ${n};
+    }`
+  )
+  .join('');
+
+const elementStyles = {
+  base: `
+    /* Fix for container width issues */
+    .zf-form {
+      box-sizing: border-box;
+      max-width: 100%;
+    }
+    .zf-form *,
+    .zf-form *::before,
+    .zf-form *::after {
+      box-sizing: border-box;
+    }
+    .zf-input,
+    .zf-select,
+    .zf-textarea {
+      box-sizing: border-box;
+      max-width: 100%;
+      width: 100%;
+    }
+    /* Groups of inputs are fieldsets, laid out like other fields */
+    .zf-field-group {
+      border: 0;
+      margin-left: 0;
+      margin-right: 0;
+      min-width: 0;
+      padding: 0;
+    }
+    .zf-field-group > legend {
+      padding: 0;
+    }
+    .zf-error:empty {
+      display: none;
+    }
+    ${gridStyles}
+  `,
+
+  textarea: `
+    .zf-textarea-container {
+      width: 100%;
+      position: relative;
+    }
+    .zf-textarea-wrapper {
+      position: relative;
+      width: 100%;
+    }
+    .zf-textarea-actions {
+      position: absolute;
+      bottom: 8px;
+      right: 8px;
+      z-index: 5;
+    }
+    .zf-document-upload {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 32px;
+      height: 32px;
+      background-color: var(--zf-primary-color);
+      color: black;
+      border-radius: 50%;
+      cursor: pointer;
+      transition: var(--zf-transition);
+      opacity: 0.7;
+    }
+    .zf-document-upload:hover {
+      opacity: 1;
+    }
+    .zf-hidden-file-input {
+      position: absolute;
+      width: 0;
+      height: 0;
+      opacity: 0;
+      overflow: hidden;
+    }
+  `,
+
+  file: `
+    .zf-file-container {
+      width: 100%;
+    }
+    .zf-image-preview {
+      margin-bottom: var(--zf-spacing-sm);
+      width: 100%;
+      display: flex;
+      justify-content: center;
+    }
+    .zf-image-placeholder {
+      width: 200px;
+      height: 150px;
+      background-color: var(--zf-surface);
+      border: 1px dashed var(--zf-border-color);
+      border-radius: var(--zf-border-radius);
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      color: var(--zf-text-secondary);
+      overflow: hidden;
+    }
+    .zf-image-placeholder img {
+      max-width: 100%;
+      max-height: 100%;
+      object-fit: contain;
+    }
+    .zf-file-input-wrapper {
+      position: relative;
+      width: 100%;
+    }
+    .zf-file-label {
+      display: flex;
+      cursor: pointer;
+      width: 100%;
+    }
+    .zf-file-button {
+      background-color: var(--zf-primary-color);
+      color: black;
+      padding: var(--zf-spacing-sm) var(--zf-spacing-md);
+      border-radius: var(--zf-border-radius) 0 0 var(--zf-border-radius);
+      font-weight: 500;
+      white-space: nowrap;
+    }
+    .zf-file-name {
+      flex: 1;
+      padding: var(--zf-spacing-sm) var(--zf-spacing-md);
+      background-color: var(--zf-surface);
+      border: 1px solid var(--zf-border-color);
+      border-left: none;
+      border-radius: 0 var(--zf-border-radius) var(--zf-border-radius) 0;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .zf-file-container input[type="file"] {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      padding: 0;
+      margin: -1px;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      border: 0;
+    }
+  `,
+
+  range: `
+    .zf-range-container {
+      width: 100%;
+      max-width: 100%;
+      margin-bottom: var(--zf-spacing-xs);
+    }
+    .zf-range-header {
+      display: flex;
+      justify-content: space-between;
+      margin-bottom: var(--zf-spacing-xs);
+    }
+    .zf-range-label {
+      font-weight: 500;
+    }
+    .zf-range-input-wrapper {
+      width: 100%;
+    }
+    .zf-range-input {
+      width: 100%;
+      margin-bottom: 2px;
+    }
+    .zf-range-input input[type="range"] {
+      width: 100%;
+      height: 8px;
+      -webkit-appearance: none;
+      background: var(--zf-border-color);
+      border-radius: 4px;
+      outline: none;
+      margin: 0;
+    }
+    .zf-range-input input[type="range"]::-webkit-slider-thumb {
+      -webkit-appearance: none;
+      width: 18px;
+      height: 18px;
+      background: var(--zf-primary-color);
+      border-radius: 50%;
+      cursor: pointer;
+      border: none;
+    }
+    .zf-range-input input[type="range"]::-moz-range-thumb {
+      width: 18px;
+      height: 18px;
+      background: var(--zf-primary-color);
+      border-radius: 50%;
+      cursor: pointer;
+      border: none;
+    }
+    .zf-range-limits {
+      display: flex;
+      justify-content: space-between;
+      font-size: 0.75rem;
+      color: var(--zf-text-secondary);
+      margin-top: 2px;
+    }
+  `,
+
+  stars: `
+    .zf-star-rating-container {
+      margin: 10px 0;
+    }
+    .zf-star-rating {
+      display: flex;
+      font-size: 24px;
+      cursor: pointer;
+    }
+    .zf-star {
+      color: rgba(255, 255, 255, 0.2);
+      transition: var(--zf-transition);
+      padding: 0 2px;
+    }
+    .zf-star:hover, .zf-star-active {
+      color: var(--zf-primary-color);
+    }
+    .zf-star:focus-visible {
+      outline: 2px solid var(--zf-primary-color);
+      outline-offset: 2px;
+      border-radius: 2px;
+    }
+  `,
+
+  array: `
+    .zf-array-item {
+      display: flex;
+      align-items: center;
+      margin-bottom: var(--zf-spacing-sm);
+      width: 100%;
+    }
+    .zf-array-item > .zf-field {
+      flex: 1;
+      margin-bottom: 0;
+    }
+    .zf-remove-item {
+      margin-left: var(--zf-spacing-sm);
+      background-color: var(--zf-error-color);
+      color: #fff;
+      border: none;
+      border-radius: 50%;
+      width: 24px;
+      height: 24px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      cursor: pointer;
+      font-size: 12px;
+      transition: var(--zf-transition);
+      opacity: 0.8;
+    }
+    .zf-remove-item:hover {
+      opacity: 1;
+    }
+    .zf-array-controls {
+      display: flex;
+      margin-top: var(--zf-spacing-sm);
+    }
+    .zf-array-controls select {
+      margin-right: var(--zf-spacing-sm);
+    }
+    .zf-add-item {
+      background-color: var(--zf-primary-color);
+      color: black;
+      border: none;
+      border-radius: var(--zf-border-radius);
+      padding: var(--zf-spacing-xs) var(--zf-spacing-md);
+      cursor: pointer;
+      transition: var(--zf-transition);
+    }
+    .zf-add-item:hover {
+      opacity: 0.9;
+    }
+    .zf-drag-handle {
+      margin-right: var(--zf-spacing-sm);
+      color: var(--zf-text-secondary);
+      cursor: grab;
+      user-select: none;
+    }
+    .zf-array-item.zf-dragging {
+      opacity: 0.5;
+    }
+    .zf-item-actions {
+      display: flex;
+      gap: var(--zf-spacing-xs);
+      margin-left: var(--zf-spacing-sm);
+      margin-right: 28px;
+    }
+    .zf-item-actions button {
+      background: transparent;
+      color: var(--zf-text-primary);
+      border: 1px solid var(--zf-border-color);
+      border-radius: 50%;
+      width: 24px;
+      height: 24px;
+      cursor: pointer;
+      font-size: 12px;
+      transition: var(--zf-transition);
+    }
+    .zf-item-actions button:focus-visible {
+      outline: 2px solid var(--zf-primary-color);
+      outline-offset: 2px;
+    }
+    .zf-add-item:disabled,
+    .zf-remove-item:disabled,
+    .zf-item-actions button:disabled {
+      opacity: 0.4;
+      cursor: not-allowed;
+    }
+  `
+};
+
+module.exports = {
+  elementStyles
+};
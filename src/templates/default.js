@@ -1,7 +1,23 @@
 /**
  * Default HTML templates for ZodForm
+ *
+ * Templates receive text and values unescaped and escape them where they are
+ * interpolated. Parameters holding rendered markup (`attributes`, `input`,
+ * `content`, `fields`, ...) are inserted as they are.
  */
 
+const { escapeHtml } = require('../core/html');
+
+/**
+ * Check whether an option is part of a select's value (a list for multi-selects)
+ */
+const isSelected = (value, optionValue) => {
+  if (Array.isArray(value) || value instanceof Set) {
+    return [...value].map(String).includes(String(optionValue));
+  }
+  return String(value) === String(optionValue);
+};
+
 const defaultTemplates = {
   /**
    * Main form template
@@ -15,48 +31,138 @@ const defaultTemplates = {
   /**
    * Template for a form field container
    */
-  field: ({ label, input, error, classes, id }) => `
-    <div class="${classes.field}" id="field-${id}">
+  field: ({ label, input, help = '', error, classes, id, span }) => `
+    <div class="${classes.field}" id="field-${escapeHtml(id)}"${span ? ` data-zf-span="${Number(span)}"` : ''}>
       ${label}
       ${input}
+      ${help}
       ${error}
     </div>
   `,
 
+  /**
+   * Template for a field made of several inputs (radio buttons, checkboxes, stars),
+   * labelled by the legend of a fieldset
+   */
+  fieldGroup: ({ legend, required, input, help = '', error, classes, id, span, describedBy }) => `
+    <fieldset class="${classes.field} zf-field-group" id="field-${escapeHtml(id)}"${
+      span ? ` data-zf-span="${Number(span)}"` : ''
+    }${describedBy ? ` aria-describedby="${escapeHtml(describedBy)}"` : ''}>
+      <legend class="${classes.label}" id="${escapeHtml(id)}-label">
+        ${escapeHtml(legend)}${required ? ' <span class="zf-required">*</span>' : ''}
+      </legend>
+      ${input}
+      ${help}
+      ${error}
+    </fieldset>
+  `,
+
   /**
    * Template for a label
    */
   label: ({ text, id, required, classes }) => `
-    <label class="${classes.label}" for="${id}">
-      ${text}${required ? ' <span class="zf-required">*</span>' : ''}
+    <label class="${classes.label}" for="${escapeHtml(id)}" id="${escapeHtml(id)}-label">
+      ${escapeHtml(text)}${required ? ' <span class="zf-required">*</span>' : ''}
     </label>
   `,
 
+  /**
+   * Template for help text
+   */
+  help: ({ text, id, classes }) => `
+    <div class="${classes.help}" id="${escapeHtml(id)}-help">${escapeHtml(text)}</div>
+  `,
+
+  /**
+   * Template for a group of fields sharing a `group` in their metadata
+   */
+  group: ({ legend, description = '', content, classes }) => `
+    <fieldset class="${classes.fieldset} zf-group">
+      ${legend ? `<legend class="${classes.legend}">${escapeHtml(legend)}</legend>` : ''}
+      ${description ? `<p class="zf-section-description">${escapeHtml(description)}</p>` : ''}
+      ${content}
+    </fieldset>
+  `,
+
+  /**
+   * Template for sections shown as tabs, the tab list is revealed by the tabs script
+   */
+  tabs: ({ id, tabs, panels }) => `
+    <div class="zf-tabs" id="${escapeHtml(id)}" data-zf-behavior="tabs">
+      <div class="zf-tab-list" role="tablist" hidden>
+        ${tabs
+          .map(
+            (tab, index) => `
+          <button
+            type="button"
+            class="zf-tab"
+            role="tab"
+            id="${escapeHtml(tab.id)}-tab"
+            aria-controls="${escapeHtml(tab.id)}"
+            aria-selected="${index === 0 ? 'true' : 'false'}"
+          >${escapeHtml(tab.title)}</button>
+        `
+          )
+          .join('')}
+      </div>
+      ${panels}
+    </div>
+  `,
+
+  /**
+   * Template for a single tab panel, its heading is shown when scripts do not run
+   */
+  tabPanel: ({ id, title, description = '', content, classes }) => `
+    <section class="zf-tab-panel" id="${escapeHtml(id)}" role="tabpanel" aria-labelledby="${escapeHtml(id)}-tab">
+      <h3 class="${classes.legend} zf-tab-heading">${escapeHtml(title)}</h3>
+      ${description ? `<p class="zf-section-description">${escapeHtml(description)}</p>` : ''}
+      ${content}
+    </section>
+  `,
+
+  /**
+   * Template for a column grid of fields
+   */
+  grid: ({ columns, content }) => `
+    <div class="zf-grid" data-zf-columns="${Number(columns)}">
+      ${content}
+    </div>
+  `,
+
+  /**
+   * Template for hidden inputs
+   */
+  hidden: ({ attributes }) => `
+    <input type="hidden" ${attributes}>
+  `,
+
   /**
    * Template for text inputs
    */
-  textInput: ({ attributes, classes }) => `
-    <input class="${classes.input}" ${attributes}>
+  textInput: ({ attributes, classes, value }) => `
+    <input class="${classes.input}" ${attributes}${
+      value !== undefined && value !== null && value !== '' ? ` value="${escapeHtml(value)}"` : ''
+    }>
   `,
 
   /**
    * Template for textarea
    */
   textarea: ({ attributes, classes, value }) => `
-    <textarea class="${classes.input}" ${attributes}>${value || ''}</textarea>
+    <textarea class="${classes.input}" ${attributes}>${escapeHtml(value)}</textarea>
   `,
 
   /**
    * Template for select inputs
    */
-  select: ({ attributes, options, classes, value }) => `
+  select: ({ attributes, options, classes, value, multiple = false, emptyLabel }) => `
     <select class="${classes.select}" ${attributes}>
-      <option value="">-- Select --</option>
+      ${multiple ? '' : `<option value="">${escapeHtml(emptyLabel)}</option>`}
       ${options
         .map(
           (option) => `
-        <option value="${option.value}" ${value === option.value ? 'selected' : ''}>
-          ${option.label}
+        <option value="${escapeHtml(option.value)}" ${isSelected(value, option.value) ? 'selected' : ''}>
+          ${escapeHtml(option.label)}
         </option>
       `
         )
@@ -67,17 +173,17 @@ const defaultTemplates = {
   /**
    * Template for checkbox inputs
    */
-  checkbox: ({ attributes, label, classes, checked }) => `
+  checkbox: ({ attributes, label, classes, checked, id }) => `
     <div class="${classes.checkbox}">
       <input type="checkbox" ${attributes} ${checked ? 'checked' : ''}>
-      <span class="zf-checkbox-label">${label}</span>
+      <label class="zf-checkbox-label" for="${escapeHtml(id)}">${escapeHtml(label)}</label>
     </div>
   `,
 
   /**
    * Template for radio inputs
    */
-  radio: ({ name, options, classes, value }) => `
+  radio: ({ name, options, classes, value, disabled = false }) => `
     <div class="${classes.radio}">
       ${options
         .map(
@@ -85,12 +191,38 @@ const defaultTemplates = {
         <div class="zf-radio-item">
           <input 
             type="radio" 
-            id="${name}-${i}" 
-            name="${name}" 
-            value="${option.value}"
-            ${value === option.value ? 'checked' : ''}
+            id="${escapeHtml(name)}-${i}" 
+            name="${escapeHtml(name)}" 
+            value="${escapeHtml(option.value)}"
+            ${isSelected(value, option.value) ? 'checked' : ''}
+            ${disabled ? 'disabled' : ''}
+          >
+          <label for="${escapeHtml(name)}-${i}">${escapeHtml(option.label)}</label>
+        </div>
+      `
+        )
+        .join('')}
+    </div>
+  `,
+
+  /**
+   * Template for a group of checkboxes submitting a list of values
+   */
+  checkboxGroup: ({ name, attributes, options, classes, value, disabled = false }) => `
+    <div class="${classes.checkbox}-group" ${attributes}>
+      ${options
+        .map(
+          (option, i) => `
+        <div class="${classes.checkbox}">
+          <input
+            type="checkbox"
+            id="${escapeHtml(name)}-${i}"
+            name="${escapeHtml(name)}"
+            value="${escapeHtml(option.value)}"
+            ${isSelected(value, option.value) ? 'checked' : ''}
+            ${disabled ? 'disabled' : ''}
           >
-          <label for="${name}-${i}">${option.label}</label>
+          <label class="zf-checkbox-label" for="${escapeHtml(name)}-${i}">${escapeHtml(option.label)}</label>
         </div>
       `
         )
@@ -98,6 +230,27 @@ const defaultTemplates = {
     </div>
   `,
 
+  /**
+   * Template for the searchable chip input wrapped around a multi-select
+   */
+  multiselect: ({ id, select, classes, searchLabel }) => `
+    <div class="zf-multiselect" id="${escapeHtml(id)}-multiselect" data-zf-behavior="multiselect">
+      <div class="zf-chips" id="${escapeHtml(id)}-chips"></div>
+      <input
+        type="search"
+        class="${classes.input} zf-multiselect-search"
+        id="${escapeHtml(id)}-search"
+        aria-labelledby="${escapeHtml(id)}-label"
+        aria-controls="${escapeHtml(id)}-options"
+        placeholder="${escapeHtml(searchLabel)}"
+        autocomplete="off"
+        hidden
+      >
+      <ul class="zf-multiselect-options" id="${escapeHtml(id)}-options" role="listbox" hidden></ul>
+      ${select}
+    </div>
+  `,
+
   /**
    * Template for file inputs
    */
@@ -107,41 +260,53 @@ const defaultTemplates = {
 
   /**
    * Template for array inputs
+   *
+   * `renderItem(item, index)` renders an item with the `arrayItem` template, and
+   * `itemTemplate` is an empty item that the browser copies to add one. With
+   * `itemUrl` new items are rendered by the server instead, `minItems` and `maxItems` disable the remove and add
+   * buttons, and `sortable` and `duplicable` let the items be moved and copied.
    */
-  array: ({ name, items, itemTemplate, classes, addLabel = 'Add Item', options = [] }) => `
-    <div class="${classes.array}" id="${name}-container">
-      <div class="${classes.arrayItems}" id="${name}-items">
-        ${
-          items.length
-            ? items
-                .map(
-                  (item, index) => `
-          <div class="${classes.arrayItem}" id="${name}-item-${index}">
-            ${itemTemplate(item, index)}
-            <button 
-              type="button"
-              class="zf-remove-item"
-              id="${name}-remove-${index}"
-            >
-              ✕
-            </button>
-          </div>
-        `
-                )
-                .join('')
-            : ''
-        }
+  array: ({
+    name,
+    items,
+    renderItem,
+    itemTemplate,
+    classes,
+    addLabel,
+    selectLabel,
+    options = [],
+    minItems,
+    maxItems,
+    itemUrl,
+    sortable = false,
+    duplicable = false
+  }) => `
+    <div
+      class="${classes.array}"
+      id="${escapeHtml(name)}-container"
+      data-zf-behavior="array"
+      data-zf-name="${escapeHtml(name)}"
+      data-zf-item-class="${classes.arrayItem}"
+      data-zf-input-class="${classes.input}"
+      ${minItems ? `data-zf-min-items="${Number(minItems)}"` : ''}
+      ${maxItems ? `data-zf-max-items="${Number(maxItems)}"` : ''}
+      ${itemUrl ? `data-zf-item-url="${escapeHtml(itemUrl)}"` : ''}
+      ${sortable ? 'data-zf-sortable' : ''}
+      ${duplicable ? 'data-zf-duplicable' : ''}
+    >
+      <div class="${classes.arrayItems}" id="${escapeHtml(name)}-items">
+        ${items.map((item, index) => renderItem(item, index)).join('')}
       </div>
       <div class="${classes.arrayControls}">
         ${
           options.length
             ? `
-          <select id="${name}-selector" class="${classes.select}">
-            <option value="">-- Select to add --</option>
+          <select id="${escapeHtml(name)}-selector" class="${classes.select}" aria-label="${escapeHtml(addLabel)}">
+            <option value="">${escapeHtml(selectLabel)}</option>
             ${options
               .map(
                 (option) => `
-              <option value="${option.value}">${option.label}</option>
+              <option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>
             `
               )
               .join('')}
@@ -152,162 +317,115 @@ const defaultTemplates = {
         <button 
           type="button"
           class="zf-add-item"
-          id="${name}-add"
+          id="${escapeHtml(name)}-add"
+          ${maxItems && items.length >= maxItems ? 'disabled' : ''}
         >
-          ${addLabel}
+          ${escapeHtml(addLabel)}
         </button>
       </div>
+      ${itemTemplate ? `<template class="zf-item-template">${itemTemplate}</template>` : ''}
     </div>
-    <style>
-      .zf-array-item {
-        display: flex;
-        align-items: center;
-        margin-bottom: var(--zf-spacing-sm);
-        width: 100%;
-      }
-      .zf-array-item > .zf-field {
-        flex: 1;
-        margin-bottom: 0;
-      }
-      .zf-remove-item {
-        margin-left: var(--zf-spacing-sm);
-        background-color: var(--zf-error-color);
-        color: #fff;
-        border: none;
-        border-radius: 50%;
-        width: 24px;
-        height: 24px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        cursor: pointer;
-        font-size: 12px;
-        transition: var(--zf-transition);
-        opacity: 0.8;
-      }
-      .zf-remove-item:hover {
-        opacity: 1;
-      }
-      .zf-array-controls {
-        display: flex;
-        margin-top: var(--zf-spacing-sm);
-      }
-      .zf-array-controls select {
-        margin-right: var(--zf-spacing-sm);
-      }
-      .zf-add-item {
-        background-color: var(--zf-primary-color);
-        color: black;
-        border: none;
-        border-radius: var(--zf-border-radius);
-        padding: var(--zf-spacing-xs) var(--zf-spacing-md);
-        cursor: pointer;
-        transition: var(--zf-transition);
-      }
-      .zf-add-item:hover {
-        opacity: 0.9;
-      }
-    </style>
-    <script>
-      document.addEventListener('DOMContentLoaded', function() {
-        var container = document.getElementById('${name}-container');
-        var itemsContainer = document.getElementById('${name}-items');
-        var addButton = document.getElementById('${name}-add');
-        var selector = document.getElementById('${name}-selector');
-        var nextIndex = ${items.length || 0};
-        
-        if (!container || !itemsContainer || !addButton) return;
-        
-        // Function to add new array item
-        function addArrayItem(value) {
-          var itemId = '${name}-item-' + nextIndex;
-          var itemInput = '${name}[' + nextIndex + ']';
-          var itemValue = value || '';
-          
-          var newItem = document.createElement('div');
-          newItem.className = '${classes.arrayItem}';
-          newItem.id = itemId;
-          
-          // If we have options, use select input
-          if (${options.length > 0}) {
-            newItem.innerHTML = \`
-              <div class="zf-field">
-                <select name="\${itemInput}" class="${classes.select}" required>
-                  <option value="">-- Select --</option>
-                  ${options
-                    .map(
-                      (option) => `
-                    <option value="${option.value}" \\\${itemValue === "${option.value}" ? 'selected' : ''}>${option.label}</option>
-                  `
-                    )
-                    .join('')}
-                </select>
-                <div class="zf-error"></div>
-              </div>
-              <button type="button" class="zf-remove-item" id="${name}-remove-\${nextIndex}">✕</button>
-            \`;
-          } else {
-            // Otherwise use text input
-            newItem.innerHTML = \`
-              <div class="zf-field">
-                <input type="text" name="\${itemInput}" class="${classes.input}" value="\${itemValue}" required>
-                <div class="zf-error"></div>
-              </div>
-              <button type="button" class="zf-remove-item" id="${name}-remove-\${nextIndex}">✕</button>
-            \`;
-          }
-          
-          itemsContainer.appendChild(newItem);
-          
-          // Add remove handler
-          document.getElementById('${name}-remove-' + nextIndex).addEventListener('click', function() {
-            this.parentElement.remove();
-          });
-          
-          nextIndex++;
-          
-          // Reset selector if exists
-          if (selector) {
-            selector.selectedIndex = 0;
-          }
+  `,
+
+  /**
+   * Template for an item of an array or record, `content` is the item's rendered field
+   *
+   * Items of `sortable` lists get a drag handle and move buttons (disabled on the
+   * `first` and `last` item), items of `duplicable` lists a duplicate button
+   * (disabled while the list is `full`).
+   */
+  arrayItem: ({
+    name,
+    index,
+    content,
+    classes,
+    removeLabel,
+    removable = true,
+    sortable = false,
+    duplicable = false,
+    first = false,
+    last = false,
+    full = false,
+    moveUpLabel,
+    moveDownLabel,
+    duplicateLabel,
+    dragLabel
+  }) => `
+    <div class="${classes.arrayItem}" id="${escapeHtml(name)}-item-${index}" data-zf-index="${index}">
+      ${sortable ? `<span class="zf-drag-handle" title="${escapeHtml(dragLabel)}" aria-hidden="true">⠿</span>` : ''}
+      ${content}
+      ${
+        sortable || duplicable
+          ? `
+      <div class="zf-item-actions">
+        ${
+          sortable
+            ? `
+        <button type="button" class="zf-move-up" aria-label="${escapeHtml(moveUpLabel)}" ${first ? 'disabled' : ''}>↑</button>
+        <button type="button" class="zf-move-down" aria-label="${escapeHtml(moveDownLabel)}" ${last ? 'disabled' : ''}>↓</button>
+        `
+            : ''
         }
-        
-        // Add initial items if needed
-        if (${items.length === 0}) {
-          // Start with at least one item
-          addArrayItem();
+        ${
+          duplicable
+            ? `<button type="button" class="zf-duplicate-item" aria-label="${escapeHtml(duplicateLabel)}" ${full ? 'disabled' : ''}>⧉</button>`
+            : ''
         }
-        
-        // Add handler for existing remove buttons
-        document.querySelectorAll('[id^="${name}-remove-"]').forEach(function(button) {
-          button.addEventListener('click', function() {
-            this.parentElement.remove();
-          });
-        });
-        
-        // Add handler for add button
-        addButton.addEventListener('click', function() {
-          var value = '';
-          if (selector) {
-            value = selector.value;
-            if (!value && ${options.length > 0}) {
-              // If options exist, require a selection
-              alert('Please select an option to add');
-              return;
-            }
-          }
-          addArrayItem(value);
-        });
-      });
-    </script>
+      </div>
+      `
+          : ''
+      }
+      <button 
+        type="button"
+        class="zf-remove-item"
+        id="${escapeHtml(name)}-remove-${index}"
+        aria-label="${escapeHtml(removeLabel)}"
+        ${removable ? '' : 'disabled'}
+      >
+        ✕
+      </button>
+    </div>
   `,
 
   /**
    * Template for object inputs (fieldset)
    */
   object: ({ name, legend, fields, classes }) => `
-    <fieldset class="${classes.fieldset}" id="${name}-fieldset">
-      ${legend ? `<legend class="${classes.legend}">${legend}</legend>` : ''}
+    <fieldset class="${classes.fieldset}" id="${escapeHtml(name)}-fieldset">
+      ${legend ? `<legend class="${classes.legend}">${escapeHtml(legend)}</legend>` : ''}
+      ${fields}
+    </fieldset>
+  `,
+
+  /**
+   * Template for a nested object that can be collapsed
+   */
+  collapsible: ({ name, legend, fields, open, classes }) => `
+    <details class="${classes.fieldset} zf-collapsible" id="${escapeHtml(name)}-fieldset"${open ? ' open' : ''}>
+      <summary class="${classes.legend}">${escapeHtml(legend)}</summary>
+      ${fields}
+    </details>
+  `,
+
+  /**
+   * Template for a discriminated union (variant selector and variant sub-forms)
+   */
+  discriminatedUnion: ({ id, selectorId, selector, variants }) => `
+    <div class="zf-discriminated-union" id="${escapeHtml(id)}-union" data-zf-behavior="union" data-zf-selector="${escapeHtml(selectorId)}">
+      ${selector}
+      <div class="zf-variants" id="${escapeHtml(id)}-variants">
+        ${variants}
+      </div>
+    </div>
+  `,
+
+  /**
+   * Template for the sub-form of a single union variant
+   */
+  variant: ({ value, label, fields, active, classes }) => `
+    <fieldset class="${classes.fieldset} zf-variant" data-zf-variant="${escapeHtml(value)}" aria-label="${escapeHtml(label)}"${
+      active ? '' : ' disabled hidden'
+    }>
       ${fields}
     </fieldset>
   `,
@@ -318,18 +436,60 @@ const defaultTemplates = {
   submitButton: ({ label, classes }) => `
     <div class="zf-form-actions">
       <button type="submit" class="${classes.submitButton}">
-        ${label}
+        ${escapeHtml(label)}
       </button>
     </div>
   `,
 
   /**
-   * Template for error messages
+   * Template for the progress of a wizard form
+   */
+  wizardProgress: ({ steps, current, status }) => `
+    <div class="zf-wizard-progress">
+      <ol class="zf-wizard-steps">
+        ${steps
+          .map(
+            (step, index) => `
+          <li
+            class="zf-wizard-step${index < current ? ' zf-wizard-step-done' : ''}"
+            ${index === current ? 'aria-current="step"' : ''}
+          >${escapeHtml(step.title)}</li>
+        `
+          )
+          .join('')}
+      </ol>
+      <p class="zf-wizard-status">${escapeHtml(status)}</p>
+    </div>
+  `,
+
+  /**
+   * Template for the back/next buttons of a wizard form
+   *
+   * The forward button comes first so pressing Enter in a field moves forward.
    */
-  error: ({ message, classes }) => `
-    <div class="${classes.error}" style="display: none;">
-      ${message || ''}
+  wizardActions: ({ backLabel, nextLabel, isFirst, isLast, classes }) => `
+    <div class="zf-form-actions zf-wizard-actions">
+      <button type="submit" name="_zfAction" value="${isLast ? 'submit' : 'next'}" class="${classes.submitButton}">
+        ${escapeHtml(nextLabel)}
+      </button>
+      ${
+        isFirst
+          ? ''
+          : `<button type="submit" name="_zfAction" value="back" class="${classes.button} zf-button-secondary zf-wizard-back" formnovalidate>
+        ${escapeHtml(backLabel)}
+      </button>`
+      }
     </div>
+  `,
+
+  /**
+   * Template for error messages, kept empty (and hidden by the stylesheet) without one
+   *
+   * The element is a live region, so messages filled in later (by the client
+   * script or an HTMX response) are announced. Inputs refer to it by its id.
+   */
+  error: ({ message, id, classes }) => `
+    <div class="${classes.error}"${id ? ` id="${escapeHtml(id)}-error"` : ''} aria-live="polite">${escapeHtml(message)}</div>
   `
 };
 
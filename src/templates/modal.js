@@ -3,16 +3,19 @@
  */
 
 const formGenerator = require('../core/form-generator');
+const { createAssetCollector } = require('../core/assets');
+const { escapeHtml } = require('../core/html');
+const { translate } = require('../core/i18n');
 
 /**
  * Template for modal container
  */
-const modalTemplate = ({ title, content, formHtml, cancelLabel = 'Cancel', classes = {} }) => `
-  <div class="zf-modal-overlay" id="zf-modal-overlay">
-    <div class="zf-modal" role="dialog" aria-labelledby="zf-modal-title">
+const modalTemplate = ({ title, content, formHtml, cancelLabel, closeLabel }) => `
+  <div class="zf-modal-overlay" id="zf-modal-overlay" data-zf-behavior="modal">
+    <div class="zf-modal" role="dialog" aria-modal="true" aria-labelledby="zf-modal-title" tabindex="-1">
       <div class="zf-modal-header">
-        <h3 id="zf-modal-title">${title}</h3>
-        <button type="button" class="zf-modal-close" aria-label="Close" 
+        <h3 id="zf-modal-title">${escapeHtml(title)}</h3>
+        <button type="button" class="zf-modal-close" aria-label="${escapeHtml(closeLabel)}" 
           hx-post="/api/close-modal" 
           hx-target="#zf-modal-overlay" 
           hx-swap="outerHTML">×</button>
@@ -24,7 +27,7 @@ const modalTemplate = ({ title, content, formHtml, cancelLabel = 'Cancel', class
         <button type="button" class="zf-button zf-button-secondary" 
           hx-post="/api/close-modal" 
           hx-target="#zf-modal-overlay" 
-          hx-swap="outerHTML">${cancelLabel}</button>
+          hx-swap="outerHTML">${escapeHtml(cancelLabel)}</button>
       </div>
     </div>
   </div>
@@ -34,9 +37,14 @@ const modalTemplate = ({ title, content, formHtml, cancelLabel = 'Cancel', class
  * Generate a modal form from a Zod schema
  */
 const generateModal = (schema, options = {}) => {
+  // The modal's focus handling is collected with the form's assets
+  const assetCollector = options.assetCollector || createAssetCollector(options);
+  assetCollector.use('modal');
+
   // Generate the form
   const form = formGenerator.generate(schema, {
     ...options,
+    assetCollector,
     // Make form submit via HTMX if not specified otherwise
     attributes: {
       'hx-post': options.action || '#',
@@ -48,15 +56,21 @@ const generateModal = (schema, options = {}) => {
 
   // Create the modal HTML
   const modalHtml = modalTemplate({
-    title: options.title || 'Form',
+    title: options.title || translate(options, 'modalTitle'),
     formHtml: form.html,
-    cancelLabel: options.cancelLabel || 'Cancel'
+    cancelLabel: options.cancelLabel || translate(options, 'cancel'),
+    closeLabel: translate(options, 'close')
   });
 
+  // With a page-level collector the page renders the assets
+  const { styles, scripts } = options.assetCollector
+    ? { styles: '', scripts: '' }
+    : assetCollector.flush();
+
   return {
     html: modalHtml,
-    styles: form.styles,
-    scripts: form.scripts
+    styles,
+    scripts
   };
 };
 
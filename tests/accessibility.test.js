@@ -0,0 +1,176 @@
+/**
+ * Tests for the accessibility of generated forms
+ */
+
+const { z } = require('zod');
+const { zodForm } = require('../src');
+const express = require('express');
+const request = require('supertest');
+
+// Attribute value of an element's opening tag
+const getAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : undefined;
+};
+
+// Opening tags of the controls a user can reach
+const getControls = (html) =>
+  (html.match(/<(input|select|textarea)\b[^>]*>/g) || []).filter(
+    (tag) => getAttribute(tag, 'type') !== 'hidden'
+  );
+
+// Problems a screen reader user would run into, empty when there are none
+const audit = (html) => {
+  const problems = [];
+  const ids = (html.match(/\sid="[^"]*"/g) || []).map((attribute) => attribute.slice(5, -1));
+  const labelled = (html.match(/<label\b[^>]*\sfor="[^"]*"/g) || []).map((tag) =>
+    getAttribute(tag, 'for')
+  );
+
+  ids
+    .filter((id, index) => ids.indexOf(id) !== index)
+    .forEach((id) => problems.push(`duplicate id ${id}`));
+
+  getControls(html).forEach((tag) => {
+    const named =
+      labelled.includes(getAttribute(tag, 'id')) ||
+      getAttribute(tag, 'aria-label') ||
+      getAttribute(tag, 'aria-labelledby');
+    if (!named) problems.push(`unlabelled control ${tag}`);
+  });
+
+  (html.match(/\saria-(describedby|labelledby)="[^"]*"/g) || []).forEach((attribute) => {
+    attribute
+      .replace(/^\saria-\w+="|"$/g, '')
+      .split(' ')
+      .filter((id) => !ids.includes(id))
+      .forEach((id) => problems.push(`missing element #${id}`));
+  });
+
+  return problems;
+};
+
+describe('ZodForm Accessibility', () => {
+  const schema = z.object({
+    name: z.string().min(2).describe('Your name'),
+    bio: z.string().optional(),
+    role: z.enum(['admin', 'user']),
+    size: z.enum(['small', 'large']),
+    languages: z.array(z.enum(['en', 'de', 'fr'])),
+    skills: z.array(z.enum(['js', 'css', 'html'])),
+    notes: z.array(z.string()),
+    meta: z.record(z.string()),
+    rating: z.number().min(1).max(5),
+    volume: z.number().min(0).max(10),
+    agree: z.boolean(),
+    address: z.object({ zip: z.string() })
+  });
+
+  const fieldOptions = {
+    bio: { type: 'textarea', help: 'A few words about you' },
+    size: { type: 'radio' },
+    languages: { type: 'checkboxGroup' },
+    skills: { type: 'multiselect' },
+    rating: { type: 'stars' },
+    volume: { type: 'range' }
+  };
+
+  test('labels every control and links it to its help and error', () => {
+    const form = zodForm(schema, { fieldOptions });
+
+    expect(audit(form.html)).toEqual([]);
+    expect(form.html).toMatch(
+      /<textarea[^>]*aria-describedby="bio-help bio-error"/
+    );
+    expect(form.html).toContain('<div class="zf-error" id="bio-error" aria-live="polite">');
+    expect(form.html).toContain('<label class="zf-checkbox-label" for="agree">Agree</label>');
+  });
+
+  test('groups radio buttons, checkboxes and stars in fieldsets with a legend', () => {
+    const form = zodForm(schema, { fieldOptions, values: { rating: 3 } });
+
+    ['size', 'languages', 'rating', 'notes'].forEach((name) => {
+      expect(form.html).toMatch(
+        new RegExp(
+          `<fieldset class="zf-field zf-field-group" id="field-${name}"[^>]*>\\s*<legend class="zf-label" id="${name}-label">`
+        )
+      );
+    });
+
+    // Stars are a radio group with one star in the tab order
+    expect(form.html).toContain('role="radiogroup" aria-labelledby="rating-label"');
+    const stars = form.html.match(/<span class="zf-star[^>]*>/g);
+    expect(stars).toHaveLength(5);
+    expect(stars.map((star) => getAttribute(star, 'aria-checked'))).toEqual([
+      'false',
+      'false',
+      'true',
+      'false',
+      'false'
+    ]);
+    expect(stars.map((star) => getAttribute(star, 'tabindex'))).toEqual([
+      '-1',
+      '-1',
+      '0',
+      '-1',
+      '-1'
+    ]);
+    expect(getAttribute(stars[0], 'aria-label')).toBe('1 of 5 stars');
+
+    // Without a rating the first star can be reached
+    const empty = zodForm(schema, { fieldOptions });
+    expect(getAttribute(empty.html.match(/<span class="zf-star[^>]*>/)[0], 'tabindex')).toBe('0');
+  });
+
+  test('marks invalid fields when the form is re-rendered with errors', async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.post(
+      '/submit',
+      zodForm.validate(z.object({ name: z.string().min(2), email: z.string().email() }), {
+        rerender: { action: '/submit' }
+      }),
+      (req, res) => res.json({ success: true })
+    );
+
+    const response = await request(app)
+      .post('/submit')
+      .type('form')
+      .send({ name: 'A', email: 'a@example.com' })
+      .expect(400);
+
+    expect(audit(response.text)).toEqual([]);
+    expect(response.text).toMatch(
+      /<input[^>]*id="name"[^>]*aria-describedby="name-error" aria-invalid="true"/
+    );
+    expect(response.text).toMatch(/<div class="zf-error" id="name-error" aria-live="polite">\s*String must/);
+    expect(response.text).not.toMatch(/id="email"[^>]*aria-invalid/);
+  });
+
+  test('announces the errors of HTMX submissions', async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.post('/submit', zodForm.validate(z.object({ name: z.string().min(2) })), (req, res) =>
+      res.json({ success: true })
+    );
+
+    const response = await request(app)
+      .post('/submit')
+      .set('HX-Request', 'true')
+      .type('form')
+      .send({ name: 'A' })
+      .expect(400);
+
+    expect(response.text).toContain('<div class="zf-alert zf-alert-error" role="alert">');
+  });
+
+  test('renders a modal dialog with focus handling', () => {
+    const modal = zodForm.modal(z.object({ name: z.string() }), { title: 'Edit' });
+
+    expect(audit(modal.html)).toEqual([]);
+    expect(modal.html).toContain('data-zf-behavior="modal"');
+    expect(modal.html).toContain('role="dialog" aria-modal="true" aria-labelledby="zf-modal-title"');
+    expect(modal.scripts).toContain("window.ZodForm.define('modal'");
+    expect(modal.scripts.match(/window\.ZodForm\.define\('form'/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,430 @@
+/**
+ * Tests for array and record fields
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { z } = require('zod');
+const { zodForm } = require('../src');
+const { decodeFormData } = require('../src/core/form-data');
+const express = require('express');
+const request = require('supertest');
+
+// Just enough of the DOM for the array behavior, built from the rendered markup
+const createElement = (tagName, attributes = []) => {
+  const element = {
+    tagName: tagName.toUpperCase(),
+    attributes,
+    children: [],
+    parentElement: null,
+    listeners: {},
+    getAttribute: (name) => attributes.find((attribute) => attribute.name === name)?.value ?? null,
+    hasAttribute: (name) => element.getAttribute(name) !== null,
+    setAttribute: (name, value) => {
+      const attribute = attributes.find((candidate) => candidate.name === name);
+      if (attribute) attribute.value = String(value);
+      else attributes.push({ name, value: String(value) });
+    },
+    get id() {
+      return element.getAttribute('id');
+    },
+    set id(value) {
+      element.setAttribute('id', value);
+    },
+    get classList() {
+      const names = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+      return Object.assign(names, { contains: (name) => names.includes(name), add: () => {} });
+    },
+    get firstElementChild() {
+      return element.children[0] || null;
+    },
+    get lastElementChild() {
+      return element.children[element.children.length - 1] || null;
+    },
+    get nextElementSibling() {
+      const siblings = element.parentElement?.children || [];
+      return siblings[siblings.indexOf(element) + 1] || null;
+    },
+    get previousElementSibling() {
+      const siblings = element.parentElement?.children || [];
+      return siblings[siblings.indexOf(element) - 1] || null;
+    },
+    insertBefore: (child, reference) => {
+      child.remove();
+      const index = element.children.indexOf(reference);
+      element.children.splice(index === -1 ? element.children.length : index, 0, child);
+      child.parentElement = element;
+      return child;
+    },
+    appendChild: (child) => element.insertBefore(child, null),
+    remove: () => {
+      const siblings = element.parentElement?.children;
+      if (siblings) siblings.splice(siblings.indexOf(element), 1);
+      element.parentElement = null;
+    },
+    cloneNode: () => {
+      const copy = createElement(
+        tagName,
+        attributes.map((attribute) => ({ ...attribute }))
+      );
+      element.children.forEach((child) => copy.appendChild(child.cloneNode(true)));
+      if (element.content) copy.content = element.content.cloneNode(true);
+      return copy;
+    },
+    // `*`, `[attribute]` and tag names, without descending into templates
+    querySelectorAll: (selector) => {
+      const attribute = selector.match(/^\[([\w-]+)\]$/)?.[1];
+      const matches = (candidate) =>
+        selector === '*' ||
+        (attribute
+          ? candidate.hasAttribute(attribute)
+          : candidate.tagName === selector.toUpperCase());
+      return element.children.flatMap((child) => [
+        ...(matches(child) ? [child] : []),
+        ...child.querySelectorAll(selector)
+      ]);
+    },
+    querySelector: () => null,
+    closest: (selector) => {
+      let candidate = element;
+      while (candidate && !candidate.matches(selector)) candidate = candidate.parentElement;
+      return candidate;
+    },
+    matches: (selector) => {
+      const attribute = selector.match(/^\[([\w-]+)\]$/)?.[1];
+      return attribute
+        ? element.hasAttribute(attribute)
+        : element.tagName === selector.toUpperCase();
+    },
+    addEventListener: (type, listener) => {
+      element.listeners[type] = [...(element.listeners[type] || []), listener];
+    },
+    // Events bubble up to the elements the element is in
+    dispatchEvent: (event) => {
+      event.target = event.target || element;
+      for (let node = element; node; node = node.parentElement) {
+        (node.listeners[event.type] || []).forEach((listener) => listener(event));
+      }
+    },
+    click: () => element.dispatchEvent({ type: 'click' }),
+    focus: () => {}
+  };
+  return element;
+};
+
+// Parse rendered markup into fake elements, the contents of templates into their `content`
+const parseMarkup = (html) => {
+  const root = createElement('body');
+  const decode = (value) =>
+    value
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  let parent = root;
+
+  const markup = html.replace(/<(script|style)[\s\S]*?<\/\1>|<!--[\s\S]*?-->/g, '');
+  for (const [, closing, tagName, attributeText] of markup.matchAll(
+    /<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s=>]+(?:="[^"]*")?)*)\s*\/?>/g
+  )) {
+    if (closing) {
+      parent = parent.host ? parent.host.parentElement : parent.parentElement;
+      continue;
+    }
+
+    const attributes = [...attributeText.matchAll(/([^\s=]+)(?:="([^"]*)")?/g)].map(
+      ([, name, value = '']) => ({ name, value: decode(value) })
+    );
+    const element = createElement(tagName, attributes);
+    parent.appendChild(element);
+
+    if (tagName === 'template') {
+      element.content = createElement('fragment');
+      element.content.host = element;
+      parent = element.content;
+    } else if (!['input', 'br', 'img', 'meta', 'link'].includes(tagName)) {
+      parent = element;
+    }
+  }
+
+  return root;
+};
+
+// Load the runtime and the array behavior the way a page does, on the markup of a form
+const loadArrayBehavior = (html) => {
+  const body = parseMarkup(html);
+  const context = {
+    window: {},
+    document: {
+      readyState: 'complete',
+      addEventListener: () => {},
+      getElementById: (id) => body.querySelectorAll('*').find((element) => element.id === id)
+    },
+    Event: function (type) {
+      this.type = type;
+    },
+    setTimeout: () => {}
+  };
+  vm.createContext(context);
+  ['runtime.js', 'behaviors/array.js'].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../src/client', file), 'utf8'), context);
+  });
+  context.window.ZodForm.init(body);
+  return { body, document: context.document };
+};
+
+describe('ZodForm Arrays', () => {
+  const schema = z.object({
+    contacts: z
+      .array(z.object({ name: z.string(), email: z.string().email() }))
+      .min(1)
+      .max(3),
+    orders: z.array(z.object({ items: z.array(z.object({ qty: z.number() })) })),
+    meta: z.record(z.number()),
+    tags: z.array(z.string())
+  });
+
+  beforeAll(() => {
+    zodForm.register('crm', schema);
+  });
+
+  afterAll(() => {
+    zodForm.unregister('crm');
+  });
+
+  test('renders the items from the item type and limits the list to its length', () => {
+    const form = zodForm('crm', { htmx: true });
+
+    expect(form.html).toMatch(
+      /data-zf-min-items="1"\s+data-zf-max-items="3"\s+data-zf-item-url="\/api\/add-item\?schema=crm"/
+    );
+    // As many items as the minimum, which cannot be removed
+    expect(form.html).toContain('name="contacts[0][name]"');
+    expect(form.html).toMatch(/<input[^>]*type="email"[^>]*name="contacts\[0\]\[email\]"/);
+    expect(form.html).not.toContain('name="contacts[1][name]"');
+    expect(form.html).toMatch(/id="contacts-remove-0"\s+aria-label="Remove item"\s+disabled/);
+    expect(form.html).toMatch(/class="zf-array-items" id="tags-items">\s*<\/div>/);
+
+    const full = zodForm('crm', {
+      values: {
+        contacts: [
+          { name: 'Ann', email: 'ann@example.com' },
+          { name: 'Bob', email: 'bob@example.com' },
+          { name: 'Cy', email: 'cy@example.com' }
+        ]
+      }
+    });
+    expect(full.html).toMatch(/id="contacts-add"\s+disabled/);
+    expect(full.html).toMatch(/id="contacts-remove-2"\s+aria-label="Remove item"\s+>/);
+    expect(full.html).toContain('data-zf-index="2"');
+    // Without HTMX the browser adds the items itself
+    expect(full.html).not.toContain('data-zf-item-url');
+  });
+
+  test('serves new items rendered from the item type', async () => {
+    const app = express();
+    zodForm.registerRoutes(app);
+
+    const contact = await request(app)
+      .get('/api/add-item')
+      .query({ schema: 'crm', name: 'contacts', index: '2' })
+      .expect(200);
+    expect(contact.text).toContain('id="contacts-item-2" data-zf-index="2"');
+    expect(contact.text).toMatch(/<input[^>]*type="email"[^>]*name="contacts\[2\]\[email\]"/);
+    expect(contact.text).toContain('hx-post="/api/validate/crm/contacts[2][email]"');
+
+    // Lists inside the items of a list
+    const item = await request(app)
+      .get('/api/add-item')
+      .query({ schema: 'crm', name: 'orders[1][items]', index: '0' })
+      .expect(200);
+    expect(item.text).toMatch(
+      /<input[^>]*type="number"[^>]*name="orders\[1\]\[items\]\[0\]\[qty\]"/
+    );
+
+    const entry = await request(app)
+      .get('/api/add-item')
+      .query({ schema: 'crm', name: 'meta', index: '1' })
+      .expect(200);
+    expect(entry.text).toContain('name="meta[1][key]"');
+    expect(entry.text).toMatch(/<input[^>]*type="number"[^>]*name="meta\[1\]\[value\]"/);
+
+    await request(app)
+      .get('/api/add-item')
+      .query({ schema: 'crm', name: 'contacts[0][name]' })
+      .expect(404);
+    await request(app).get('/api/add-item').query({ schema: 'unknown', name: 'tags' }).expect(404);
+
+    // Errors while rendering an item are not mistaken for an unknown field
+    zodForm.registerElement(
+      'broken',
+      () => {
+        throw new TypeError('broken renderer');
+      },
+      { match: (zodType) => zodType instanceof z.ZodString }
+    );
+    zodForm.register('plain', z.object({ notes: z.array(z.string()) }), { htmx: false });
+    await request(app).get('/api/add-item').query({ schema: 'plain', name: 'notes' }).expect(500);
+    zodForm.unregisterElement('broken');
+
+    // Forms registered without HTMX get items without it
+    const note = await request(app)
+      .get('/api/add-item')
+      .query({ schema: 'plain', name: 'notes', index: '0' })
+      .expect(200);
+    expect(note.text).toContain('name="notes[0]"');
+    expect(note.text).not.toContain('hx-post');
+    zodForm.unregister('plain');
+  });
+
+  test('renders move, drag and duplicate controls for ordered lists', async () => {
+    const agenda = z.object({
+      steps: zodForm.meta(z.array(z.string()).max(3), { sortable: true, duplicable: true }),
+      notes: z.array(z.string())
+    });
+    zodForm.register('agenda', agenda);
+
+    const form = zodForm('agenda', {
+      htmx: true,
+      values: { steps: ['Welcome', 'Review', 'Close'], notes: ['a'] }
+    });
+    // Items of the page, without the templates new items are copied from
+    const page = form.html.replace(/<template class="zf-item-template">[\s\S]*?<\/template>/g, '');
+    const items = page.match(/<div class="zf-array-item"[\s\S]*?zf-remove-item/g);
+
+    expect(form.html).toMatch(/id="steps-container"[^>]*data-zf-sortable\s+data-zf-duplicable/);
+    expect(items[0]).toContain('<span class="zf-drag-handle" title="Drag to reorder" aria-hidden="true">');
+    expect(items[0]).toMatch(/class="zf-move-up" aria-label="Move up"\s+disabled/);
+    expect(items[1]).toMatch(/class="zf-move-up" aria-label="Move up"\s+>/);
+    expect(items[2]).toMatch(/class="zf-move-down" aria-label="Move down"\s+disabled/);
+    // The list is full, items cannot be copied
+    expect(items[0]).toMatch(/class="zf-duplicate-item"\s+aria-label="Duplicate item"\s+disabled/);
+    expect(items[3]).not.toContain('zf-item-actions');
+
+    // Items added from the server carry the same controls
+    const app = express();
+    zodForm.registerRoutes(app);
+    const item = await request(app)
+      .get('/api/add-item')
+      .query({ schema: 'agenda', name: 'steps', index: '1' })
+      .expect(200);
+    expect(item.text).toContain('class="zf-move-down"');
+    expect(item.text).toContain('class="zf-duplicate-item"');
+
+    // Field options work as well
+    const options = zodForm(z.object({ ranking: z.array(z.string()) }), {
+      fieldOptions: { ranking: { sortable: true } },
+      values: { ranking: ['a'] }
+    });
+    expect(options.html).toContain('class="zf-move-up"');
+    expect(options.html).not.toContain('zf-duplicate-item');
+    zodForm.unregister('agenda');
+  });
+
+  test('keeps the order of the items through the decoder', async () => {
+    const app = express();
+    app.use('/flat', express.urlencoded({ extended: false }));
+    app.use('/nested', express.urlencoded({ extended: true }));
+    const steps = z.object({ steps: z.array(z.object({ title: z.string() })) });
+    app.post(['/flat', '/nested'], zodForm.validate(steps), (req, res) =>
+      res.json(req.validatedData)
+    );
+
+    // Numeric order, not the order the fields arrive in
+    const flat = await request(app)
+      .post('/flat')
+      .type('form')
+      .send('steps[10][title]=c&steps[2][title]=b&steps[0][title]=a')
+      .expect(200);
+    expect(flat.body.steps.map((step) => step.title)).toEqual(['a', 'b', 'c']);
+
+    // Long lists, which qs parses into objects rather than arrays
+    const titles = Array.from({ length: 25 }, (_, index) => `step ${index}`);
+    const nested = await request(app)
+      .post('/nested')
+      .type('form')
+      .send(titles.map((title, index) => `steps[${index}][title]=${title}`).join('&'))
+      .expect(200);
+    expect(nested.body.steps.map((step) => step.title)).toEqual(titles);
+  });
+
+  test('adds, removes and renumbers items in the browser', () => {
+    const form = zodForm('crm', {
+      values: {
+        contacts: [
+          { name: 'Ann', email: 'ann@example.com' },
+          { name: 'Bob', email: 'bob@example.com' }
+        ]
+      }
+    });
+    const { body, document } = loadArrayBehavior(form.html);
+    const names = () =>
+      body
+        .querySelectorAll('input')
+        .map((input) => input.getAttribute('name'))
+        .filter((name) => name.startsWith('contacts') || name.startsWith('orders'));
+
+    // New items are copies of the template, named after their position
+    document.getElementById('contacts-add').click();
+    expect(names()).toEqual([
+      'contacts[0][name]',
+      'contacts[0][email]',
+      'contacts[1][name]',
+      'contacts[1][email]',
+      'contacts[2][name]',
+      'contacts[2][email]'
+    ]);
+    expect(document.getElementById('contacts-item-2').getAttribute('data-zf-index')).toBe('2');
+    expect(document.getElementById('contacts-add').disabled).toBe(true);
+
+    // The items after a removed one move up
+    document.getElementById('contacts-remove-0').click();
+    expect(names()).toEqual([
+      'contacts[0][name]',
+      'contacts[0][email]',
+      'contacts[1][name]',
+      'contacts[1][email]'
+    ]);
+    expect(document.getElementById('contacts[0][name]').getAttribute('value')).toBe('Bob');
+    expect(document.getElementById('contacts-remove-1')).toBeDefined();
+
+    // Lists in an added item add items of their own, under the item's name
+    document.getElementById('orders-add').click();
+    document.getElementById('orders-add').click();
+    document.getElementById('orders[1][items]-add').click();
+    expect(names()).toEqual([
+      'contacts[0][name]',
+      'contacts[0][email]',
+      'contacts[1][name]',
+      'contacts[1][email]',
+      'orders[1][items][0][qty]'
+    ]);
+    document.getElementById('orders-remove-0').click();
+    expect(names()).toContain('orders[0][items][0][qty]');
+
+    // The renumbered names decode into the shape of the schema
+    const submitted = Object.fromEntries(names().map((name) => [name, '1']));
+    expect(decodeFormData(schema, submitted).orders).toEqual([{ items: [{ qty: 1 }] }]);
+  });
+
+  test('decodes the renumbered items of a submission', async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.post('/submit', zodForm.validate('crm'), (req, res) => res.json(req.validatedData));
+
+    const response = await request(app)
+      .post('/submit')
+      .type('form')
+      .send(
+        'contacts[0][name]=Ann&contacts[0][email]=ann%40example.com' +
+          '&contacts[1][name]=Cy&contacts[1][email]=cy%40example.com' +
+          '&orders[0][items][0][qty]=2&meta[0][key]=a&meta[0][value]=1&tags[0]=x'
+      )
+      .expect(200);
+
+    expect(response.body.contacts.map((contact) => contact.name)).toEqual(['Ann', 'Cy']);
+    expect(response.body.orders).toEqual([{ items: [{ qty: 2 }] }]);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for the client script and stylesheet assets
+ */
+
+const vm = require('vm');
+const { z } = require('zod');
+const { zodForm } = require('../src');
+const express = require('express');
+const request = require('supertest');
+
+describe('ZodForm Assets', () => {
+  const schema = z.object({
+    name: z.string(),
+    rating: z.number().min(1).max(5),
+    photo: z.any(),
+    tags: z.array(z.string())
+  });
+
+  const fieldOptions = {
+    rating: { type: 'stars' },
+    photo: { type: 'file', imageUpload: true }
+  };
+
+  test('keeps element behavior out of the form markup', () => {
+    const form = zodForm(schema, { fieldOptions });
+
+    expect(form.html).not.toContain('<script');
+    expect(form.html).not.toContain('<style');
+    expect(form.html).not.toContain('style="');
+    expect(form.html).toContain('data-zf-behavior="form"');
+    expect(form.html).toContain('data-zf-behavior="stars"');
+    expect(form.html).toContain('data-zf-behavior="file"');
+    expect(form.html).toContain('data-zf-behavior="array"');
+
+    // One script holding the runtime and every behavior, one stylesheet
+    expect(form.scripts.match(/<script/g)).toHaveLength(1);
+    expect(form.scripts).toContain("window.ZodForm.define('stars'");
+    expect(form.styles.match(/<style/g)).toHaveLength(1);
+    expect(form.styles).toContain('.zf-star-rating');
+    expect(() => new vm.Script(form.scripts.replace(/<\/?script>/g, ''))).not.toThrow();
+  });
+
+  test('sets a nonce on every script and style tag', () => {
+    const form = zodForm(schema, { fieldOptions, nonce: 'r4nd0m' });
+    const page = `${form.styles}${form.html}${form.scripts}`;
+
+    expect(page.match(/<(script|style)\b/g)).toHaveLength(2);
+    expect(page.match(/<(script|style) nonce="r4nd0m">/g)).toHaveLength(2);
+  });
+
+  test('links external assets and serves them with the assets middleware', async () => {
+    const form = zodForm(schema, {
+      fieldOptions,
+      theme: 'light',
+      assets: 'external',
+      assetsUrl: '/static/zod-form',
+      nonce: 'r4nd0m'
+    });
+
+    expect(form.styles).toBe(
+      '<link rel="stylesheet" href="/static/zod-form/zod-form-light.css" nonce="r4nd0m">'
+    );
+    expect(form.scripts).toBe(
+      '<script src="/static/zod-form/zod-form.js" nonce="r4nd0m"></script>'
+    );
+
+    // Scripts of custom elements run after the linked runtime they register with
+    const assets = zodForm.assetCollector({ assets: 'external' });
+    assets.addScript('color', "window.ZodForm.define('color', function () {});");
+    expect(assets.flush().scripts).toBe(
+      '<script src="/zod-form/zod-form.js"></script>' +
+        "<script>\nwindow.ZodForm.define('color', function () {});\n</script>"
+    );
+
+    const app = express();
+    app.use('/static/zod-form', zodForm.serveAssets());
+
+    const script = await request(app).get('/static/zod-form/zod-form.js').expect(200);
+    expect(script.headers['content-type']).toMatch(/javascript/);
+    expect(script.text).toContain('window.ZodForm');
+
+    const stylesheet = await request(app).get('/static/zod-form/zod-form-light.css').expect(200);
+    expect(stylesheet.headers['content-type']).toMatch(/css/);
+    expect(stylesheet.text).toContain('.zf-file-container');
+
+    await request(app).get('/static/zod-form/other.js').expect(404);
+  });
+
+  test('collects the assets of several forms once per page', () => {
+    const assets = zodForm.assetCollector({ nonce: 'r4nd0m' });
+    const customStyles = '.zf-form { gap: 2rem; }';
+    const first = zodForm(z.object({ name: z.string() }), { assetCollector: assets, customStyles });
+    const second = zodForm(schema, { fieldOptions, assetCollector: assets, customStyles });
+
+    expect(first.styles).toBe('');
+    expect(second.scripts).toBe('');
+
+    const { styles, scripts } = assets.flush();
+    expect(scripts.match(/<script nonce="r4nd0m">/g)).toHaveLength(1);
+    expect(scripts.match(/window\.ZodForm = ZodForm/g)).toHaveLength(1);
+    expect(scripts.match(/window\.ZodForm\.define\('form'/g)).toHaveLength(1);
+    expect(scripts).toContain("window.ZodForm.define('stars'");
+    expect(scripts).not.toContain("window.ZodForm.define('tabs'");
+    expect(styles.match(/<style nonce="r4nd0m">/g)).toHaveLength(1);
+    expect(styles.match(/\.zf-star-rating\s*\{/g)).toHaveLength(1);
+    expect(styles).not.toContain('.zf-range-container');
+    expect(styles.split(customStyles)).toHaveLength(2);
+  });
+
+  test('only renders assets added since the last flush', () => {
+    const assets = zodForm.assetCollector();
+    zodForm(z.object({ name: z.string() }), { assetCollector: assets });
+    const first = assets.flush();
+    expect(first.scripts).not.toContain("define('stars'");
+
+    zodForm(schema, { fieldOptions, assetCollector: assets });
+    assets.addStyle('brand', '.brand { color: red; }');
+    const second = assets.flush();
+
+    expect(second.scripts).toContain("window.ZodForm.define('stars'");
+    expect(second.scripts).not.toContain("define('form'");
+    expect(second.styles).toContain('.brand { color: red; }');
+    expect(second.styles).not.toContain('.zf-form');
+
+    expect(assets.flush()).toEqual({ styles: '', scripts: '' });
+  });
+});
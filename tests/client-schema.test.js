@@ -0,0 +1,163 @@
+/**
+ * Tests for client-side schema validation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { z } = require('zod');
+const { zodForm } = require('../src');
+const { compileSchema } = require('../src/core/client-schema');
+const { formatZodErrors } = require('../src/core/validation');
+
+// Load the runtime and the schema validator the way a page does
+const loadValidator = () => {
+  const context = {
+    window: {},
+    document: { readyState: 'complete', addEventListener: () => {} },
+    setTimeout: () => {}
+  };
+  vm.createContext(context);
+  ['runtime.js', 'behaviors/schema.js'].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../src/client', file), 'utf8'), context);
+  });
+  return context.window.ZodForm.schema;
+};
+
+describe('Client Schema Validation', () => {
+  const schema = zodForm.compare(
+    z.object({
+      username: z.string().min(3).max(10),
+      email: z.string().email(),
+      code: z.string().regex(/^[a-z]+$/gi, 'Letters only'),
+      age: z.number().int().min(18).optional(),
+      price: z.number().multipleOf(0.05),
+      role: z.enum(['admin', 'user']),
+      password: z.string({ required_error: 'Choose a password' }),
+      confirm: z.string(),
+      address: z.object({ zip: z.string().length(5) })
+    }),
+    { field: 'confirm', equals: 'password', message: 'Passwords must match' }
+  );
+
+  const compiled = compileSchema(schema);
+  const validator = loadValidator();
+
+  // Message Zod reports on the server for a field, given all other values are valid
+  const serverMessage = (name, value) => {
+    const data = {
+      username: 'alice',
+      email: 'alice@example.com',
+      code: 'abc',
+      price: 1.05,
+      role: 'admin',
+      password: 'secret',
+      confirm: 'secret',
+      address: { zip: '12345' },
+      [name]: value
+    };
+    const result = schema.safeParse(data);
+    return result.success ? '' : result.error.issues[0].message;
+  };
+
+  test('compiles checks with the messages Zod reports', () => {
+    expect(compiled.fields.username.checks.map((check) => check.message)).toEqual([
+      'String must contain at least 3 character(s)',
+      'String must contain at most 10 character(s)'
+    ]);
+    expect(compiled.fields.code.checks[0]).toMatchObject({ flags: 'i', message: 'Letters only' });
+    expect(compiled.fields.password.requiredMessage).toBe('Choose a password');
+    expect(compiled.fields['address[zip]'].checks[0].message).toBe(
+      'String must contain exactly 5 character(s)'
+    );
+    expect(compiled.rules).toEqual([
+      { field: 'confirm', operator: 'equals', other: 'password', message: 'Passwords must match' }
+    ]);
+  });
+
+  test('the browser reports the same messages as the server', () => {
+    const cases = [
+      ['username', 'al', 'al'],
+      ['username', 'alexandra-long', 'alexandra-long'],
+      ['username', 'alice', 'alice'],
+      ['email', 'not-an-email', 'not-an-email'],
+      ['code', 'abc1', 'abc1'],
+      ['code', 'ABC', 'ABC'],
+      ['age', '17', 17],
+      ['age', '18.5', 18.5],
+      ['age', '', undefined],
+      ['price', '1.15', 1.15],
+      ['price', '1.12', 1.12],
+      ['role', 'guest', 'guest'],
+      ['role', '', undefined],
+      ['username', '', '']
+    ];
+
+    cases.forEach(([name, submitted, parsed]) => {
+      expect(validator.validateValue(compiled.fields[name], submitted)).toBe(
+        serverMessage(name, parsed)
+      );
+    });
+  });
+
+  test('checks cross-field rules on both sides', () => {
+    const [rule] = compiled.rules;
+    const type = compiled.fields.confirm;
+
+    expect(validator.validateRule(rule, 'secret', 'other', type)).toBe('Passwords must match');
+    expect(validator.validateRule(rule, 'secret', 'secret', type)).toBe('');
+    expect(serverMessage('confirm', 'other')).toBe('Passwords must match');
+
+    const dates = zodForm.compare(z.object({ start: z.coerce.date(), end: z.coerce.date() }), {
+      field: 'end',
+      gte: 'start'
+    });
+    expect(dates.safeParse({ start: '2024-05-02', end: '2024-05-01' }).error.issues[0]).toMatchObject({
+      path: ['end'],
+      message: 'Must be at least start'
+    });
+    expect(() => zodForm.compare(schema, { field: 'confirm' })).toThrow(TypeError);
+  });
+
+  test('compiles the messages in the form\'s locale, like the server reports them', () => {
+    zodForm.registerLocale('fr', {
+      compareGte: 'Doit être au moins {other}',
+      errorMap: (issue, ctx) =>
+        issue.code === 'too_small' && issue.type === 'string'
+          ? { message: `Au moins ${issue.minimum} caractère(s)` }
+          : { message: ctx.defaultError }
+    });
+    const dates = zodForm.compare(
+      z.object({ name: z.string().min(3), start: z.string(), end: z.string() }),
+      { field: 'end', gte: 'start' }
+    );
+
+    const french = compileSchema(dates, { locale: 'fr' });
+    expect(french.fields.name.checks[0].message).toBe('Au moins 3 caractère(s)');
+    expect(french.rules[0].message).toBe('Doit être au moins start');
+
+    // The server translates the same issues
+    const result = dates.safeParse({ name: 'Al', start: 'b', end: 'a' });
+    expect(formatZodErrors(result.error, { locale: 'fr' })).toEqual({
+      name: 'Au moins 3 caractère(s)',
+      end: 'Doit être au moins start'
+    });
+
+    const form = zodForm(dates, { clientValidation: 'schema', locale: 'fr' });
+    expect(form.html).toContain('Au moins 3 caractère(s)');
+    expect(form.html).toContain('Doit être au moins start');
+  });
+
+  test('renders the compiled schema on forms that ask for it', () => {
+    const form = zodForm(schema, { clientValidation: 'schema' });
+
+    expect(form.html).toContain('data-zf-schema="{&quot;fields&quot;');
+    expect(form.html).toContain('novalidate');
+    expect(form.html).toContain('name="confirm"');
+    expect(form.scripts).toContain('window.ZodForm.schema =');
+
+    const plain = zodForm(schema);
+    expect(plain.html).not.toContain('data-zf-schema');
+    expect(plain.scripts).not.toContain('window.ZodForm.schema =');
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for decoding submitted form data
+ */
+
+const { z } = require('zod');
+const { zodForm } = require('../src');
+const express = require('express');
+const request = require('supertest');
+
+describe('ZodForm Form Data Decoding', () => {
+  test('coerces strings to the types declared by the schema', () => {
+    const schema = z.object({
+      name: z.string(),
+      age: z.number(),
+      subscribed: z.boolean(),
+      birthday: z.date()
+    });
+
+    const data = zodForm.decode(schema, {
+      name: 'Jane',
+      age: '42',
+      subscribed: 'on',
+      birthday: '1990-05-17'
+    });
+
+    expect(data.name).toBe('Jane');
+    expect(data.age).toBe(42);
+    expect(data.subscribed).toBe(true);
+    expect(data.birthday).toBeInstanceOf(Date);
+    expect(schema.safeParse(data).success).toBe(true);
+  });
+
+  test('treats missing checkboxes as false and empty optional fields as undefined', () => {
+    const schema = z.object({
+      terms: z.boolean(),
+      nickname: z.string().optional(),
+      age: z.number().optional()
+    });
+
+    const data = zodForm.decode(schema, { nickname: '', age: '' });
+
+    expect(data).toEqual({ terms: false });
+    expect(schema.safeParse(data).success).toBe(true);
+  });
+
+  test('reports blank numbers as missing instead of zero', () => {
+    const schema = z.object({ age: z.number(), total: z.bigint(), score: z.number().optional() });
+
+    const data = zodForm.decode(schema, { age: '  ', total: ' ', score: ' ' });
+
+    expect(data).toEqual({});
+    expect(schema.safeParse(data).error.issues.map((issue) => issue.message)).toEqual([
+      'Required',
+      'Required'
+    ]);
+  });
+
+  test('wraps single values for array fields and unwraps repeated scalar keys', () => {
+    const schema = z.object({
+      tags: z.array(z.string()),
+      scores: z.array(z.number()),
+      agree: z.boolean()
+    });
+
+    const data = zodForm.decode(schema, {
+      tags: 'solo',
+      scores: ['1', '2'],
+      agree: ['false', 'true']
+    });
+
+    expect(data).toEqual({ tags: ['solo'], scores: [1, 2], agree: true });
+  });
+
+  test('leaves unconvertible values for Zod to reject', () => {
+    const schema = z.object({ age: z.number() });
+
+    const data = zodForm.decode(schema, { age: 'abc' });
+
+    expect(data.age).toBe('abc');
+    expect(schema.safeParse(data).success).toBe(false);
+  });
+
+  test('rebuilds nested objects, arrays and records from bracket notation', () => {
+    const schema = z.object({
+      address: z.object({ street: z.string(), zip: z.number() }),
+      tags: z.array(z.string()),
+      meta: z.record(z.string())
+    });
+
+    const data = zodForm.decode(schema, {
+      'address[street]': 'Main St',
+      'address[zip]': '12345',
+      'tags[0]': 'a',
+      'tags[3]': 'b',
+      'meta[0].key': 'color',
+      'meta[0].value': 'red',
+      'meta[2][key]': 'size',
+      'meta[2][value]': 'L',
+      'meta[5][key]': '',
+      'meta[5][value]': 'ignored'
+    });
+
+    expect(data).toEqual({
+      address: { street: 'Main St', zip: 12345 },
+      tags: ['a', 'b'],
+      meta: { color: 'red', size: 'L' }
+    });
+  });
+
+  test('keeps records keyed by numbers as objects', async () => {
+    const schema = z.object({
+      scores: z.record(z.number()),
+      ranks: z.record(z.object({ name: z.string() })),
+      pair: z.tuple([z.string(), z.number()])
+    });
+    const expected = {
+      scores: { 1: 10, 2: 20 },
+      ranks: { 3: { name: 'Ann' } },
+      pair: ['a', 1]
+    };
+
+    const flat = zodForm.decode(schema, {
+      'scores[1]': '10',
+      'scores[2]': '20',
+      'ranks[3][name]': 'Ann',
+      'pair[0]': 'a',
+      'pair[1]': '1'
+    });
+    expect(schema.parse(flat)).toEqual(expected);
+
+    // JSON bodies and form posts alike (the extended parser would turn the keys into indices)
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+    app.post('/submit', zodForm.validate(schema), (req, res) => res.json(req.validatedData));
+
+    const json = await request(app)
+      .post('/submit')
+      .send({ scores: { 1: 10, 2: 20 }, ranks: { 3: { name: 'Ann' } }, pair: ['a', 1] })
+      .expect(200);
+    expect(json.body).toEqual(expected);
+    const form = await request(app)
+      .post('/submit')
+      .type('form')
+      .send('scores[1]=10&scores[2]=20&ranks[3][name]=Ann&pair[0]=a&pair[1]=1')
+      .expect(200);
+    expect(form.body).toEqual(expected);
+  });
+
+  test('accepts bodies already nested by the urlencoded parser', () => {
+    const schema = z.object({
+      items: z.array(z.object({ name: z.string(), qty: z.number() }))
+    });
+
+    const data = zodForm.decode(schema, {
+      items: { 0: { name: 'Pen', qty: '2' }, 4: { name: 'Ink', qty: '1' } }
+    });
+
+    expect(data).toEqual({
+      items: [
+        { name: 'Pen', qty: 2 },
+        { name: 'Ink', qty: 1 }
+      ]
+    });
+  });
+
+  test('parses bracket notation without a schema and ignores prototype keys', () => {
+    const { parseBracketNotation } = require('../src/core/form-data');
+
+    const data = parseBracketNotation({
+      'list[]': ['x', 'y'],
+      'user.name': 'Ann',
+      '__proto__[polluted]': 'yes'
+    });
+
+    expect(data).toEqual({ list: ['x', 'y'], user: { name: 'Ann' } });
+    expect({}.polluted).toBeUndefined();
+  });
+
+  test('decodes discriminated unions into the submitted variant', () => {
+    const schema = z.object({
+      channel: z.discriminatedUnion('type', [
+        z.object({ type: z.literal('email'), address: z.string().email() }),
+        z.object({ type: z.literal('sms'), number: z.string(), retries: z.number() })
+      ])
+    });
+
+    const data = zodForm.decode(schema, {
+      'channel[type]': 'sms',
+      'channel[number]': '555-0100',
+      'channel[retries]': '3'
+    });
+
+    expect(schema.parse(data)).toEqual({
+      channel: { type: 'sms', number: '555-0100', retries: 3 }
+    });
+  });
+
+  test('decodes sets, tuples, big integers and literals', () => {
+    const schema = z.object({
+      sizes: z.set(z.enum(['s', 'm', 'l'])),
+      position: z.tuple([z.number(), z.string()]),
+      total: z.bigint(),
+      version: z.literal(2)
+    });
+
+    const data = zodForm.decode(schema, {
+      sizes: ['s', 'l', 's'],
+      'position[0]': '4',
+      'position[1]': 'north',
+      total: '9007199254740993',
+      version: '2'
+    });
+
+    expect(data.sizes).toEqual(new Set(['s', 'l']));
+    expect(data.position).toEqual([4, 'north']);
+    expect(data.total).toBe(9007199254740993n);
+    expect(schema.safeParse(data).success).toBe(true);
+  });
+
+  test('decodes repeated keys into lists and missing lists as empty', () => {
+    const schema = z.object({
+      tags: z.array(z.enum(['news', 'sport', 'tech'])),
+      roles: z.set(z.enum(['admin', 'editor'])),
+      labels: z.array(z.string()).optional(),
+      contacts: z.array(z.string())
+    });
+
+    expect(zodForm.decode(schema, { tags: ['news', 'tech'], roles: 'admin' })).toEqual({
+      tags: ['news', 'tech'],
+      roles: new Set(['admin'])
+    });
+    expect(zodForm.decode(schema, { contacts: 'a' })).toEqual({
+      tags: [],
+      roles: new Set(),
+      contacts: ['a']
+    });
+
+    // Lists that are not checkbox groups are required as any other field
+    const missing = schema.safeParse(zodForm.decode(schema, {}));
+    expect(missing.error.issues.map((issue) => issue.path)).toEqual([['contacts']]);
+  });
+});
@@ -103,4 +103,418 @@ describe('ZodForm Generator', () => {
     expect(modal.html).toContain('Cancel Button');
     expect(modal.html).toContain('name="name"');
   });
-});
\ No newline at end of file
+
+  test('re-renders submitted values with inline field errors', () => {
+    const schema = z.object({
+      name: z.string().min(2),
+      email: z.string().email(),
+      address: z.object({
+        city: z.string().min(2)
+      })
+    });
+    
+    const form = zodForm(schema, {
+      values: { name: 'J', email: 'jane@example.com' },
+      errors: {
+        name: 'Name is too short',
+        'address.city': 'City is too short'
+      }
+    });
+    
+    expect(form.html).toContain('value="J"');
+    expect(form.html).toContain('value="jane@example.com"');
+    expect(form.html).toContain('Name is too short');
+    expect(form.html).toContain('City is too short');
+    expect(form.html).toMatch(/zf-invalid"[^>]*name="name"[^>]*aria-invalid="true"/);
+    expect(form.html).not.toMatch(/name="email"[^>]*aria-invalid/);
+  });
+
+  test('fills an edit form from a saved record and keeps defaults apart', () => {
+    const schema = z.object({
+      age: z.number(),
+      active: z.boolean(),
+      nickname: z.string().default('Anon'),
+      level: z.union([z.literal(1), z.literal(2)]),
+      birthday: z.date(),
+      meeting: zodForm.meta(z.date(), { widget: 'datetime-local' }),
+      address: z.object({ city: z.string(), country: z.string() }),
+      contacts: z.array(z.object({ email: z.string().email() })),
+      scores: z.record(z.number())
+    });
+
+    const form = zodForm(schema, {
+      values: {
+        age: 0,
+        active: false,
+        nickname: '',
+        level: 2,
+        birthday: new Date('1990-04-12'),
+        meeting: new Date(2024, 4, 1, 9, 30),
+        address: { city: 'Lyon' },
+        contacts: [{ email: 'ann@example.com' }],
+        scores: new Map([['math', 0]])
+      },
+      defaults: { active: true, address: { city: 'Paris', country: 'FR' } }
+    });
+
+    // Empty saved values are not replaced by defaults
+    expect(form.html).toMatch(/name="age"[^>]*value="0"/);
+    expect(form.html).not.toMatch(/name="active"[^>]*checked/);
+    expect(form.html).not.toMatch(/name="nickname"[^>]*value=/);
+    expect(form.html).toMatch(/name="level"\s+value="2"\s+checked/);
+    expect(form.html).toMatch(/type="date"[^>]*name="birthday"[^>]*value="1990-04-12"/);
+    expect(form.html).toMatch(/type="datetime-local"[^>]*value="2024-05-01T09:30"/);
+    // Nested values by path, defaults only where the record has none
+    expect(form.html).toMatch(/name="address\[city\]"[^>]*value="Lyon"/);
+    expect(form.html).toMatch(/name="address\[country\]"[^>]*value="FR"/);
+    expect(form.html).toMatch(/name="contacts\[0\]\[email\]"[^>]*value="ann@example.com"/);
+    expect(form.html).toMatch(/name="scores\[0\]\[key\]" value="math"/);
+    expect(form.html).toMatch(/name="scores\[0\]\[value\]"[^>]*value="0"/);
+
+    // Without a saved record, the defaults and then the schema defaults apply
+    const blank = zodForm(schema, {
+      defaults: { active: true, birthday: '2000-01-31T00:00:00.000Z' }
+    });
+    expect(blank.html).toMatch(/name="active"[^>]*checked/);
+    expect(blank.html).toMatch(/name="nickname"[^>]*value="Anon"/);
+    expect(blank.html).toMatch(/name="birthday"[^>]*value="2000-01-31"/);
+
+    // Submitted strings re-render as they were entered
+    const submitted = zodForm(schema, { values: { active: 'on', level: '1', age: '7' } });
+    expect(submitted.html).toMatch(/name="active"[^>]*checked/);
+    expect(submitted.html).toMatch(/name="level"\s+value="1"\s+checked/);
+
+    // Properties saved under their input names are not hidden by their parent's defaults
+    const located = z.object({
+      address: z
+        .object({ street: z.string(), zip: z.string() })
+        .default({ street: 'Main St', zip: '00000' }),
+      point: z.tuple([z.number(), z.number()]).default([1, 2])
+    });
+    const defaults = { address: { street: 'Default St' } };
+    const edited = zodForm(located, {
+      values: { 'address[street]': 'Saved St', 'point[0]': '5' },
+      defaults
+    });
+    expect(edited.html).toMatch(/name="address\[street\]"[^>]*value="Saved St"/);
+    expect(edited.html).toMatch(/name="address\[zip\]"[^>]*value="00000"/);
+    expect(edited.html).toMatch(/name="point\[0\]"[^>]*value="5"/);
+    expect(edited.html).toMatch(/name="point\[1\]"[^>]*value="2"/);
+    expect(zodForm(located, { defaults }).html).toMatch(
+      /name="address\[street\]"[^>]*value="Default St"/
+    );
+  });
+
+  test('renders discriminated unions as a variant selector with sub-forms', () => {
+    const schema = z.object({
+      payment: z.discriminatedUnion('method', [
+        z.object({ method: z.literal('card'), cardNumber: z.string().min(12) }),
+        z.object({ method: z.literal('bank'), iban: z.string() })
+      ])
+    });
+    
+    const form = zodForm(schema, { values: { payment: { method: 'bank' } } });
+    
+    expect(form.fields.payment.type).toBe('discriminatedUnion');
+    expect(form.html).toContain('name="payment[method]"');
+    expect(form.html).toMatch(/<option value="bank"\s+selected>/);
+    expect(form.html).toMatch(/data-zf-variant="card"[^>]*disabled hidden/);
+    expect(form.html).not.toMatch(/data-zf-variant="bank"[^>]*disabled/);
+    expect(form.html).toContain('name="payment[cardNumber]"');
+    expect(form.html).toContain('name="payment[iban]"');
+  });
+
+  test('reads labels, help text and widget hints from schema metadata', () => {
+    const schema = z.object({
+      email: z.string().email().describe('Work email // you@company.com'),
+      bio: zodForm.meta(z.string().optional(), {
+        help: 'A few words about you',
+        widget: 'textarea',
+        order: 0,
+        group: 'Profile'
+      }),
+      address: z.object({
+        postalCode: z.string()
+      })
+    });
+    
+    const form = zodForm(schema, {
+      fieldOptions: { email: { placeholder: 'Overridden at render time' } }
+    });
+    
+    expect(Object.keys(form.fields)).toEqual(['bio', 'email', 'address']);
+    expect(form.fields.bio.type).toBe('textarea');
+    expect(form.html).toContain('Work email');
+    expect(form.html).toContain('placeholder="Overridden at render time"');
+    expect(form.html).toContain('A few words about you');
+    expect(form.html).toMatch(/<legend class="zf-legend">Profile<\/legend>\s*<div class="zf-field" id="field-bio">/);
+    expect(form.html).toMatch(/Postal Code\s/);
+    
+    // Metadata survives wrapping the described type
+    const optionalEmail = schema.shape.email.optional();
+    expect(zodForm(z.object({ email: optionalEmail })).html).toContain('Work email');
+  });
+
+  test('maps the remaining Zod types to dedicated controls', () => {
+    const Color = { Red: 0, Green: 1 };
+    const Category = z.lazy(() =>
+      z.object({ name: z.string(), children: z.array(Category).optional() })
+    );
+
+    const schema = z.object({
+      kind: z.literal('order'),
+      color: z.nativeEnum(Color),
+      quantity: z.number().default(3),
+      position: z.tuple([z.number(), z.number()]),
+      sizes: z.set(z.enum(['s', 'm', 'l'])),
+      total: z.bigint(),
+      sku: z.string().brand('Sku'),
+      note: z.string().transform((value) => value.trim()),
+      count: z.string().pipe(z.coerce.number()),
+      level: z.number().catch(0),
+      code: z.string().readonly(),
+      category: Category
+    });
+
+    const form = zodForm(schema);
+
+    expect(form.html).toMatch(/<input type="hidden" id="kind" name="kind" value="order">/);
+    expect(form.html).toMatch(/<option value="0"\s*>\s*Red/);
+    expect(form.html).not.toMatch(/<option value="Red"/);
+    expect(form.html).toMatch(/name="quantity"[^>]*value="3"/);
+    expect(form.fields.quantity.validation.required).toBe(false);
+    expect(form.html).toContain('name="position[0]"');
+    expect(form.html).toContain('name="position[1]"');
+    expect(form.fields.sizes.type).toBe('checkboxGroup');
+    expect(form.html).toMatch(/name="total"[^>]*inputmode="numeric"/);
+    expect(form.fields.sku.type).toBe('text');
+    expect(form.fields.note.type).toBe('text');
+    expect(form.fields.count.type).toBe('text');
+    expect(form.fields.level.type).toBe('number');
+    expect(form.fields.code.type).toBe('text');
+
+    // Recursive schemas stop expanding after a few levels
+    const nested = form.fields.category.fields.children.itemType.fields.children.itemType;
+    expect(nested.fields.name.type).toBe('text');
+    expect(nested.fields.children).toBeUndefined();
+  });
+
+  test('renders arrays of choices as checkbox groups or searchable multi-selects', () => {
+    const schema = z.object({
+      tags: z.array(z.enum(['news', 'sport', 'tech'])).nonempty().max(2),
+      permissions: zodForm.meta(z.set(z.enum(['read', 'write'])), { widget: 'multiselect' })
+    });
+
+    const form = zodForm(schema, { values: { tags: ['sport'], permissions: ['write'] } });
+
+    expect(form.fields.tags.type).toBe('checkboxGroup');
+    expect(form.html).toMatch(/<fieldset class="zf-field zf-field-group" id="field-tags"/);
+    expect(form.html).toMatch(/id="tags" data-zf-behavior="checkbox-group" data-zf-min-items="1" data-zf-max-items="2"/);
+    expect(form.html).toMatch(/name="tags"\s+value="sport"\s+checked/);
+    expect(form.html).not.toMatch(/name="tags"\s+value="news"\s+checked/);
+    expect(form.html).not.toContain('Add Item');
+
+    expect(form.html).toMatch(/<select[^>]*name="permissions" multiple/);
+    expect(form.html).toMatch(/<option value="write"\s+selected>/);
+    expect(form.html).toContain('id="permissions-search"');
+  });
+
+  test('renders custom elements registered for a field type', () => {
+    const hexColor = z.string().regex(/^#[0-9a-f]{6}$/i);
+
+    zodForm.registerElement(
+      'color',
+      (field, options, { attributesToString, createFieldWrapper }) =>
+        createFieldWrapper(
+          field,
+          options,
+          `<input class="${options.classes.input}" ${attributesToString({
+            type: 'color',
+            id: field.id || field.name,
+            name: field.name
+          })}>`
+        ),
+      { match: (zodType) => zodType === hexColor }
+    );
+
+    try {
+      const schema = z.object({
+        theme: z.object({ accent: hexColor.optional() }),
+        title: z.string()
+      });
+
+      const form = zodForm(schema);
+
+      expect(form.fields.theme.fields.accent.type).toBe('color');
+      expect(form.fields.theme.fields.accent.validation.required).toBe(false);
+      expect(form.html).toContain('<input class="zf-input" type="color" id="theme[accent]" name="theme[accent]">');
+      expect(form.html).toContain('Accent');
+      expect(form.fields.title.type).toBe('text');
+    } finally {
+      zodForm.unregisterElement('color');
+    }
+
+    expect(() => zodForm.registerElement('color', 'not a function')).toThrow(TypeError);
+  });
+
+  test('lays fields out in sections, tabs and a column grid', () => {
+    const schema = z.object({
+      firstName: zodForm.meta(z.string(), { span: 1 }),
+      lastName: zodForm.meta(z.string(), { span: 1 }),
+      bio: zodForm.meta(z.string(), { span: 4 }),
+      email: z.string().email(),
+      address: zodForm.meta(z.object({ street: z.string() }), { collapsible: true, collapsed: true })
+    });
+
+    const sectioned = zodForm(schema, {
+      columns: 2,
+      sections: [
+        { title: 'Contact', description: 'How to reach you', fields: ['email'] },
+        { title: 'Person', fields: ['firstName', 'lastName', 'bio'] }
+      ]
+    });
+
+    expect(sectioned.html).toMatch(/<legend class="zf-legend">Contact<\/legend>\s*<p class="zf-section-description">How to reach you<\/p>/);
+    expect(sectioned.html.indexOf('Contact')).toBeLessThan(sectioned.html.indexOf('Person'));
+    expect(sectioned.html).toContain('<div class="zf-grid" data-zf-columns="2">');
+    expect(sectioned.html).toContain('id="field-firstName" data-zf-span="1"');
+    expect(sectioned.html).toContain('id="field-bio" data-zf-span="2"');
+    expect(sectioned.html).toMatch(/<details class="zf-fieldset zf-collapsible" id="address-fieldset">\s*<summary/);
+
+    // Collapsed objects open up to show their errors
+    const withErrors = zodForm(schema, { errors: { 'address.street': 'Required' } });
+    expect(withErrors.html).toMatch(/id="address-fieldset" open>/);
+
+    // Tabs come from the same sections, declared here on the schema itself
+    const tabbed = zodForm(
+      zodForm.meta(schema, {
+        tabs: true,
+        sections: [
+          { title: 'Contact', fields: ['email'] },
+          { title: 'Person', fields: ['firstName', 'lastName'] }
+        ]
+      }),
+      { id: 'profile' }
+    );
+
+    expect(tabbed.html).toContain('role="tablist" hidden');
+    expect(tabbed.html).toMatch(/id="profile-tabs-0-tab"\s+aria-controls="profile-tabs-0"/);
+    expect(tabbed.html).toMatch(/<section class="zf-tab-panel" id="profile-tabs-1"[^>]*>\s*<h3[^>]*>Person<\/h3>/);
+    expect(tabbed.html).toContain('name="bio"');
+  });
+
+  test('orders, picks, omits and locks fields by path at render time', () => {
+    const schema = z.object({
+      id: z.string(),
+      name: z.string(),
+      email: z.string().email(),
+      role: z.enum(['admin', 'user']),
+      address: z.object({ street: z.string(), zip: z.string(), country: z.string() }),
+      createdAt: z.date()
+    });
+
+    const form = zodForm(schema, {
+      exclude: ['createdAt', 'address.country'],
+      order: ['email', 'address', 'address.zip'],
+      readOnly: ['id', 'role']
+    });
+
+    expect(Object.keys(form.fields)).toEqual(['email', 'address', 'id', 'name', 'role']);
+    expect(Object.keys(form.fields.address.fields)).toEqual(['zip', 'street']);
+    expect(form.html).not.toContain('name="createdAt"');
+    expect(form.html).not.toContain('name="address[country]"');
+    expect(form.html).toMatch(/<input[^>]*name="id"[^>]*readonly/);
+    expect(form.html).toMatch(/<select[^>]*name="role"[^>]*disabled/);
+
+    const picked = zodForm.modal(schema, { include: ['name', 'address.zip'] });
+    expect(picked.html).toContain('name="name"');
+    expect(picked.html).toContain('name="address[zip]"');
+    expect(picked.html).not.toContain('name="address[street]"');
+    expect(picked.html).not.toContain('name="email"');
+  });
+
+  test('escapes user-supplied values, labels and option text', () => {
+    const payload = '"><script>alert(1)</script>';
+    const schema = z.object({
+      name: z.string(),
+      bio: z.string(),
+      role: z.enum(['admin', payload]),
+      tags: z.record(z.string()),
+      nickname: zodForm.meta(z.string(), { label: payload, help: payload })
+    });
+
+    const form = zodForm(schema, {
+      values: {
+        name: payload,
+        bio: `</textarea>${payload}`,
+        role: payload,
+        tags: { [payload]: payload }
+      },
+      fieldOptions: { bio: { type: 'textarea' } },
+      conditionalLogic: { nickname: { show: 'role', equals: "'); alert(1); ('" } }
+    });
+
+    expect(form.html).not.toContain('<script>alert(1)');
+    expect(form.html).toContain('value="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"');
+    expect(form.html).toContain('&lt;/textarea&gt;&quot;&gt;&lt;script&gt;');
+    expect(form.html).toMatch(/<option value="&quot;&gt;&lt;script&gt;[^"]*" selected>/);
+    expect(form.html).toContain('name="tags[0][key]"');
+    expect(form.html).toContain(
+      'data-zf-conditions="{&quot;nickname&quot;:{&quot;show&quot;:{&quot;field&quot;:&quot;role&quot;,&quot;equals&quot;:&quot;&#39;); alert(1); (&#39;&quot;}}}"'
+    );
+    expect(form.scripts).not.toContain('alert(1)');
+  });
+
+  test('keeps field names out of inline scripts', () => {
+    const schema = z.object({
+      ["x');alert(1);//"]: z.array(z.string()),
+      ['</script><b>']: z.number().min(0).max(10)
+    });
+
+    const form = zodForm(schema, { fieldOptions: { '</script><b>': { type: 'range' } } });
+
+    expect(form.html).not.toContain('<script');
+    expect(form.html).not.toContain('</script><b>');
+    expect(form.html).toContain('data-zf-name="x&#39;);alert(1);//"');
+    expect(form.html).toContain('id="&lt;/script&gt;&lt;b&gt;"');
+    expect(form.scripts).not.toContain('alert(1)');
+  });
+
+  test('carries the schema\'s custom error messages to the inputs', () => {
+    const schema = z.object({
+      name: z
+        .string({ required_error: 'Tell us your name' })
+        .min(2, 'Name must contain at least 2 characters'),
+      email: z.string().email('That is not an email address'),
+      code: z.string().regex(/^[A-Z]{3}$/, 'Three capital letters'),
+      age: z.number().int('Whole years only').max(120, 'Too old').optional(),
+      role: z.enum(['admin', 'user'], { errorMap: () => ({ message: 'Pick a role' }) }),
+      nickname: z.string()
+    });
+
+    const form = zodForm(schema);
+
+    expect(form.fields.name.errors).toEqual({
+      required: 'Tell us your name',
+      minLength: 'Name must contain at least 2 characters'
+    });
+    expect(form.fields.age.errors).toEqual({ step: 'Whole years only', max: 'Too old' });
+    expect(form.fields.role.errors).toEqual({
+      required: 'Pick a role',
+      type: 'Pick a role',
+      enum: 'Pick a role'
+    });
+    expect(form.fields.nickname.errors).toEqual({});
+
+    expect(form.html).toContain('data-zf-msg-required="Tell us your name"');
+    expect(form.html).toContain('data-zf-msg-min-length="Name must contain at least 2 characters"');
+    expect(form.html).toContain('data-zf-msg-email="That is not an email address"');
+    expect(form.html).toContain('data-zf-msg-pattern="Three capital letters"');
+    expect(form.html).toContain('data-zf-msg-step="Whole years only"');
+    expect(form.html).toContain('data-zf-msg-max="Too old"');
+    expect(form.html).toContain('data-zf-msg-required="Pick a role"');
+    // The browser has no constraint for enum values, selects only offer valid ones
+    expect(form.html).not.toContain('data-zf-msg-enum');
+    expect(form.html).not.toMatch(/name="nickname"[^>]*data-zf-msg/);
+  });
+});
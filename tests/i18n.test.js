@@ -0,0 +1,129 @@
+/**
+ * Tests for localized labels, buttons and error messages
+ */
+
+const { z } = require('zod');
+const { zodForm } = require('../src');
+const { formatZodErrors } = require('../src/core/validation');
+const express = require('express');
+const request = require('supertest');
+
+describe('ZodForm I18n', () => {
+  zodForm.registerLocale('de', {
+    submit: 'Absenden',
+    addItem: 'Eintrag hinzufügen',
+    selectPlaceholder: '-- Auswählen --',
+    chooseFile: 'Datei wählen',
+    noFileSelected: 'Keine Datei ausgewählt',
+    selectAtLeast: 'Mindestens {min} auswählen',
+    correctErrors: 'Bitte korrigieren Sie folgende Fehler:',
+    wizardStatus: ({ current, total }) => `Schritt ${current} von ${total}`,
+    wizardStep: 'Schritt {number}',
+    unionOption: 'Variante {number}',
+    errorMap: (issue, ctx) => {
+      if (issue.code === 'invalid_type' && issue.received === 'undefined') {
+        return { message: 'Pflichtfeld' };
+      }
+      if (issue.code === 'too_small' && issue.type === 'string') {
+        return { message: `Mindestens ${issue.minimum} Zeichen` };
+      }
+      return { message: ctx.defaultError };
+    }
+  });
+
+  const schema = z.object({
+    firstName: z.string().min(2),
+    nickname: z.string().min(2, 'Too short, pick another'),
+    role: z.enum(['admin', 'user']),
+    tags: z.array(z.string()),
+    avatar: z.any()
+  });
+
+  test('renders labels, buttons and client messages in the form\'s locale', () => {
+    const labels = { firstName: 'Vorname', role: 'Rolle' };
+    const form = zodForm(schema, {
+      locale: 'de-AT',
+      fieldOptions: { avatar: { type: 'file' } },
+      translateLabel: (key, label) => labels[key]
+    });
+
+    expect(form.html).toContain('Absenden');
+    expect(form.html).toContain('Eintrag hinzufügen');
+    expect(form.html).toContain('<option value="">-- Auswählen --</option>');
+    expect(form.html).toContain('Datei wählen');
+    expect(form.html).toContain('Keine Datei ausgewählt');
+    expect(form.html).toMatch(/<label[^>]*>\s*Vorname/);
+    expect(form.html).toMatch(/<label[^>]*>\s*Rolle/);
+    // Labels the hook does not know keep the derived English label
+    expect(form.html).toMatch(/<label[^>]*>\s*Nickname/);
+    expect(form.html).toContain('&quot;selectAtLeast&quot;:&quot;Mindestens {min} auswählen&quot;');
+
+    // Messages of the form itself win over the locale
+    const custom = zodForm(schema, { locale: 'de', messages: { submit: 'Speichern' } });
+    expect(custom.html).toContain('Speichern');
+    expect(custom.html).not.toContain('Absenden');
+
+    const english = zodForm(schema);
+    expect(english.html).toContain('Submit');
+    expect(english.html).toContain('&quot;required&quot;:&quot;Required&quot;');
+
+    // Options of a union are numbered in the form's locale
+    const union = zodForm(z.object({ contact: z.union([z.string().email(), z.number()]) }), {
+      locale: 'de'
+    });
+    expect(union.html).toContain('Variante 2');
+  });
+
+  test('translates Zod\'s default issue messages and keeps custom ones', () => {
+    const result = schema.safeParse({ firstName: 'A', nickname: 'B', tags: [] });
+    const errors = formatZodErrors(result.error, { locale: 'de' });
+
+    expect(errors).toEqual({
+      firstName: 'Mindestens 2 Zeichen',
+      nickname: 'Too short, pick another',
+      role: 'Pflichtfeld'
+    });
+    expect(formatZodErrors(result.error).firstName).toBe(
+      'String must contain at least 2 character(s)'
+    );
+  });
+
+  test('validates submissions in the locale of the request', async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.post(
+      '/submit',
+      zodForm.validate(schema, { locale: (req) => req.get('Accept-Language') }),
+      (req, res) => res.json({ success: true })
+    );
+
+    const json = await request(app)
+      .post('/submit')
+      .set('Accept-Language', 'de')
+      .type('form')
+      .send({ firstName: 'A', nickname: 'Bob', role: 'admin', 'tags[0]': 'x' })
+      .expect(400);
+    expect(json.body.errors).toEqual({ firstName: 'Mindestens 2 Zeichen' });
+
+    const htmx = await request(app)
+      .post('/submit')
+      .set('Accept-Language', 'de')
+      .set('HX-Request', 'true')
+      .type('form')
+      .send({ firstName: 'A', nickname: 'Bob', role: 'admin', 'tags[0]': 'x' })
+      .expect(400);
+    expect(htmx.text).toContain('<h3>Bitte korrigieren Sie folgende Fehler:</h3>');
+  });
+
+  test('localizes wizard navigation', () => {
+    const form = zodForm.wizard(schema, {
+      locale: 'de',
+      steps: [{ fields: ['firstName', 'nickname'] }, { fields: ['role', 'tags', 'avatar'] }]
+    });
+
+    expect(form.html).toContain('Schritt 1 von 2');
+    expect(form.html).toContain('Schritt 2');
+    expect(() => zodForm.registerLocale('', {})).toThrow(TypeError);
+    expect(() => zodForm.registerLocale('fr', { errorMap: 'nope' })).toThrow(TypeError);
+  });
+});
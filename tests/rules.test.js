@@ -0,0 +1,319 @@
+/**
+ * Tests for conditional logic rules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { z } = require('zod');
+const { zodForm } = require('../src');
+const rules = require('../src/core/rules');
+const { getValueAtPath } = require('../src/core/form-data');
+const express = require('express');
+const request = require('supertest');
+
+// Load the runtime and the rule evaluator the way a page does
+const loadEvaluator = () => {
+  const context = {
+    window: {},
+    document: { readyState: 'complete', addEventListener: () => {} },
+    setTimeout: () => {}
+  };
+  vm.createContext(context);
+  ['runtime.js', 'behaviors/rules.js'].forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../src/client', file), 'utf8'), context);
+  });
+  return context.window.ZodForm.rules;
+};
+
+describe('ZodForm Rules', () => {
+  test('normalizes the rule language and names fields like the inputs', () => {
+    expect(
+      rules.normalizeRules({
+        company: { show: 'status', equals: 'employed' },
+        'address.state': {
+          show: { field: 'address.country', in: ['US', 'CA'] },
+          hide: { field: 'address.zip', isEmpty: true },
+          require: { all: [{ field: 'age', gte: 18 }, { not: { field: 'student', equals: true } }] },
+          set: { when: { field: 'address.country', equals: 'CA' }, value: 'ON' }
+        }
+      })
+    ).toEqual({
+      company: { show: { field: 'status', equals: 'employed' } },
+      'address[state]': {
+        show: {
+          all: [
+            { field: 'address[country]', in: ['US', 'CA'] },
+            { not: { field: 'address[zip]', isEmpty: true } }
+          ]
+        },
+        require: {
+          all: [{ field: 'age', gte: 18 }, { not: { field: 'student', equals: true } }]
+        },
+        set: [{ when: { field: 'address[country]', equals: 'CA' }, value: 'ON' }]
+      }
+    });
+
+    expect(() => rules.normalizeRules({ a: { show: { field: 'b', near: 1 } } })).toThrow(TypeError);
+    expect(() => rules.normalizeRules({ a: { reveal: { field: 'b', equals: 1 } } })).toThrow(
+      TypeError
+    );
+    expect(() => rules.normalizeRules({ a: { show: { field: 'b', matches: '(' } } })).toThrow(
+      TypeError
+    );
+    expect(() => rules.normalizeRules({ a: { set: { when: { field: 'b', equals: 1 } } } })).toThrow(
+      TypeError
+    );
+  });
+
+  test('the browser and the server agree on every operator', () => {
+    const evaluator = loadEvaluator();
+    // Submissions as both sides see them: strings, lists for groups, missing when left out
+    const submissions = [
+      { status: 'employed', age: '42', tags: ['a', 'b'], agree: 'true', address: { zip: '10115' } },
+      { status: 'student', age: '9', tags: 'b', address: { zip: '' } },
+      { status: '', age: '', tags: [] },
+      {}
+    ];
+    const conditions = [
+      { field: 'status', equals: 'employed' },
+      { field: 'status', notEquals: 'student' },
+      { field: 'status', in: ['student', 'employed'] },
+      { field: 'status', notIn: ['student'] },
+      { field: 'age', gt: 18 },
+      { field: 'age', gte: '9' },
+      { field: 'age', lt: 10 },
+      { field: 'age', lte: 42 },
+      { field: 'tags', equals: 'b' },
+      { field: 'tags', in: ['a'] },
+      { field: 'tags', isEmpty: true },
+      { field: 'agree', equals: true },
+      { field: 'agree', equals: false },
+      { field: 'address.zip', matches: '^\\d{5}$' },
+      { field: 'address[zip]', isEmpty: false },
+      { any: [{ field: 'status', isEmpty: true }, { not: { field: 'age', lt: 18 } }] }
+    ];
+
+    const results = submissions.map((data) =>
+      conditions.map((condition) => {
+        const { show } = rules.normalizeRules({ target: { show: condition } }).target;
+        const server = rules.evaluateCondition(show, data);
+        const browser = evaluator.evaluate(show, (name) => getValueAtPath(data, name));
+        expect(browser).toBe(server);
+        return server;
+      })
+    );
+
+    expect(results[0]).toEqual([
+      true, true, true, true, true, true, false, true, true, true, false, true, false, true, true,
+      true
+    ]);
+    expect(results[3].slice(10, 13)).toEqual([true, false, true]);
+  });
+
+  test('applies the rules to a submission until they settle', () => {
+    const formRules = rules.normalizeRules({
+      company: { show: 'status', equals: 'employed' },
+      // Depends on a field that is itself hidden
+      department: { show: { field: 'company', isEmpty: false } },
+      reason: { require: { field: 'status', equals: 'unemployed' } },
+      newsletter: { set: { when: { field: 'status', equals: 'student' }, value: true } },
+      discount: { disable: { field: 'age', lt: 65 } }
+    });
+
+    const student = rules.applyRules(formRules, {
+      status: 'student',
+      company: 'Acme',
+      department: 'Sales',
+      age: '30',
+      discount: '10'
+    });
+    expect(student.data).toEqual({ status: 'student', age: '30', newsletter: 'true' });
+    expect(student.inactive).toEqual(['company', 'department', 'discount']);
+
+    const unemployed = rules.applyRules(formRules, { status: 'unemployed', reason: '', age: '70' });
+    expect(rules.getMissingFields(unemployed)).toEqual(['reason']);
+    expect(unemployed.data.discount).toBeUndefined();
+  });
+
+  test('validates submissions with the form\'s rules', async () => {
+    const schema = z.object({
+      status: z.enum(['employed', 'student']),
+      company: z.string().min(2).optional(),
+      school: z.string().optional(),
+      age: z.number().optional()
+    });
+    const conditionalLogic = {
+      company: { show: 'status', equals: 'employed' },
+      school: { show: 'status', equals: 'student', require: { field: 'age', lt: 18 } }
+    };
+
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.post('/submit', zodForm.validate(schema, { conditionalLogic }), (req, res) =>
+      res.json(req.validatedData)
+    );
+    zodForm.register('enrollment', schema, { conditionalLogic });
+    app.post('/registered', zodForm.validate('enrollment'), (req, res) =>
+      res.json(req.validatedData)
+    );
+
+    // Values of hidden fields are dropped, even invalid ones
+    const hidden = await request(app)
+      .post('/submit')
+      .type('form')
+      .send({ status: 'student', company: 'A', school: 'Hill High' })
+      .expect(200);
+    expect(hidden.body).toEqual({ status: 'student', school: 'Hill High' });
+
+    // Fields a rule requires are reported while empty
+    const missing = await request(app)
+      .post('/registered')
+      .type('form')
+      .send({ status: 'student', age: '15', school: '' })
+      .expect(400);
+    expect(missing.body.errors).toEqual({ school: 'Required' });
+
+    await request(app)
+      .post('/registered')
+      .type('form')
+      .send({ status: 'student', age: '25', school: '' })
+      .expect(200);
+    zodForm.unregister('enrollment');
+  });
+
+  test('treats required fields hidden by their rule as optional', async () => {
+    const schema = z.object({
+      contact: z.enum(['email', 'phone']),
+      email: z.string().email(),
+      phone: z.string().min(5),
+      consent: z.boolean()
+    });
+    const conditionalLogic = {
+      email: { show: 'contact', equals: 'email' },
+      phone: { show: 'contact', equals: 'phone' }
+    };
+
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.post('/submit', zodForm.validate(schema, { conditionalLogic }), (req, res) =>
+      res.json(req.validatedData)
+    );
+    zodForm.register('contact', schema, { conditionalLogic });
+    zodForm.registerRoutes(app);
+    app.post(
+      '/wizard',
+      zodForm.validateWizard(schema, {
+        form: {
+          conditionalLogic,
+          steps: [{ fields: ['contact', 'email', 'phone'] }, { fields: ['consent'] }]
+        }
+      }),
+      (req, res) => res.json(req.validatedData)
+    );
+
+    // The hidden field is neither required nor kept, the shown one is enforced
+    const valid = await request(app)
+      .post('/submit')
+      .type('form')
+      .send({ contact: 'email', email: 'ann@example.com', phone: '1', consent: 'on' })
+      .expect(200);
+    expect(valid.body).toEqual({ contact: 'email', email: 'ann@example.com', consent: true });
+
+    const invalid = await request(app)
+      .post('/submit')
+      .type('form')
+      .send({ contact: 'phone', email: 'ann@example.com', phone: '1' })
+      .expect(400);
+    expect(Object.keys(invalid.body.errors)).toEqual(['phone']);
+
+    // Live validation skips hidden fields
+    const hidden = await request(app)
+      .post('/api/validate/contact/email')
+      .type('form')
+      .send({ contact: 'phone', email: 'nope' })
+      .expect(200);
+    expect(hidden.text).toBe('<div class="zf-error"></div>');
+    const shown = await request(app)
+      .post('/api/validate/contact/email')
+      .type('form')
+      .send({ contact: 'email', email: 'nope' })
+      .expect(200);
+    expect(shown.text).toContain('Invalid email');
+
+    // Wizard steps apply the rules as well
+    await request(app)
+      .post('/wizard')
+      .type('form')
+      .send({ _zfStep: '0', contact: 'phone', phone: '' })
+      .expect(400);
+    const step = await request(app)
+      .post('/wizard')
+      .type('form')
+      .send({ _zfStep: '0', contact: 'phone', phone: '555-0100' })
+      .expect(200);
+    expect(step.text).toContain('name="_zfStep" value="1"');
+    const done = await request(app)
+      .post('/wizard')
+      .type('form')
+      .send({ _zfStep: '1', contact: 'phone', email: 'nope', phone: '555-0100', consent: 'on' })
+      .expect(200);
+    expect(done.body).toEqual({ contact: 'phone', phone: '555-0100', consent: true });
+    zodForm.unregister('contact');
+  });
+
+  test('treats required fields hidden inside list items as optional', async () => {
+    const schema = z.object({
+      items: z.array(z.object({ kind: z.string(), note: z.string().min(1) }))
+    });
+    const conditionalLogic = {
+      'items[0][note]': { show: { field: 'items[0][kind]', equals: 'other' } },
+      'items[1][note]': { show: { field: 'items[1][kind]', equals: 'other' } }
+    };
+
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.post('/submit', zodForm.validate(schema, { conditionalLogic }), (req, res) =>
+      res.json(req.validatedData)
+    );
+
+    // The hidden note is dropped, the shown one in the next item is still enforced
+    const valid = await request(app)
+      .post('/submit')
+      .type('form')
+      .send({ 'items[0][kind]': 'a', 'items[1][kind]': 'other', 'items[1][note]': 'Why' })
+      .expect(200);
+    expect(valid.body).toEqual({ items: [{ kind: 'a' }, { kind: 'other', note: 'Why' }] });
+
+    const invalid = await request(app)
+      .post('/submit')
+      .type('form')
+      .send({ 'items[0][kind]': 'a', 'items[1][kind]': 'other', 'items[1][note]': '' })
+      .expect(400);
+    expect(Object.keys(invalid.body.errors)).toEqual(['items.1.note']);
+  });
+
+  test('renders the rules for the browser', () => {
+    const schema = z.object({
+      status: z.enum(['employed', 'student']),
+      company: z.string().optional()
+    });
+    const form = zodForm(schema, {
+      htmx: true,
+      conditionalLogic: { company: { show: { field: 'status', in: ['employed'] } } }
+    });
+
+    expect(form.html).toContain(
+      'data-zf-conditions="{&quot;company&quot;:{&quot;show&quot;:{&quot;field&quot;:&quot;status&quot;,&quot;in&quot;:[&quot;employed&quot;]}}}"'
+    );
+    expect(form.html).not.toContain('field-visibility');
+    expect(form.scripts).toContain('window.ZodForm.rules =');
+    expect(form.scripts.indexOf('window.ZodForm.rules =')).toBeLessThan(
+      form.scripts.indexOf("window.ZodForm.define('form'")
+    );
+    expect(zodForm(schema).scripts).not.toContain('window.ZodForm.rules =');
+    expect(() => zodForm(schema, { conditionalLogic: { company: { show: {} } } })).toThrow(
+      TypeError
+    );
+  });
+});
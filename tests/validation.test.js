@@ -147,4 +147,243 @@ describe('ZodForm Validation', () => {
     expect(response.text).toContain('zf-error');
     expect(response.text).not.toContain('zf-alert-error');
   });
-});
\ No newline at end of file
+
+  test('validates urlencoded form posts without coerced schemas', async () => {
+    const schema = z.object({
+      name: z.string().min(2),
+      age: z.number().min(18),
+      newsletter: z.boolean(),
+      nickname: z.string().optional()
+    });
+    
+    app.post('/test', zodForm.validate(schema), (req, res) => {
+      res.status(200).json({ success: true, data: req.validatedData });
+    });
+    
+    const response = await request(app)
+      .post('/test')
+      .type('form')
+      .send('name=John+Doe&age=30&nickname=')
+      .expect(200);
+    
+    expect(response.body.data).toEqual({
+      name: 'John Doe',
+      age: 30,
+      newsletter: false
+    });
+  });
+
+  test('decodes bracket-notation fields from nested forms', async () => {
+    const flatApp = express();
+    flatApp.use(express.urlencoded({ extended: false }));
+    
+    const schema = z.object({
+      address: z.object({ city: z.string() }),
+      meta: z.record(z.string())
+    });
+    
+    flatApp.post('/test', zodForm.validate(schema), (req, res) => {
+      res.status(200).json({ success: true, data: req.validatedData });
+    });
+    
+    const response = await request(flatApp)
+      .post('/test')
+      .type('form')
+      .send('address%5Bcity%5D=Paris&meta%5B0%5D%5Bkey%5D=lang&meta%5B0%5D%5Bvalue%5D=fr')
+      .expect(200);
+    
+    expect(response.body.data).toEqual({
+      address: { city: 'Paris' },
+      meta: { lang: 'fr' }
+    });
+  });
+
+  test('re-renders the form with errors when rerender is enabled', async () => {
+    const schema = z.object({
+      name: z.string().min(2, 'Name is too short'),
+      email: z.string().email()
+    });
+    
+    app.post('/test', zodForm.validate(schema, { rerender: { action: '/test' } }), (req, res) => {
+      res.status(200).send('Success');
+    });
+    
+    const fragment = await request(app)
+      .post('/test')
+      .set('HX-Request', 'true')
+      .type('form')
+      .send('name=J&email=jane%40example.com')
+      .expect(400);
+    
+    expect(fragment.text).toContain('<form');
+    expect(fragment.text).toContain('Name is too short');
+    expect(fragment.text).toContain('value="jane@example.com"');
+    expect(fragment.text).not.toContain('zf-alert-error');
+    expect(fragment.text).not.toContain('<!DOCTYPE html>');
+    
+    const page = await request(app)
+      .post('/test')
+      .type('form')
+      .send('name=J&email=jane%40example.com')
+      .expect(400);
+    
+    expect(page.text).toContain('<!DOCTYPE html>');
+    expect(page.text).toContain('Name is too short');
+  });
+
+  test('validates single fields against a registered schema', async () => {
+    const schema = z.object({
+      address: z.object({ city: z.string().min(2, 'City is too short') }),
+      items: z.array(z.object({ qty: z.number().min(1, 'Order at least one') }))
+    });
+    
+    zodForm.register('order', schema);
+    zodForm.registerRoutes(app);
+    
+    const form = zodForm('order', { htmx: true });
+    expect(form.html).toContain('name="_zfSchema" value="order"');
+    expect(form.html).toContain('hx-post="/api/validate/order/address[city]"');
+    
+    const cityResponse = await request(app)
+      .post('/api/validate/order/address[city]')
+      .type('form')
+      .send('address%5Bcity%5D=X')
+      .expect(200);
+    
+    expect(cityResponse.text).toContain('City is too short');
+    
+    const qtyResponse = await request(app)
+      .post('/api/validate/items[1][qty]')
+      .type('form')
+      .send('_zfSchema=order&items%5B0%5D%5Bqty%5D=5&items%5B1%5D%5Bqty%5D=0')
+      .expect(200);
+    
+    expect(qtyResponse.text).toContain('Order at least one');
+    
+    const validResponse = await request(app)
+      .post('/api/validate/order/items.0.qty')
+      .type('form')
+      .send('items%5B0%5D%5Bqty%5D=3')
+      .expect(200);
+    
+    expect(validResponse.text).toBe('<div class="zf-error"></div>');
+    
+    await request(app)
+      .post('/api/validate/unknown/name')
+      .type('form')
+      .send('name=x')
+      .expect(404);
+    
+    zodForm.unregister('order');
+  });
+
+  test('validates fields in the context of the whole form', () => {
+    const { validateField } = require('../src/core/validation');
+    
+    const schema = z
+      .object({
+        email: z.string().email(),
+        password: z.string().min(8),
+        confirmPassword: z.string(),
+        contacts: z.array(z.object({ phone: z.string().regex(/^\d+$/, 'Digits only') }))
+      })
+      .refine((data) => data.password === data.confirmPassword, {
+        message: 'Passwords must match',
+        path: ['confirmPassword']
+      });
+    
+    const data = {
+      email: 'not-an-email',
+      password: 'secret123',
+      confirmPassword: 'secret124',
+      contacts: [{ phone: '123' }, { phone: 'abc' }]
+    };
+    
+    // The refinement is reported even though another field is still invalid
+    expect(validateField(schema, 'confirmPassword', 'secret124', data)).toEqual({
+      valid: false,
+      errors: { confirmPassword: 'Passwords must match' }
+    });
+    expect(validateField(schema, 'confirmPassword', 'secret123', data)).toEqual({ valid: true });
+    
+    // Issues for other fields are not reported against this one
+    expect(validateField(schema, 'password', 'secret123', data)).toEqual({ valid: true });
+    
+    expect(validateField(schema, 'contacts[1][phone]', 'abc', data)).toEqual({
+      valid: false,
+      errors: { 'contacts.1.phone': 'Digits only' }
+    });
+    expect(validateField(schema, 'contacts.0.phone', '123', data)).toEqual({ valid: true });
+
+    // Also while a sibling is missing or of the wrong type, which stops Zod's own refinements
+    const signup = z
+      .object({ age: z.number(), pw: z.string(), pw2: z.string() })
+      .refine((values) => values.pw === values.pw2, {
+        message: 'Passwords must match',
+        path: ['pw2']
+      });
+    const mismatch = { valid: false, errors: { pw2: 'Passwords must match' } };
+    expect(validateField(signup, 'pw2', 'b', { age: '', pw: 'a', pw2: 'b' })).toEqual(mismatch);
+    expect(validateField(signup, 'pw2', 'b', { age: 'x', pw: 'a', pw2: 'b' })).toEqual(mismatch);
+    expect(validateField(signup, 'pw2', 'a', { age: '', pw: 'a', pw2: 'a' })).toEqual({
+      valid: true
+    });
+  });
+
+  test('validates only the selected fields and ignores read-only ones', async () => {
+    const schema = z.object({
+      ownerId: z.string(),
+      title: z.string().min(1),
+      address: z.object({ street: z.string(), zip: z.string() }),
+      createdAt: z.date()
+    });
+
+    app.post(
+      '/edit',
+      zodForm.validate(schema, { exclude: ['createdAt', 'address.street'], readOnly: ['ownerId'] }),
+      (req, res) => {
+        res.status(200).json({ success: true, data: req.validatedData });
+      }
+    );
+
+    const response = await request(app)
+      .post('/edit')
+      .type('form')
+      .send({ ownerId: 'someone-else', title: 'Hello', 'address[zip]': '0150' })
+      .expect(200);
+
+    expect(response.body.data).toEqual({ title: 'Hello', address: { zip: '0150' } });
+  });
+
+  test('keeps strict and passthrough objects and refinements with read-only fields', async () => {
+    const strict = z.object({ ownerId: z.string(), title: z.string() }).strict();
+    const loose = z
+      .object({ ownerId: z.string(), title: z.string(), draft: z.boolean() })
+      .passthrough()
+      .refine((post) => post.ownerId === undefined || post.draft, 'Only drafts change owners');
+
+    app.post('/strict', zodForm.validate(strict, { readOnly: ['ownerId'] }), (req, res) =>
+      res.json(req.validatedData)
+    );
+    app.post(
+      '/loose',
+      zodForm.validate(loose, { readOnly: ['ownerId'], exclude: ['draft'] }),
+      (req, res) => res.json(req.validatedData)
+    );
+
+    // The read-only input the form still submits is neither rejected nor passed on
+    const strictResponse = await request(app)
+      .post('/strict')
+      .type('form')
+      .send({ ownerId: 'someone-else', title: 'Hello' })
+      .expect(200);
+    expect(strictResponse.body).toEqual({ title: 'Hello' });
+
+    const looseResponse = await request(app)
+      .post('/loose')
+      .type('form')
+      .send({ ownerId: 'someone-else', title: 'Hello', draft: 'on', extra: 'kept' })
+      .expect(200);
+    expect(looseResponse.body).toEqual({ title: 'Hello', extra: 'kept' });
+  });
+});
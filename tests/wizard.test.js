@@ -0,0 +1,198 @@
+/**
+ * Tests for multi-step wizard forms
+ */
+
+const { z } = require('zod');
+const { zodForm } = require('../src');
+const express = require('express');
+const request = require('supertest');
+
+describe('ZodForm Wizard', () => {
+  const schema = z
+    .object({
+      name: z.string().min(2),
+      email: z.string().email(),
+      address: z.object({
+        street: z.string(),
+        city: z.string()
+      }),
+      password: zodForm.meta(z.string().min(8), { group: 'Security' }),
+      confirm: zodForm.meta(z.string(), { group: 'Security' })
+    })
+    .refine((data) => data.password === data.confirm, {
+      message: 'Passwords must match',
+      path: ['confirm']
+    });
+
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.post('/signup', zodForm.validateWizard(schema), (req, res) => {
+      res.json({ success: true, data: req.validatedData });
+    });
+  });
+
+  test('splits a schema into steps by group and nested object', () => {
+    const form = zodForm.wizard(schema);
+
+    expect(form.steps).toEqual([
+      { title: 'Step 1', fields: ['name', 'email'] },
+      { title: 'Address', fields: ['address'] },
+      { title: 'Security', fields: ['password', 'confirm'] }
+    ]);
+    expect(form.html).toContain('name="name"');
+    expect(form.html).not.toContain('name="address[street]"');
+    expect(form.html).toContain('Step 1 of 3');
+    expect(form.html).toMatch(/<input type="hidden" name="_zfStep" value="0">/);
+    expect(form.html).toContain('value="next"');
+    expect(form.html).not.toContain('value="back"');
+  });
+
+  test('carries the values of other steps as hidden fields', () => {
+    const form = zodForm.wizard(schema, {
+      step: 2,
+      values: { name: 'Ann', email: 'ann@example.com', address: { street: 'Main St', city: 'Oslo' } }
+    });
+
+    expect(form.html).toContain('<input type="hidden" name="address[street]" value="Main St">');
+    expect(form.html).toContain('<input type="hidden" name="email" value="ann@example.com">');
+    expect(form.html).toMatch(/value="back"[^>]*formnovalidate/);
+    expect(form.html).toContain('value="submit"');
+  });
+
+  test('validates the current step before advancing', async () => {
+    const invalid = await request(app)
+      .post('/signup')
+      .type('form')
+      .send({ _zfStep: '0', _zfAction: 'next', name: 'A', email: 'ann@example.com' })
+      .expect(400);
+
+    expect(invalid.text).toContain('Step 1 of 3');
+    expect(invalid.text).toContain('String must contain at least 2 character(s)');
+
+    const valid = await request(app)
+      .post('/signup')
+      .type('form')
+      .send({ _zfStep: '0', _zfAction: 'next', name: 'Ann', email: 'ann@example.com' })
+      .expect(200);
+
+    expect(valid.text).toContain('Step 2 of 3');
+    expect(valid.text).toContain('name="address[street]"');
+    expect(valid.text).toContain('<input type="hidden" name="name" value="Ann">');
+  });
+
+  test('goes back without validating and keeps the entered values', async () => {
+    const response = await request(app)
+      .post('/signup')
+      .type('form')
+      .send({
+        _zfStep: '1',
+        _zfAction: 'back',
+        name: 'Ann',
+        email: 'ann@example.com',
+        'address[street]': 'Main St'
+      })
+      .expect(200);
+
+    expect(response.text).toContain('Step 1 of 3');
+    expect(response.text).toMatch(/name="name"[^>]*value="Ann"/);
+    expect(response.text).toContain('<input type="hidden" name="address[street]" value="Main St">');
+  });
+
+  test('validates the whole schema on the last step', async () => {
+    const body = {
+      _zfStep: '2',
+      _zfAction: 'submit',
+      name: 'Ann',
+      email: 'ann@example.com',
+      'address[street]': 'Main St',
+      'address[city]': 'Oslo',
+      password: 'correct horse',
+      confirm: 'battery staple'
+    };
+
+    const invalid = await request(app).post('/signup').type('form').send(body).expect(400);
+    expect(invalid.text).toContain('Passwords must match');
+    expect(invalid.text).toContain('Step 3 of 3');
+
+    const response = await request(app)
+      .post('/signup')
+      .type('form')
+      .send({ ...body, confirm: 'correct horse' })
+      .expect(200);
+
+    expect(response.body.data).toEqual({
+      name: 'Ann',
+      email: 'ann@example.com',
+      address: { street: 'Main St', city: 'Oslo' },
+      password: 'correct horse',
+      confirm: 'correct horse'
+    });
+  });
+
+  test('keeps the entered values in a server-side store', async () => {
+    let saved = {};
+    const store = {
+      load: () => saved,
+      save: (req, data) => {
+        saved = data;
+      },
+      clear: () => {
+        saved = {};
+      }
+    };
+
+    const storeApp = express();
+    storeApp.use(express.urlencoded({ extended: true }));
+    storeApp.post('/signup', zodForm.validateWizard(schema, { store }), (req, res) => {
+      res.json({ success: true, data: req.validatedData });
+    });
+
+    const step = await request(storeApp)
+      .post('/signup')
+      .type('form')
+      .send({ _zfStep: '0', name: 'Ann', email: 'ann@example.com' })
+      .expect(200);
+
+    expect(step.text).toContain('Step 2 of 3');
+    expect(step.text).not.toContain('type="hidden" name="name"');
+
+    await request(storeApp)
+      .post('/signup')
+      .type('form')
+      .send({ _zfStep: '1', 'address[street]': 'Main St', 'address[city]': 'Oslo' })
+      .expect(200);
+
+    const response = await request(storeApp)
+      .post('/signup')
+      .type('form')
+      .send({ _zfStep: '2', password: 'correct horse', confirm: 'correct horse' })
+      .expect(200);
+
+    expect(response.body.data.address).toEqual({ street: 'Main St', city: 'Oslo' });
+    expect(saved).toEqual({});
+  });
+
+  test('never takes read-only fields from the submission', async () => {
+    const post = z.object({ title: z.string().min(1), ownerId: z.string() });
+    const editApp = express();
+    editApp.use(express.urlencoded({ extended: true }));
+    editApp.post(
+      '/edit',
+      zodForm.validateWizard(post, {
+        form: { readOnly: ['ownerId'], steps: [{ fields: ['title'] }, { fields: ['ownerId'] }] }
+      }),
+      (req, res) => res.json(req.validatedData)
+    );
+
+    const response = await request(editApp)
+      .post('/edit')
+      .type('form')
+      .send({ _zfStep: '1', title: 'Hello', ownerId: 'someone-else' })
+      .expect(200);
+
+    expect(response.body).toEqual({ title: 'Hello' });
+  });
+});